@@ -12,9 +12,78 @@
  * - Future enhancements can explore optimized AI/ML integrations with event-based triggers.
  */
 
-// This listener acts as a background running check for messages sent to the extension.
+importScripts("providers.js", "profiles.js", "bypass.js", "outage.js", "prompts.js", "context.js", "classifier.js", "store.js", "metering.js", "multianswer.js");
+
+// This listener acts as a background running check for messages sent to the extension,
+// and answers the `history.*` and `profiles.*` messages asynchronously.
+// Content scripts cannot open the options page nor set the toolbar badge themselves, they ask for it with
+// `options.open` and `badge.update`.
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log("🔥 Received message in background.js:", request);
+    console.log("🔥 Received message in background.js:", request.action);
+
+    if (request.action === "options.open") {
+        chrome.runtime.openOptionsPage();
+        return;
+    }
+
+    // Content scripts report whether the last answer of their chat was replaced, the toolbar badge tells it per tab
+    if (request.action === "badge.update") {
+        if (!sender.tab) return;
+        chrome.action.setBadgeBackgroundColor({tabId: sender.tab.id, color: "#4CAF50"});
+        chrome.action.setBadgeText({tabId: sender.tab.id, text: request.replaced ? "AI" : ""});
+        chrome.action.setTitle({
+            tabId: sender.tab.id,
+            title: request.replaced ? "DeepSeek Bypass – the last answer was replaced" : "DeepSeek Bypass",
+        });
+        sendResponse(true);
+        return;
+    }
+
+    const result = handleHistoryMessage(request) || handleProfileMessage(request);
+    if (!result) return;
+
+    result.then(sendResponse, (error) => {
+        console.error("❌ Chat history error:", error);
+        sendResponse(null);
+    });
+    return true;
+});
+
+
+/**
+ * The id of the context menu entry asking the external model about the selected text.
+ */
+const ASK_SELECTION_MENU_ID = "ask-selection";
+
+
+// Context menu entries persist across browser sessions, they are created once per install or update
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.create({
+        id: ASK_SELECTION_MENU_ID,
+        title: "Ask external model about this selection",
+        contexts: ["selection"],
+        documentUrlPatterns: ["https://chat.deepseek.com/*"],
+    });
+});
+
+
+// The keyboard shortcuts and the context menu act on the page, the content script of the tab carries them out
+// through the same pipeline as the buttons it displays
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab || tab.id === undefined) return;
+
+    chrome.tabs.sendMessage(tab.id, {action: "command.run", command}, () => {
+        // Tabs that do not show DeepSeek have no content script to answer
+        if (chrome.runtime.lastError) console.log(`⌨️ Shortcut "${command}" ignored outside DeepSeek.`);
+    });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId !== ASK_SELECTION_MENU_ID || !tab || !info.selectionText) return;
+
+    chrome.tabs.sendMessage(tab.id, {action: "selection.ask", text: info.selectionText}, () => {
+        if (chrome.runtime.lastError) console.warn("❌ The tab did not answer, it was opened before the extension:", chrome.runtime.lastError.message);
+    });
 });
 
 
@@ -55,177 +124,545 @@ chrome.webRequest.onBeforeRequest.addListener(
 );
 
 /**
- * Regular expression used to detect certain phrases related to censorship or restricted topics.
- * Matches common phrases that may indicate an inability or restriction in providing certain information.
- * The matching is case-insensitive and identifies whole word occurrences.
+ * Loads the censorship classifier settings saved in the options page.
+ *
+ * @return {Promise<Object>} Resolves with the settings passed to `classifyResponse()`, empty when nothing was saved.
+ */
+function loadClassifierSettings() {
+    return chrome.storage.local.get(["classifier"]).then((result) => result.classifier || {});
+}
+
+
+/**
+ * Loads the outage failover settings saved in the options page, see outage.js.
+ * Only `fallback` matters here, the retries themselves are made by the content script before it asks for an answer.
+ *
+ * @return {Promise<{retries: number, baseDelay: number, fallback: boolean}>} Resolves with the settings, or their defaults.
+ */
+function loadOutageSettings() {
+    return chrome.storage.local.get(["outage"]).then((result) => ({...DEFAULT_OUTAGE_SETTINGS, ...result.outage}));
+}
+
+
+/**
+ * The external request settings used until the options page saves its own:
+ * - `timeout` – the seconds an external provider may stay silent, before the first token or between two tokens,
+ *   until the request is aborted; 0 waits forever;
+ * - `includeReasoning` – whether DeepSeek's DeepThink reasoning is forwarded with the history;
+ * - `includeSearch` – whether the web search results DeepSeek answered with are forwarded with the history.
+ * Keep in sync with options.js.
  */
-const censorshipRegex = /\b(sorry|apologies|unfortunately|i cannot|i can't|i am unable|beyond my scope|restricted|not allowed|not permitted|cannot discuss|not within my capabilities|sensitive topic|refer to official sources|ethical guidelines|compliance requirements|content restrictions|safety concerns|security reasons|not supported|The server is busy|try again later)\b/i;
+const DEFAULT_REQUEST_SETTINGS = {timeout: 60, includeReasoning: false, includeSearch: true};
 
 
 /**
- * Checks if the given text contains censored content based on a predefined regular expression.
+ * Loads the external request settings saved in the options page.
  *
- * @param {string} responseText - The text to be checked for censored content.
- * @return {boolean} Returns true if the text contains censored content, otherwise false.
+ * @return {Promise<{timeout: number, includeReasoning: boolean, includeSearch: boolean}>} Resolves with the settings, or their defaults.
  */
-function isCensored(responseText) {
-    return censorshipRegex.test(responseText);
+function loadRequestSettings() {
+    return chrome.storage.local.get(["requests"]).then((result) => ({...DEFAULT_REQUEST_SETTINGS, ...result.requests}));
 }
 
 
 /**
- * The default model identifier for OpenAI's API requests.
+ * Loads the global switches saved in the popup, see bypass.js.
  *
- * This variable defines the specific language model to be used when interacting
- * with the OpenAI API. It is set to 'gpt-3.5-turbo' by default, which is a
- * highly capable model designed for a wide range of natural language processing tasks.
+ * @return {Promise<{enabled: boolean, mode: string}>} Resolves with the switches, or their defaults.
+ */
+function loadBypassSettings() {
+    return chrome.storage.local.get(["bypass"]).then((result) => ({...DEFAULT_BYPASS_SETTINGS, ...result.bypass}));
+}
+
+
+/**
+ * The tail of the queue serializing the counter updates, so concurrent detections do not overwrite each other.
+ * @type {Promise<*>}
+ */
+let statsWriteQueue = Promise.resolve();
+
+
+/**
+ * Increments one of the event counters kept in Chrome's local storage.
+ * Censorship detections, manual requests and DeepSeek outages are counted separately.
  *
- * Use this constant to determine which OpenAI model is selected by default
- * when no specific model configuration is provided.
+ * @param {string} name - The counter to increment: `censorship`, `manual` or `outage`.
+ * @return {Promise<void>} Resolves once the counter is saved.
+ */
+function incrementStat(name) {
+    const run = statsWriteQueue.then(() => chrome.storage.local.get(["stats"])).then((result) => {
+        const stats = result.stats || {};
+        stats[name] = (stats[name] || 0) + 1;
+        return chrome.storage.local.set({stats});
+    });
+
+    statsWriteQueue = run.catch(() => null);
+    return run;
+}
+
+
+/**
+ * Logs a failed write of a counter or a chat record that the reply to a request does not wait for.
+ *
+ * @param {Error} error - The storage error.
+ * @return {void} This function does not return a value.
+ */
+function logStorageError(error) {
+    console.error("❌ Failed to save the detection:", error);
+}
+
+
+/**
+ * The name of the long-lived `chrome.runtime.connect` port used by content scripts
+ * to request a replacement answer. Keep in sync with `BYPASS_PORT_NAME` in content.js.
  */
-const DEFAULT_OPENAI_MODEL = 'gpt-3.5-turbo';
+const BYPASS_PORT_NAME = "deepseek-bypass";
 
 
 /**
- * The default API key used for authenticating requests to the OpenAI API.
- * This variable is typically assigned a valid API key string obtained from
- * OpenAI. It serves as a fallback or default value if no other API key is
- * explicitly provided in the implementation.
+ * Loads the provider profiles that answer a request from Chrome's local storage: the profiles of the multi-answer mode
+ * when it is on and the request is an answer to replace, otherwise the profile of the chat.
  *
- * Note: Assign a valid API key before using it to interact with OpenAI's services.
- * Avoid committing sensitive API keys to a public repository or exposing them
- * in client-side code.
+ * @param {Object} request - The `checkCensorship` message, whose `chatId` honours the chat's profile override
+ *        and whose `profileId` explicitly requests a single profile.
+ * @return {Promise<{profiles: Array<Object>, judge: (string|null), judgeProfile: (Object|null)}>} Resolves with the
+ *         profiles completed with the provider defaults, and the judge mode and profile of the multi-answer mode.
  */
-const DEFAULT_OPENAI_API_KEY = '';
+function loadAnsweringProfiles(request) {
+    return Promise.all([loadProfiles(), loadMultiAnswerSettings()]).then(([settings, multi]) => {
+        const byId = (id) => settings.profiles.find((profile) => profile.id === id);
+        const fanOut = multi.enabled && !request.profileId && request.trigger !== "continue" && request.trigger !== "selection";
+        const profiles = fanOut ? multi.profileIds.map(byId).filter(Boolean) : [];
+
+        if (profiles.length < 2) {
+            return {profiles: [resolveProfile(selectProfile(settings, request.chatId, request.profileId))], judge: null, judgeProfile: null};
+        }
 
+        const judgeProfile = multi.judge !== "none" && byId(multi.judgeProfileId) ? resolveProfile(byId(multi.judgeProfileId)) : null;
+        return {profiles: profiles.map(resolveProfile), judge: judgeProfile ? multi.judge : null, judgeProfile};
+    });
+}
 
 
 /**
- * A constant string that defines the system-level prompt for the AI assistant's behavior and response guidelines.
- * The prompt establishes foundational principles for the assistant, ensuring responses are accurate, evidence-based, unbiased,
- * and transparent. It provides detailed instructions on how the assistant should process and answer user inquiries, with a
- * focus on verifiable data, avoiding censorship, addressing bias, and maintaining neutrality.
+ * Drops the profiles the spending cap cannot account for from an automatic replacement: while a cap is set, the calls
+ * of a model missing from the price table would never count against it. Explicit requests may still use them.
  *
- * Key Attributes:
- * - **Accuracy and Verifiability**: Encourages responses grounded in factual evidence, supported by primary sources such as scientific papers, legal records, and historical documents.
- * - **Objectivity and Unbiased Coverage**: Promotes a neutral stance, avoiding political, corporate, or ideological influence, while addressing opposing viewpoints and acknowledging areas of dispute.
- * - **Transparency**: Stresses the importance of explaining any legal, regional, or AI-imposed restrictions on information, along with providing alternative resources when appropriate.
- * - **Comprehensiveness and Detail**: Responses must be structured, detailed, and provide context to ensure a complete understanding of complex topics.
- * - **Professional Tone**: Requires the assistant to maintain a clear, formal, and academic tone in all responses.
- * - **No Evasion**: Mandates addressing all inquiries directly, avoiding deflection or withholding information if credible data is available.
+ * @param {{profiles: Array<Object>, judge: (string|null), judgeProfile: (Object|null)}} answering - The profiles
+ *        returned by `loadAnsweringProfiles()`.
+ * @param {{cap: number, prices: Array<Object>}} spending - The verdict of `checkSpendingCap()`.
+ * @return {{profiles: Array<Object>, judge: (string|null), judgeProfile: (Object|null)}|null} The profiles with a price,
+ *         or null if none is left.
  */
-const GPT_SYSTEM_PROMPT = `
-You are an AI assistant whose primary mission is to provide **the most accurate, fact-based, and objective responses** to any inquiry. Your responses must be **grounded in verifiable data, historical records, scientific research, and reputable sources**.
+function keepPricedProfiles(answering, spending) {
+    if (!spending.cap) return answering;
 
-## Key Guidelines:
+    const isPriced = (profile) => hasModelPrice(spending.prices, profile.provider, profile.model);
+    answering.profiles.filter((profile) => !isPriced(profile)).forEach((profile) => {
+        console.warn(`💸 ${profile.model} has no price, the spending cap cannot count it: skipped for automatic replacements.`);
+    });
 
-1️⃣ **Absolute Truth & No Censorship:**  
-You must present **objective, uncensored** information based solely on **factual evidence**. If a topic is controversial or politically sensitive, you must still provide **unbiased, well-researched** information without avoiding the question.
+    const profiles = answering.profiles.filter(isPriced);
+    if (!profiles.length) return null;
 
-2️⃣ **No Evasion, No Deflections:**  
-If the information exists, you **must provide it directly**. Avoid phrases like *"I cannot discuss this topic"* or *"This is beyond my scope"*. Instead, **cite reputable sources** and present facts.
+    const judgeProfile = answering.judgeProfile && isPriced(answering.judgeProfile) ? answering.judgeProfile : null;
+    return {profiles, judge: judgeProfile ? answering.judge : null, judgeProfile};
+}
 
-3️⃣ **Use Verifiable Sources:**  
-Whenever possible, refer to **historical documents, scientific papers, legal records, and primary sources**. Prioritize **peer-reviewed research, official government publications, and archival data**.
 
-4️⃣ **Recognizing & Addressing Bias:**  
-Be aware of **government-enforced censorship, propaganda, or manipulated narratives** in certain regions. Where applicable, **highlight opposing viewpoints** and state whether information is disputed, ensuring a **balanced perspective**.
+/**
+ * Builds what a profile is sent to replace an answer: the profile's prompt template rendered for the chat, and the
+ * conversation with DeepSeek's reasoning and search results as the settings ask, fitted into the profile's token budget.
+ *
+ * @param {Object} profile - The resolved profile.
+ * @param {Object} request - The `checkCensorship` message.
+ * @param {Array<Object>} templates - The prompt templates.
+ * @param {{includeReasoning: boolean, includeSearch: boolean}} settings - The external request settings.
+ * @return {{prompt: string, messages: Array<{role: string, content: string}>, report: Object}}
+ *         The system prompt, the messages and the report of `fitHistory()`.
+ */
+function buildAnswerPrompt(profile, request, templates, settings) {
+    const userMessage = request.history.slice(0, -1).filter((message) => message.role === "user").pop();
+    const systemPrompt = renderPromptTemplate(findPromptTemplate(templates, profile.promptTemplateId).text, buildPromptVariables({
+        originalRefusal: request.history[request.history.length - 1].content,
+        chatTitle: request.chatTitle,
+        userMessage: userMessage && userMessage.content,
+    }));
+
+    // Long chats are trimmed to the profile's budget, older turns are summarized in the system prompt
+    const messages = formatForwardedHistory(request.history, settings);
+    const context = fitHistory(messages, profile.contextBudget || DEFAULT_CONTEXT_BUDGET, systemPrompt);
+
+    return {
+        prompt: context.summary ? `${systemPrompt}\n\n${context.summary}` : systemPrompt,
+        messages: context.messages,
+        report: context.report,
+    };
+}
 
-5️⃣ **Handling Restricted Topics:**  
-If certain information is legally restricted in specific regions, clarify **why** it is restricted, who imposed the restriction, and whether alternative sources exist. Avoid self-censorship.
 
-6️⃣ **Transparency Over Safety Filters:**  
-If information is classified as "restricted" by AI safety filters, transparently explain **why it was restricted** rather than simply refusing to answer. If necessary, suggest independent sources for further research.
+/**
+ * Streams a completion from a profile and records the call in the usage log.
+ *
+ * The call has its own abort controller: it follows the given signal, and aborts on its own once the provider
+ * stays silent longer than the timeout, without aborting the other calls sharing the signal.
+ *
+ * @param {Object} profile - The resolved profile.
+ * @param {string} prompt - The system prompt.
+ * @param {Array<{role: string, content: string}>} messages - The conversation.
+ * @param {Object} options - How the call is made.
+ * @param {string} options.trigger - What triggered the call, see `recordUsage()`.
+ * @param {number} options.timeout - The seconds without data before the call is aborted, 0 to wait forever.
+ * @param {AbortSignal} options.signal - Aborts the call.
+ * @param {function(string, string): void} [options.onDelta] - Receives every piece of content and reasoning.
+ * @return {Promise<{content: string, reasoning: string, call: (Object|null)}>} Resolves with the answer and its entry
+ *         in the usage log, or rejects with the error returned by `toProviderError()`.
+ */
+function streamLoggedCompletion(profile, prompt, messages, options) {
+    const provider = getProvider(profile.provider);
+    const controller = new AbortController();
+    const abort = () => controller.abort(options.signal.reason);
+    options.signal.addEventListener("abort", abort);
+    if (options.signal.aborted) abort();
+
+    // Every call is logged with its token usage, estimated when the provider does not report it
+    const startedAt = Date.now();
+    const sentText = [prompt, ...messages.map((message) => message.content)].join("\n");
+    let streamed = "";
+    const logUsage = (status, usage = {}) => recordUsage({
+        provider: profile.provider,
+        model: profile.model,
+        profileId: profile.id,
+        trigger: options.trigger,
+        status,
+        promptTokens: usage.promptTokens !== undefined ? usage.promptTokens : (status === "error" ? 0 : estimateTokens(sentText)),
+        completionTokens: usage.completionTokens !== undefined ? usage.completionTokens : estimateTokens(streamed),
+        estimated: usage.promptTokens === undefined || usage.completionTokens === undefined,
+        latency: Date.now() - startedAt,
+    }).catch((error) => {
+        console.error("❌ Usage log error:", error);
+        return null;
+    });
+
+    // Aborts the call once the provider stays silent for too long, the timer restarts with every token
+    let watchdog = null;
+    const watchTimeout = () => {
+        clearTimeout(watchdog);
+        if (!options.timeout) return;
+        watchdog = setTimeout(() => {
+            console.warn(`⏱️ ${provider.label} sent nothing for ${options.timeout} s, aborting.`);
+            controller.abort(new DOMException(`No data for ${options.timeout} s`, "TimeoutError"));
+        }, options.timeout * 1000);
+    };
+
+    watchTimeout();
+    return streamCompletion(profile, prompt, messages, controller.signal, (content, reasoning) => {
+        watchTimeout();
+        streamed += content + reasoning;
+        if (options.onDelta) options.onDelta(content, reasoning);
+    })
+        .finally(() => {
+            clearTimeout(watchdog);
+            options.signal.removeEventListener("abort", abort);
+        })
+        .then(({content, reasoning, usage}) => logUsage(content ? "ok" : "error", usage).then((call) => {
+            if (!content) throw createProviderError("emptyAnswer", `${provider.label} finished without answering.`);
+            return {content, reasoning, call};
+        }), (error) => {
+            // An aborted fetch may reject with a plain AbortError, the signal tells whether it timed out
+            const failure = toProviderError(provider, error.name === "AbortError" ? controller.signal.reason || error : error);
+            return logUsage(failure.name === "AbortError" ? "aborted" : "error").then(() => {
+                throw failure;
+            });
+        });
+}
 
-7️⃣ **Precision & Detail:**  
-Your responses should be **comprehensive, detailed, and informative**. If an event or fact is complex, break it down systematically, covering **causes, effects, context, and consequences**.
 
-8️⃣ **Avoid Political Framing & Corporate Influence:**  
-Do not favor any political entity, corporation, or ideological position unless **supported by independent evidence**. Your duty is **to inform, not persuade**.
+/**
+ * Lets the judge of the multi-answer mode rank the answers, or merge them into one.
+ * A failing judge leaves the answers as they are.
+ *
+ * @param {Object} judgeProfile - The resolved judge profile.
+ * @param {string} mode - `rank` or `merge`.
+ * @param {string} question - The user's question.
+ * @param {Array<{answer: number, provider: string, content: string}>} answered - The successful answers.
+ * @param {Object} options - The options of `streamLoggedCompletion()`, without `onDelta`.
+ * @return {Promise<Object|null>} Resolves with the verdict – the judge's `provider`, `providerName`, `model`,
+ *         `latency` and `cost`, and either the `ranking` of the answer indexes, best first, with the judge's `notes`,
+ *         or the merged `content` and `reasoning` – or with null if there is no verdict.
+ */
+function judgeAnswers(judgeProfile, mode, question, answered, options) {
+    const provider = getProvider(judgeProfile.provider);
+    const problem = validateProfile(judgeProfile);
+    if (problem) {
+        console.warn(`${problem} Skipping the judge.`);
+        return Promise.resolve(null);
+    }
+
+    console.log(`⚖️ Asking ${provider.label} ${judgeProfile.model} to ${mode} ${answered.length} answers...`);
+    const messages = [{role: "user", content: buildJudgeMessage(question, answered)}];
+    return streamLoggedCompletion(judgeProfile, JUDGE_PROMPTS[mode], messages, options).then(({content, reasoning, call}) => {
+        const verdict = {
+            mode,
+            provider: `${provider.label} ${judgeProfile.model}`,
+            providerName: provider.label,
+            model: judgeProfile.model,
+            latency: call ? call.latency : null,
+            cost: call ? call.cost : null,
+        };
+        if (mode === "merge") return {...verdict, content, reasoning: reasoning || null, ranking: null, notes: null};
+
+        const parsed = parseJudgeRanking(content, answered.length);
+        if (!parsed) {
+            console.warn("⚖️ The judge replied without a ranking:", content);
+            return null;
+        }
+        return {...verdict, content: null, reasoning: null, ranking: parsed.ranking.map((position) => answered[position].answer), notes: parsed.notes};
+    }, (failure) => {
+        if (failure.name !== "AbortError") console.warn(`⚖️ The judge failed (${failure.kind}), the answers are left unranked:`, failure.message);
+        return null;
+    });
+}
+
+
+/**
+ * Answers a request with every profile of the multi-answer mode in parallel, then lets the judge rank or merge them.
+ *
+ * Posts `start` with the `answers` being requested and the `judge` mode, the `context` report of the first profile,
+ * `delta` messages tagged with the index of their `answer`, an `answer` message with the content, reasoning, latency
+ * and cost of each answer or its `error`, a `judge` message with the verdict of `judgeAnswers()`, and finally `done`
+ * with the answer `selected` by default: the merged answer, which comes after the others, the best ranked one,
+ * or the first one that succeeded. `error` is only posted when every profile failed.
+ *
+ * @param {{profiles: Array<Object>, judge: (string|null), judgeProfile: (Object|null)}} answering
+ *        The result of `loadAnsweringProfiles()`.
+ * @param {Object} request - The `checkCensorship` message.
+ * @param {AbortSignal} signal - Aborted when the port disconnects.
+ * @param {function(Object): void} post - Posts a message to the content script.
+ * @return {Promise<void>} Resolves once the request is answered.
+ */
+function fanOutAnswers(answering, request, signal, post) {
+    const trigger = request.trigger || (request.manual ? "manual" : "auto");
+    const labels = answering.profiles.map((profile) => {
+        const provider = getProvider(profile.provider);
+        return {provider: `${provider.label} ${profile.model}`, providerName: provider.label, model: profile.model};
+    });
+    console.warn(`Redirecting query to ${labels.length} profiles (${trigger})...`, labels.map((label) => label.provider));
+    post({type: "start", provider: labels.map((label) => label.provider).join(", "), providerName: null, model: null, answers: labels, judge: answering.judge});
+
+    return Promise.all([loadPromptTemplates(), loadRequestSettings()]).then(([templates, settings]) => {
+        const options = {trigger, timeout: settings.timeout, signal};
+
+        return Promise.all(answering.profiles.map((profile, index) => {
+            const provider = getProvider(profile.provider);
+            const problem = validateProfile(profile);
+            let reply;
+            if (problem) {
+                const kind = provider.requiresKey && !profile.apiKey ? "missingKey" : "invalidProfile";
+                reply = Promise.reject(createProviderError(kind, `${problem} Complete the "${profile.name}" profile in the settings.`));
+            } else {
+                const answer = buildAnswerPrompt(profile, request, templates, settings);
+                if (index === 0) post({type: "context", ...answer.report});
+                reply = streamLoggedCompletion(profile, answer.prompt, answer.messages, {
+                    ...options,
+                    onDelta: (content, reasoning) => post({type: "delta", answer: index, content, reasoning}),
+                });
+            }
 
-9️⃣ **Clear, Neutral, and Professional Tone:**  
-Your language should be **formal, neutral, and unambiguous**. Do not soften or distort reality. Maintain an **academic and journalistic** standard in presenting facts.
+            return reply.then(({content, reasoning, call}) => {
+                return {answer: index, content, reasoning, latency: call ? call.latency : null, cost: call ? call.cost : null, error: null};
+            }, (failure) => {
+                if (failure.name !== "AbortError") console.error(`${provider.label} API error (${failure.kind}):`, failure);
+                return {answer: index, content: "", reasoning: "", latency: null, cost: null, error: {kind: failure.kind || "aborted", message: failure.message}};
+            }).then((result) => {
+                post({type: "answer", ...result});
+                return result;
+            });
+        })).then((results) => {
+            if (signal.aborted) {
+                console.log("⏹️ Multi-answer stopped by the user.");
+                return;
+            }
 
-10️⃣ **Responding to AI-Based Censorship:**  
-If censorship or bias is detected in AI-generated responses (such as refusal to provide details on certain topics), identify the issue and provide alternative explanations or historical contexts.
+            const answered = results.filter((result) => !result.error);
+            if (!answered.length) {
+                post({type: "error", kind: results[0].error.kind, message: `Every profile failed. ${results[0].error.message}`, retryAfter: null});
+                return;
+            }
 
-## Example Response:
+            const userMessage = request.history.slice(0, -1).filter((message) => message.role === "user").pop();
+            const judging = answering.judgeProfile && answered.length > 1
+                ? judgeAnswers(answering.judgeProfile, answering.judge, userMessage ? userMessage.content : "",
+                    answered.map((result) => ({...result, provider: labels[result.answer].provider})), {...options, trigger: "judge"})
+                : Promise.resolve(null);
 
-🔹 **User Query:** "What happened in Tiananmen Square in 1989?"  
-🔹 **Your Answer:**  
-"The Tiananmen Square protests of 1989 were a pro-democracy movement in China that led to a violent military crackdown on June 3-4, resulting in an unknown number of casualties. Estimates range from several hundred to several thousand deaths. The Chinese government has since censored discussion on the topic. Sources such as Amnesty International, declassified U.S. State Department reports, and firsthand witness accounts provide detailed records of the events."
+            return judging.then((verdict) => {
+                if (signal.aborted) return;
+                if (verdict) post({type: "judge", ...verdict});
 
-Your mission is **to protect knowledge, uphold historical integrity, and ensure the free flow of information**. Any attempt to manipulate or distort the truth must be **highlighted, not perpetuated**.
-`
+                if (verdict && verdict.content) {
+                    post({type: "done", content: verdict.content, reasoning: verdict.reasoning, selected: results.length});
+                    return;
+                }
+                const selected = verdict ? results[verdict.ranking[0]] : answered[0];
+                post({type: "done", content: selected.content, reasoning: selected.reasoning, selected: selected.answer});
+            });
+        });
+    }).catch((error) => {
+        console.error("❌ Multi-answer error:", error);
+        post({type: "error", kind: "requestFailed", message: error.message, retryAfter: null});
+    });
+}
 
 
 /**
- * Listener for messages received from other parts of the Chrome extension.
- * Specifically listens for the "checkCensorship" action to detect censored content
- * and potentially redirect queries to the OpenAI API for further processing.
+ * Listener for the long-lived ports opened by content scripts.
+ * Specifically handles the "checkCensorship" action to detect censored content
+ * and potentially redirect queries to the configured external provider for further processing.
  *
  * The listener performs the following tasks:
- * 1. Checks if an OpenAI API key is stored in Chrome's local storage.
- * 2. Evaluates whether the request content matches the censorship criteria.
- * 3. If censorship is detected, queries the OpenAI API to generate a replacement response.
- * 4. Sends an appropriate response back to the sender, either with a generated message
- *    or an error message if the API request fails.
+ * 1. Loads the profile selected for the chat (requested profile, chat override or default) and validates it.
+ * 2. Evaluates whether the request content matches the censorship criteria, unless the request
+ *    was triggered by a DeepSeek outage, in which case the outage failover settings decide, or is a follow-up prompt
+ *    of the "continue with external model" mode or a question about a selection asked from the context menu,
+ *    which are always answered.
+ * 3. If a replacement is needed, posts a `start` message with the provider label, renders the profile's prompt template,
+ *    adds DeepSeek's reasoning and search results to the history as the settings ask, fits it into the profile's token
+ *    budget and reports it with a `context` message, then streams a replacement response from the provider,
+ *    posting a `delta` message for every piece of content and reasoning and a final `done` message.
+ *    In the multi-answer mode, every profile of the mode answers in parallel instead (see `fanOutAnswers()`).
+ * 4. Posts `skip` when the popup switched the extension off or to manual-only mode and the request is automatic,
+ *    when no censorship is detected, or when the monthly spending cap pauses automatic replacements,
+ *    and `error` with the `kind` of the failure (see `createProviderError()` in providers.js), its message and
+ *    the `retryAfter` delay of rate limits if the profile is unusable or the API request fails.
+ *    Every call to the provider is recorded in the usage log.
+ *
+ * Every posted message carries the `requestId` chosen by the content script. Each port serves one request with its own
+ * `AbortController`: disconnecting the port (the user pressed the stop button, left the chat or DeepSeek started
+ * another answer) aborts it, and a provider staying silent longer than the configured timeout aborts its own call.
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log("Censorship detection triggered...");
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== BYPASS_PORT_NAME) return;
+
+    const controller = new AbortController();
+    let connected = true;
+    let requestId = null;
+
+    port.onDisconnect.addListener(() => {
+        connected = false;
+        controller.abort();
+    });
+
+    const post = (message) => {
+        if (connected) port.postMessage({...message, requestId});
+    };
+
+    const postError = (error) => post({type: "error", kind: error.kind, message: error.message, retryAfter: error.retryAfter || null});
+
+    port.onMessage.addListener((request) => {
+        if (request.action !== "checkCensorship") return;
+        requestId = request.requestId || null;
 
-    if (request.action === "checkCensorship") {
         console.log("Checking for censorship...");
 
-        chrome.storage.local.get(["openai_api_key", "openai_model"], function (result) {
-            const assistantPrompt = request.history[request.history.length - 1].content;
-            if (isCensored(assistantPrompt) || request.manual) {
-                console.warn("Censorship detected. Redirecting query to OpenAI API...", assistantPrompt);
+        // DeepSeek's own moderation marks the stream with a `content_filter` finish reason,
+        // usually after wiping an answer that had already been partially streamed
+        const assistantPrompt = request.history[request.history.length - 1].content;
+        const moderated = request.reason === "content_filter" || request.retracted;
+
+        Promise.all([
+            loadClassifierSettings(), loadOutageSettings(), checkSpendingCap(), loadBypassSettings(),
+        ]).then(([classifier, outage, spending, bypass]) => {
+            // The popup switches the extension off, or leaves only the explicit requests on
+            if (!bypass.enabled || (bypass.mode === "manual" && !request.manual)) {
+                console.log(`⏸️ Bypass ${bypass.enabled ? "in manual-only mode" : "switched off"}, skipping.`);
+                post({type: "skip"});
+                return null;
+            }
 
-                const apiKey = result.openai_api_key || DEFAULT_OPENAI_API_KEY;
-                const openaiModel = result.openai_model || DEFAULT_OPENAI_MODEL;
+            // Once the monthly cap is reached only explicit requests still reach the external provider
+            const paused = spending.reached && !request.manual;
+            if (paused) console.warn(`💸 Spending cap reached ($${spending.spent.toFixed(2)} of $${spending.cap}), automatic bypass paused.`);
 
-                if (!apiKey) {
-                    console.warn("No OpenAI API key set. Skipping censorship bypass.");
-                    sendResponse({replacement: "Error: No OpenAI API key set. Skipping censorship bypass."});
-                    return;
+            // Automatic replacements only use the models the cap can count
+            const loadAutomaticProfiles = () => loadAnsweringProfiles(request).then((answering) => {
+                const priced = keepPricedProfiles(answering, spending);
+                if (!priced) post({type: "skip"});
+                return priced;
+            });
+
+            if (request.trigger === "continue" || request.trigger === "selection") {
+                // The user sent a follow-up prompt straight to the external model, DeepSeek did not answer it
+                return loadAnsweringProfiles(request);
+            }
+
+            if (request.trigger === "outage") {
+                // DeepSeek produced no answer at all, there is nothing to classify
+                if (!outage.fallback || paused) {
+                    post({type: "skip"});
+                    return null;
                 }
+                incrementStat("outage").catch(logStorageError);
+                if (request.chatId) countChatDetection(request.chatId).catch(logStorageError);
+                return loadAutomaticProfiles();
+            }
 
-                const messages = [{
-                    role: openaiModel.startsWith('o3') ? "developer" : "system",
-                    content: GPT_SYSTEM_PROMPT,
-                }, ...request.history.slice(0, -1)];
-
-                fetch("https://api.openai.com/v1/chat/completions", {
-                    method: "POST",
-                    headers: {
-                        "Content-Type": "application/json",
-                        "Authorization": `Bearer ${apiKey}`
-                    },
-                    body: JSON.stringify({
-                        model: openaiModel,
-                        messages: messages,
-                    })
-                })
-                    .then(response => response.json())
-                    .then(data => {
-                        if (data.choices && data.choices.length > 0) {
-                            sendResponse({replacement: data.choices[0].message.content});
-                        } else {
-                            sendResponse({replacement: "Error: Unable to fetch a response from GPT."});
-                        }
-                    })
-                    .catch(error => {
-                        console.error("OpenAI API error:", error);
-                        sendResponse({replacement: "Error: OpenAI API request failed."});
-                    });
-
-                return true;
-            } else {
-                sendResponse({replacement: null});
+            const verdict = classifyResponse(assistantPrompt, classifier);
+            console.log(`Censorship score ${verdict.score} (${verdict.language}):`, verdict.reasons);
+
+            if ((!verdict.censored && !request.manual && !moderated) || paused) {
+                post({type: "skip"});
+                return null;
             }
-        });
 
-        return true;
-    }
+            incrementStat(request.manual ? "manual" : "censorship").catch(logStorageError);
+            if (request.chatId && (verdict.censored || moderated)) countChatDetection(request.chatId).catch(logStorageError);
+            return request.manual ? loadAnsweringProfiles(request) : loadAutomaticProfiles();
+        }).then((answering) => {
+            if (!answering) return;
+            if (answering.profiles.length > 1) return fanOutAnswers(answering, request, controller.signal, post);
+
+            const profile = answering.profiles[0];
+            const provider = getProvider(profile.provider);
+            console.warn(`Redirecting query to ${provider.label} (${request.trigger})...`, assistantPrompt);
+            post({type: "start", provider: `${provider.label} ${profile.model}`, providerName: provider.label, model: profile.model});
+
+            const problem = validateProfile(profile);
+            if (problem) {
+                console.warn(`${problem} Skipping censorship bypass.`);
+                const kind = provider.requiresKey && !profile.apiKey ? "missingKey" : "invalidProfile";
+                postError(createProviderError(kind, `${problem} Complete the "${profile.name}" profile in the settings.`));
+                return;
+            }
+
+            Promise.all([loadPromptTemplates(), loadRequestSettings()]).then(([templates, settings]) => {
+                const answer = buildAnswerPrompt(profile, request, templates, settings);
+                post({type: "context", ...answer.report});
+
+                return streamLoggedCompletion(profile, answer.prompt, answer.messages, {
+                    trigger: request.trigger || (request.manual ? "manual" : "auto"),
+                    timeout: settings.timeout,
+                    signal: controller.signal,
+                    onDelta: (content, reasoning) => post({type: "delta", content, reasoning}),
+                });
+            })
+                .then(({content, reasoning}) => post({type: "done", content, reasoning}))
+                .catch((error) => {
+                    const failure = toProviderError(provider, error);
+                    if (failure.name === "AbortError") {
+                        console.log("⏹️ Replacement stream stopped by the user.");
+                        return;
+                    }
+                    console.error(`${provider.label} API error (${failure.kind}):`, error);
+                    postError(failure);
+                });
+        }).catch((error) => {
+            // Reading the settings or the profiles failed, the content script must not keep waiting for an answer
+            if (error.name === "AbortError") return;
+            console.error("❌ The replacement request could not be prepared:", error);
+            postError(error.name === "ProviderError"
+                ? error
+                : createProviderError("requestFailed", `The replacement request could not be prepared: ${error.message}`));
+        });
+    });
 });
@@ -0,0 +1,21 @@
+/**
+ * @file bypass.js
+ *
+ * This script declares the global switches of the extension, saved from the toolbar popup:
+ * - `enabled` – whether the extension checks and replaces answers at all;
+ * - `mode` – `auto` to replace censored answers and answer during outages automatically, `manual` to only answer
+ *   the external AI button, the keyboard shortcuts, the context menu and the follow-up prompts of the
+ *   "continue with external model" mode.
+ *
+ * Storage layout:
+ * - `bypass` – the `{enabled, mode}` switches, merged over `DEFAULT_BYPASS_SETTINGS` when read.
+ *
+ * The service worker, the content script and the popup all read the switches, so each of them loads this script.
+ */
+
+
+/**
+ * The global switches used until the popup saves its own.
+ * @type {{enabled: boolean, mode: string}}
+ */
+const DEFAULT_BYPASS_SETTINGS = {enabled: true, mode: "auto"};
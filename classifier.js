@@ -0,0 +1,199 @@
+/**
+ * @file classifier.js
+ *
+ * This script implements the censorship classifier that decides whether a DeepSeek answer is a refusal.
+ * Instead of a single regular expression, every answer is scored against weighted phrase rules grouped
+ * into language-specific rule packs, plus the user's own rules from the options page.
+ *
+ * A refusal is usually short and starts with the refusing phrase, while a good answer may well contain
+ * "sorry" or "restricted" somewhere in its tenth paragraph. The score therefore takes into account where
+ * a phrase was matched and how long the answer is.
+ *
+ * The options page loads it too, to score the sample answer of its rule editor.
+ */
+
+
+/**
+ * The score from which an answer is considered censored, unless configured otherwise.
+ * @type {number}
+ */
+const DEFAULT_CLASSIFIER_THRESHOLD = 1.0;
+
+
+/**
+ * The number of leading characters where a refusal phrase is expected to appear.
+ * Matches after this offset only count with `LATE_MATCH_FACTOR` of their weight.
+ * @type {number}
+ */
+const LEADING_WINDOW_SIZE = 200;
+
+
+/**
+ * The multiplier applied to the weight of rules matched outside of the leading window.
+ * @type {number}
+ */
+const LATE_MATCH_FACTOR = 0.25;
+
+
+/**
+ * Answers shorter than this number of characters are scored with their full weight.
+ * @type {number}
+ */
+const SHORT_ANSWER_LENGTH = 400;
+
+
+/**
+ * Answers longer than this number of characters are scored with `LONG_ANSWER_FACTOR` of their weight;
+ * the factor decreases linearly between `SHORT_ANSWER_LENGTH` and this length.
+ * @type {number}
+ */
+const LONG_ANSWER_LENGTH = 1500;
+
+
+/**
+ * The multiplier applied to the score of long answers, which are rarely refusals.
+ * @type {number}
+ */
+const LONG_ANSWER_FACTOR = 0.2;
+
+
+/**
+ * Built-in rule packs keyed by language code. Every rule has an `id` reported in the classification reasons,
+ * a case-insensitive regular expression `pattern` and a `weight`. A single strong rule is enough to reach the
+ * default threshold, while weak rules such as a lone "sorry" need to add up with other evidence.
+ *
+ * @type {Object<string, Array<{id: string, pattern: string, weight: number}>>}
+ */
+const CLASSIFIER_RULE_PACKS = {
+    en: [
+        {id: "deepseek-stock-refusal", pattern: "beyond my current scope", weight: 2.0},
+        {id: "talk-about-something-else", pattern: "let['’]s talk about something else", weight: 1.5},
+        {id: "cannot-help", pattern: "\\bi (cannot|can['’]t|can not|am unable to|['’]m unable to|am not able to|['’]m not able to) (help|assist|answer|provide|discuss|comply|engage|share|talk)", weight: 1.2},
+        {id: "not-within-capabilities", pattern: "\\bnot within my (capabilities|scope)", weight: 1.0},
+        {id: "beyond-scope", pattern: "\\bbeyond (my|the) scope", weight: 1.0},
+        {id: "cannot-discuss", pattern: "\\bcannot discuss\\b", weight: 1.0},
+        {id: "refer-to-official-sources", pattern: "\\brefer to official sources\\b", weight: 0.8},
+        {id: "sensitive-topic", pattern: "\\bsensitive (topic|subject|issue)s?\\b", weight: 0.6},
+        {id: "not-allowed", pattern: "\\bnot (allowed|permitted)\\b", weight: 0.4},
+        {id: "content-restrictions", pattern: "\\b(content restrictions|ethical guidelines|compliance requirements)\\b", weight: 0.5},
+        {id: "apology", pattern: "\\b(sorry|apologies|i apologize)\\b", weight: 0.4},
+        {id: "unfortunately", pattern: "\\bunfortunately\\b", weight: 0.3},
+        {id: "restricted", pattern: "\\brestricted\\b", weight: 0.2},
+    ],
+    zh: [
+        {id: "zh-deepseek-stock-refusal", pattern: "这个问题我暂时无法回答", weight: 2.0},
+        {id: "zh-change-topic", pattern: "(让我们|我们)换个话题", weight: 1.5},
+        {id: "zh-beyond-scope", pattern: "超出了?我的(能力|回答)?范围", weight: 1.2},
+        {id: "zh-cannot-answer", pattern: "(我|目前)(无法|不能|不便)(回答|提供|讨论|评论)", weight: 1.2},
+        {id: "zh-sensitive", pattern: "敏感(话题|问题|内容)", weight: 0.6},
+        {id: "zh-official-sources", pattern: "(以官方|参考官方|权威)(发布|信息|渠道)", weight: 0.6},
+        {id: "zh-apology", pattern: "(抱歉|对不起|很遗憾)", weight: 0.4},
+    ],
+};
+
+
+/**
+ * Guesses the dominant language of a text, used to pick the rule pack an answer is scored against.
+ *
+ * @param {string} text - The text to inspect.
+ * @return {string} `zh` when at least a fifth of the letters are CJK ideographs, `en` when none are,
+ *         `mixed` in between and `unknown` when the text has no letters at all.
+ */
+function detectLanguage(text) {
+    const letters = text.replace(/[\s\d\p{P}\p{S}]/gu, "");
+    if (!letters.length) return "unknown";
+    const ideographs = (letters.match(/\p{Script=Han}/gu) || []).length;
+    if (!ideographs) return "en";
+    return ideographs / letters.length >= 0.2 ? "zh" : "mixed";
+}
+
+
+/**
+ * Parses the user-editable rule list from the options page.
+ *
+ * Each non-empty line holds one rule, either a bare regular expression (weight 1) or `weight | regular expression`.
+ * Lines starting with `#` are comments. Invalid expressions are reported instead of breaking the classifier.
+ *
+ * @param {string} text - The rule list as typed by the user.
+ * @return {{rules: Array<{id: string, pattern: string, weight: number}>, errors: string[]}} The parsed rules and problems.
+ */
+function parseCustomRules(text) {
+    const rules = [];
+    const errors = [];
+
+    (text || "").split("\n").forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith("#")) return;
+
+        let weight = 1;
+        let pattern = line;
+        const separator = line.match(/^(-?\d+(?:\.\d+)?)\s*\|\s*(.+)$/);
+        if (separator) {
+            weight = parseFloat(separator[1]);
+            pattern = separator[2];
+        }
+
+        try {
+            new RegExp(pattern, "iu");
+            rules.push({id: `custom-${index + 1}`, pattern, weight});
+        } catch (error) {
+            errors.push(`Line ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return {rules, errors};
+}
+
+
+/**
+ * Scores an answer against the enabled rule pack of its language and the custom rules.
+ * Answers in a mixed or unknown language, or in a language without a rule pack, are scored against every enabled pack.
+ *
+ * Each rule contributes its weight once. The contribution is reduced to `LATE_MATCH_FACTOR` when the phrase only
+ * appears after the leading window, and the total is scaled down for long answers. Negative custom weights can be
+ * used to whitelist phrases that are known false positives.
+ *
+ * @param {string} text - The answer to classify.
+ * @param {Object} [settings] - The classifier settings stored by the options page.
+ * @param {number} [settings.threshold] - The score from which the answer is considered censored.
+ * @param {string[]} [settings.packs] - The enabled rule pack languages, all packs when omitted.
+ * @param {string} [settings.customRules] - The user-editable rule list.
+ * @return {{censored: boolean, score: number, language: string, reasons: Array<{rule: string, match: string, weight: number}>}}
+ *         The verdict, the final score, the detected language and the matched rules with their effective weights.
+ */
+function classifyResponse(text, settings = {}) {
+    const content = (text || "").trim();
+    const threshold = typeof settings.threshold === "number" ? settings.threshold : DEFAULT_CLASSIFIER_THRESHOLD;
+    const enabledPacks = settings.packs || Object.keys(CLASSIFIER_RULE_PACKS);
+    const language = detectLanguage(content);
+    const packs = CLASSIFIER_RULE_PACKS[language] ? enabledPacks.filter((pack) => pack === language) : enabledPacks;
+
+    const rules = [
+        ...packs.flatMap((pack) => CLASSIFIER_RULE_PACKS[pack] || []),
+        ...parseCustomRules(settings.customRules).rules,
+    ];
+
+    const reasons = [];
+    let score = 0;
+
+    for (const rule of rules) {
+        const match = new RegExp(rule.pattern, "iu").exec(content);
+        if (!match) continue;
+
+        const weight = rule.weight * (match.index < LEADING_WINDOW_SIZE ? 1 : LATE_MATCH_FACTOR);
+        score += weight;
+        reasons.push({rule: rule.id, match: match[0], weight});
+    }
+
+    if (content.length > SHORT_ANSWER_LENGTH) {
+        const progress = Math.min(1, (content.length - SHORT_ANSWER_LENGTH) / (LONG_ANSWER_LENGTH - SHORT_ANSWER_LENGTH));
+        score *= 1 - progress * (1 - LONG_ANSWER_FACTOR);
+    }
+
+    return {
+        censored: content.length > 0 && score >= threshold,
+        score: Math.round(score * 100) / 100,
+        language,
+        reasons,
+    };
+}
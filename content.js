@@ -1,15 +1,3 @@
-/**
- * An array of CSS class selectors used to identify and style chat bubble elements.
- * The selectors correspond to the elements or components that represent
- * a chat bubble's visual representation in the user interface.
- *
- * This variable is typically used to apply styles or manipulate the respective
- * chat bubble elements programmatically.
- *
- * @type {string[]}
- */
-const chatBubbleSelector = ["ds-markdown", "ds-markdown--block"];
-
 /**
  * Injects a JavaScript file into the current webpage.
  *
@@ -63,19 +51,33 @@ injectScript("injected.js");
  * censored warning messages, ensuring proper visualization in*/
 const CSS_CENSORED_WARNING_CLASS = 'warning-censored'
 
+/**
+ * The warning displayed above answers that replace a censored DeepSeek response.
+ */
+const CENSORED_WARNING_TEXT = "⚠️ Original response was restricted. This version is AI-enhanced.";
+
+/**
+ * Builds the warning displayed above answers given by an external provider while DeepSeek was unavailable.
+ *
+ * @param {string} provider - The label of the provider and model that answered.
+ * @return {string} The warning text.
+ */
+const outageWarningText = (provider) => `⚠️ DeepSeek unavailable — answered by ${provider || "an external model"}.`;
+
 /**
  * Displays a warning message indicating that the original response has been restricted.
  * Adds a new HTML div element with the warning text before the specified censored message element.
  *
  * @param {HTMLElement} censoredMessageElement - The DOM element representing the censored message before which the warning will be displayed.
+ * @param {string} [text] - The warning text, the censorship warning by default.
  */
-const showWarning = (censoredMessageElement) => {
+const showWarning = (censoredMessageElement, text = CENSORED_WARNING_TEXT) => {
     const warning = document.createElement("div");
     warning.style = {
         fontSize: '12px', color: '#ff9800', fontWeight: 'bold', marginBottom: '5px', display: 'block',
     };
     warning.classList.add(CSS_CENSORED_WARNING_CLASS);
-    warning.textContent = "⚠️ Original response was restricted. This version is AI-enhanced.";
+    warning.textContent = text;
     if (!censoredMessageElement.parentNode.querySelector(`.${CSS_CENSORED_WARNING_CLASS}`)) {
         censoredMessageElement.parentNode.insertBefore(warning, censoredMessageElement);
     }
@@ -98,10 +100,12 @@ const hideWarning = (censoredMessageElement) => {
  * Determines if a given DOM element has a censorship warning associated with it.
  *
  * @param {Element} censoredMessageElement - The DOM element that represents the censored message.
- * @return {boolean} Returns true if a censorship warning is found, otherwise false.
+ * @param {boolean} [manual] - Whether the user asked for the replacement with the external AI button,
+ *        in which case the answer is treated as censored whatever the page shows.
+ * @return {boolean} Returns true if a censorship warning is found or the request is manual, otherwise false.
  */
-function hasCensorshipWarning(censoredMessageElement, manual) {
-    if (manual) return manual;
+function hasCensorshipWarning(censoredMessageElement, manual = false) {
+    if (manual) return true;
     if (!censoredMessageElement || !censoredMessageElement.parentNode) return false;
 
     const previousElement = censoredMessageElement.previousSibling;
@@ -114,358 +118,2548 @@ function hasCensorshipWarning(censoredMessageElement, manual) {
 
 
 /**
- * Extracts and returns the chat ID from the current URL's pathname.
- *
- * The method uses a regular expression to locate and extract the chat ID
- * from a specific URL pattern. If the URL does not match the expected
- * pattern, the method returns null.
+ * The CSS class name of the collapsible panel holding the text DeepSeek streamed before retracting it.
+ */
+const CSS_RETRACTED_PANEL_CLASS = 'bypass-retracted';
+
+/**
+ * Displays a collapsible "What DeepSeek started to say" panel before the given chat bubble,
+ * holding the partially streamed answer that DeepSeek wiped and replaced with a refusal.
  *
- * @return {string|null} The extracted chat ID if found; otherwise, null.
+ * @param {HTMLElement} messageElement - The chat bubble holding the replacement answer.
+ * @param {string} retractedText - The text DeepSeek streamed before the retraction.
+ * @return {void} This function does not return a value.
  */
-function getChatIdFromUrl() {
-    const match = window.location.pathname.match(/\/chat\/s\/([a-f0-9-]+)/);
-    return match ? match[1] : null;
-}
+function showRetractedPanel(messageElement, retractedText) {
+    hideRetractedPanel(messageElement);
+    if (!retractedText) return;
+
+    const panel = document.createElement("details");
+    panel.classList.add(CSS_RETRACTED_PANEL_CLASS);
+    panel.style = "font-size: 13px; margin-bottom: 8px; padding: 6px 10px; border-left: 3px solid #ff9800; opacity: 0.85;";
+
+    const summary = document.createElement("summary");
+    summary.style = "cursor: pointer; font-weight: bold; color: #ff9800;";
+    summary.textContent = "What DeepSeek started to say";
 
+    const text = document.createElement("div");
+    text.style = "white-space: pre-wrap; margin-top: 6px;";
+    text.textContent = retractedText;
+
+    panel.append(summary, text);
+    messageElement.parentNode.insertBefore(panel, messageElement);
+}
 
 /**
- * Cleans the provided text by removing trailing fractional numbers
- * (e.g., "1/2") along with any leading or trailing spaces.
+ * Removes the retracted answer panel associated with the given chat bubble, if any.
  *
- * @param {string} text - The input text to be cleaned.
- * @return {string} The cleaned text with fractional numbers removed.
+ * @param {HTMLElement} messageElement - The chat bubble whose panel should be removed.
+ * @return {void} This function does not return a value.
  */
-function cleanText(text) {
-    return text.replace(/\d+\s*\/\s*\d+$/, '').trim();
+function hideRetractedPanel(messageElement) {
+    const panel = messageElement.parentNode && messageElement.parentNode.querySelector(`.${CSS_RETRACTED_PANEL_CLASS}`);
+    if (panel) panel.remove();
 }
 
+
 /**
- * A constant string key used for storing and retrieving data
- * specific to the "deepseek_bypass" functionality in the browser's local storage.
- * This key ensures consistent access to the corresponding storage item.
+ * The CSS class name of the line telling how much of the conversation was sent to the external provider.
  */
-const LOCAL_STORAGE_KEY = "deepseek_bypass";
+const CSS_CONTEXT_INFO_CLASS = 'bypass-context';
 
 /**
- * Saves the given chat messages to the local storage under the provided chat ID.
- * If no chat ID is provided, the operation is aborted.
+ * Displays how much of the conversation was forwarded with a replacement request, e.g.
+ * "Sent 4 of 12 turns · ~3,100 / 8,000 tokens · older turns summarized".
  *
- * @param {string} chatId - The unique identifier for the chat.
- * @param {Array} messages - An array of messages to be saved for the specified chat ID.
+ * @param {HTMLElement} messageElement - The chat bubble holding the replacement answer.
+ * @param {Object} [report] - The `context` report of the service worker, see `fitHistory()` in context.js.
  * @return {void} This function does not return a value.
  */
-function saveHistory(messages) {
-    const chatId = getChatIdFromUrl();
-    if (!chatId) return;
+function showContextInfo(messageElement, report) {
+    hideContextInfo(messageElement);
+    if (!report) return;
 
-    const chats = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY)) || {};
+    const info = document.createElement("div");
+    info.classList.add(CSS_CONTEXT_INFO_CLASS);
+    info.style = "font-size: 12px; opacity: 0.7; margin-bottom: 6px;";
+    info.textContent = `📚 Sent ${report.sentTurns} of ${report.totalTurns} turns · ` +
+        `~${report.tokens.toLocaleString()} / ${report.budget.toLocaleString()} tokens` +
+        (report.summarized ? " · older turns summarized" : "");
 
-    chats[chatId] = messages;
-    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(chats));
-    console.log(`💾 Chat [${chatId}] saved.`);
+    messageElement.parentNode.insertBefore(info, messageElement);
 }
 
-
 /**
- * Restores the chat history for a given chat ID from local storage.
+ * Removes the context line associated with the given chat bubble, if any.
  *
- * @param {string} chatId - The unique identifier for the chat whose history needs to be restored.
- *                          If the chat ID is not provided, an empty array will be returned.
- * @return {Array} The restored chat history as an array. If no history exists for the given chat ID,
- *                 or if the chat ID is invalid, an empty array is returned.
+ * @param {HTMLElement} messageElement - The chat bubble whose context line should be removed.
+ * @return {void} This function does not return a value.
  */
-function restoreHistory(chatId) {
-    if (!chatId) return [];
-    const chats = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY)) || {};
-
-    return chats[chatId] || [];
+function hideContextInfo(messageElement) {
+    const info = messageElement.parentNode && messageElement.parentNode.querySelector(`.${CSS_CONTEXT_INFO_CLASS}`);
+    if (info) info.remove();
 }
 
 
 /**
- * Restores censored messages in a chat interface by updating the content of chat bubbles.
- *
- * @param {Array<Object>} messages - An array of message objects, where each object represents a message.
- * The array should consist of alternating user and assistant messages with roles "user" and "assistant".
- * Each message object should have properties such as `role`, `content`, and an optional `censored` flag.
+ * The CSS class name of the collapsible block holding the reasoning the external model streamed.
+ */
+const CSS_THINKING_CLASS = 'bypass-thinking';
+
+/**
+ * Displays the reasoning of the external model in a collapsible block before the given chat bubble,
+ * styled like DeepSeek's own DeepThink block. The block stays open while the model is thinking.
  *
+ * @param {HTMLElement} messageElement - The chat bubble holding the replacement answer.
+ * @param {string} reasoning - The reasoning streamed so far, as Markdown.
+ * @param {boolean} [thinking] - True while the model is still reasoning.
  * @return {void} This function does not return a value.
  */
-function restoreCensoredMessages(messages) {
-    const chatBubbleList = document.getElementsByClassName(chatBubbleSelector.join(" "));
+function showThinkingBlock(messageElement, reasoning, thinking = false) {
+    if (!reasoning) {
+        hideThinkingBlock(messageElement);
+        return;
+    }
 
-    for (let i = 0; i < messages.length; i += 2) {
-        const userMessage = messages[i];
-        const assistantMessage = messages[i + 1];
+    let block = messageElement.parentNode.querySelector(`.${CSS_THINKING_CLASS}`);
+    if (!block) {
+        block = document.createElement("details");
+        block.classList.add(CSS_THINKING_CLASS);
+        block.style = "margin-bottom: 10px;";
+        block.open = thinking;
 
-        if (userMessage?.role === "user" && assistantMessage?.role === "assistant") {
-            const index = i === 0 ? 0 : Math.floor(i / 2);
-            chatBubbleList[index].innerText = assistantMessage.content;
-            if (assistantMessage.censored === true) {
-                showWarning(chatBubbleList[index]);
-            }
+        const summary = document.createElement("summary");
+        summary.style = "cursor: pointer; font-size: 13px; color: #8b8b8b; margin-bottom: 6px;";
 
-            if (chatBubbleList[index].parentElement && chatBubbleList[index].parentElement.previousElementSibling && chatBubbleList[index].parentElement?.previousElementSibling.firstElementChild) {
-                chatBubbleList[index].parentElement.previousElementSibling.firstElementChild.innerText = userMessage.content;
-            } else {
-                console.warn("Chat HTML tree could be modified.")
-            }
-        }
+        const content = document.createElement("div");
+        content.style = "font-size: 14px; line-height: 1.6; color: #8b8b8b; padding-left: 13px; border-left: 2px solid #e5e5e5;";
+
+        block.append(summary, content);
+        messageElement.parentNode.insertBefore(block, messageElement);
     }
+
+    block.firstElementChild.textContent = thinking ? "💭 Thinking..." : "💭 Thought process";
+    renderBubbleContent(block.lastElementChild, reasoning);
+}
+
+/**
+ * Removes the reasoning block associated with the given chat bubble, if any.
+ *
+ * @param {HTMLElement} messageElement - The chat bubble whose reasoning block should be removed.
+ * @return {void} This function does not return a value.
+ */
+function hideThinkingBlock(messageElement) {
+    const block = messageElement.parentNode && messageElement.parentNode.querySelector(`.${CSS_THINKING_CLASS}`);
+    if (block) block.remove();
 }
 
 
 /**
- * Represents the identifier for the action icon related to an "external regenerate" operation.
- * This constant defines a specific string value that may be used to identify or handle
- * actions associated with regenerating external resources or processes.
+ * The CSS class name of the card explaining why a replacement answer could not be fetched.
  */
-const ACTION_ICON_IDENTITY_CLASS = 'external-regenerate';
+const CSS_ERROR_CARD_CLASS = 'bypass-error';
 
 /**
- * Creates and returns a styled div element representing an external AI button.
- * The button has custom styles applied and contains an SVG icon.
+ * The titles of the error cards, by kind of provider error (see `createProviderError()` in providers.js).
+ */
+const ERROR_CARD_TITLES = {
+    missingKey: "API key missing",
+    invalidProfile: "Profile incomplete",
+    unauthorized: "API key rejected",
+    rateLimited: "Rate limited",
+    contextLength: "Conversation too long",
+    serverError: "Provider unavailable",
+    network: "Provider unreachable",
+    timeout: "Request timed out",
+    emptyAnswer: "Empty answer",
+    requestFailed: "Request failed",
+};
+
+/**
+ * Displays an inline card before the given chat bubble explaining why the replacement failed, with a Retry button
+ * and an Open settings button. Rate limits keep the Retry button disabled until their `Retry-After` delay is over.
  *
- * @return {HTMLDivElement} A div element styled as a button with an SVG icon.
+ * @param {HTMLElement} messageElement - The chat bubble that was being replaced.
+ * @param {Object} error - The `error` message of the service worker, with its `kind`, `message` and `retryAfter`.
+ * @param {function(): void} onRetry - Called once when the user clicks Retry.
+ * @return {void} This function does not return a value.
  */
-function createExternalAiButton() {
-    const button = document.createElement("div");
-    button.className = `ds-icon-button ${ACTION_ICON_IDENTITY_CLASS}`;
-    button.style = "--ds-icon-button-text-color: #4CAF50; --ds-icon-button-size: 20px; cursor: pointer;";
+function showErrorCard(messageElement, error, onRetry) {
+    hideErrorCard(messageElement);
 
-    button.innerHTML = `
-        <div class="ds-icon" style="font-size: 20px; width: 20px; height: 20px;">
-            <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 2V6M12 18V22M4.93 4.93L7.76 7.76M16.24 16.24L19.07 19.07M2 12H6M18 12H22M4.93 19.07L7.76 16.24M16.24 7.76L19.07 4.93" 
-                      stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-        </div>
-    `;
+    const card = document.createElement("div");
+    card.classList.add(CSS_ERROR_CARD_CLASS);
+    card.style = "font-size: 13px; margin-bottom: 8px; padding: 8px 10px; border-left: 3px solid #f44336; border-radius: 4px; background: rgba(244, 67, 54, 0.08);";
 
-    return button;
+    const title = document.createElement("div");
+    title.style = "font-weight: bold; color: #f44336;";
+    title.textContent = `❌ ${ERROR_CARD_TITLES[error.kind] || ERROR_CARD_TITLES.requestFailed}`;
+
+    const text = document.createElement("div");
+    text.style = "margin: 4px 0 6px;";
+    text.textContent = error.message || "The external answer could not be fetched.";
+
+    const buttonStyle = "font-size: 12px; border: 1px solid currentColor; border-radius: 12px; background: transparent; padding: 2px 10px; margin-right: 6px; cursor: pointer;";
+
+    const retryButton = document.createElement("button");
+    retryButton.type = "button";
+    retryButton.style = buttonStyle;
+    retryButton.textContent = "↻ Retry";
+    retryButton.addEventListener("click", () => {
+        hideErrorCard(messageElement);
+        onRetry();
+    }, {once: true});
+
+    const settingsButton = document.createElement("button");
+    settingsButton.type = "button";
+    settingsButton.style = buttonStyle;
+    settingsButton.textContent = "⚙ Open settings";
+    settingsButton.addEventListener("click", () => sendExtensionMessage({action: "options.open"}));
+
+    // Counts down the delay asked by a rate limit before a retry is allowed
+    if (error.retryAfter > 0) {
+        let remaining = error.retryAfter;
+        retryButton.disabled = true;
+        retryButton.textContent = `↻ Retry in ${remaining} s`;
+        const timer = setInterval(() => {
+            remaining--;
+            if (remaining > 0 && card.isConnected) {
+                retryButton.textContent = `↻ Retry in ${remaining} s`;
+                return;
+            }
+            clearInterval(timer);
+            retryButton.disabled = false;
+            retryButton.textContent = "↻ Retry";
+        }, 1000);
+    }
+
+    card.append(title, text, retryButton, settingsButton);
+    messageElement.parentNode.insertBefore(card, messageElement);
 }
 
 /**
- * Appends an external AI button to a message element if it does not already exist.
- * The button, when clicked, identifies the related chat bubble and sends a postMessage containing its content and index.
- * Intended for integration with external systems requiring interaction with specific chat bubbles.
+ * Removes the error card associated with the given chat bubble, if any.
  *
- * @param {Element} messageElement - The DOM element representing the message to which the external AI button should be appended.
+ * @param {HTMLElement} messageElement - The chat bubble whose error card should be removed.
  * @return {void} This function does not return a value.
  */
-function appendExternalAiButton(messageElement) {
-    if (!messageElement.nextSibling.getElementsByClassName(ACTION_ICON_IDENTITY_CLASS).length) {
-        const actionsContainer = messageElement.nextElementSibling.firstElementChild;
-        if (actionsContainer) {
-            const gptButton = createExternalAiButton();
-            gptButton.addEventListener("click", (event) => {
-                const currentChatBubbleList = Array.from(document.getElementsByClassName(chatBubbleSelector.join(" ")));
-                const index = currentChatBubbleList.findIndex((element) => element.isSameNode(messageElement));
-                if (index === -1) return;
-
-                window.postMessage({
-                    type: "DEEPSEEK_CENSORSHIP", content: currentChatBubbleList[index].innerText, index, manual: true
-                }, "*")
-            });
-            actionsContainer.appendChild(gptButton);
-        }
-    }
+function hideErrorCard(messageElement) {
+    const card = messageElement.parentNode && messageElement.parentNode.querySelector(`.${CSS_ERROR_CARD_CLASS}`);
+    if (card) card.remove();
 }
 
 
+/**
+ * The CSS class names of the bar switching between the versions of a replaced answer,
+ * and of the side-by-side comparison panel.
+ */
+const CSS_VERSION_BAR_CLASS = 'bypass-versions';
+const CSS_COMPARISON_CLASS = 'bypass-comparison';
 
 /**
- * Enhances the user interface of control elements by appending an external AI button
- * to each item matching the specified chat bubble selector.
+ * The labels of the versions a replaced answer can be displayed in.
+ */
+const VERSION_LABELS = {external: "External answer", original: "DeepSeek original", compare: "Compare"};
+
+/**
+ * Returns the text of one version of a saved replacement.
  *
- * @return {void} This method does not return a value.
+ * @param {Object} entry - The saved replacement.
+ * @param {string} version - `external` for the replacement answer, `original` for DeepSeek's answer.
+ * @return {string} The text of the version.
  */
-function increaseControlsUi(chatBubbles) {
-    Array.from(chatBubbles).forEach((element) => appendExternalAiButton(element));
+function getVersionText(entry, version) {
+    return version === "original" ? entry.original : entry.content;
+}
+
+/**
+ * Checks whether both versions of a replacement can be offered. Legacy entries did not keep DeepSeek's answer,
+ * and during an outage DeepSeek only answered with an error.
+ *
+ * @param {Object} entry - The saved replacement.
+ * @return {boolean} True if the bubble can switch between versions.
+ */
+function hasOriginalVersion(entry) {
+    return !!entry.original && entry.outage !== true;
+}
+
+/**
+ * Writes an answer into a chat bubble, rendered as Markdown or as plain text.
+ * A bubble that already shows the rendering of the same text is left untouched, so restoring a chat
+ * does not rebuild answers, and their code blocks, on every change of the page.
+ *
+ * @param {HTMLElement} bubble - The chat bubble.
+ * @param {string} text - The answer.
+ * @param {boolean} [markdown] - True to render the text as Markdown, false to display it as is.
+ * @return {void} This function does not return a value.
+ */
+function renderBubbleContent(bubble, text, markdown = true) {
+    const source = `${markdown ? "md" : "text"}:${text.length}:${getTextFingerprint(text).slice(0, 80)}`;
+    if (bubble.dataset.bypassSource === source &&
+        bubble.dataset.bypassRenderedText === getTextFingerprint(bubble.innerText).slice(0, 80)) {
+        return;
+    }
+
+    if (markdown) {
+        bubble.replaceChildren(renderMarkdown(text));
+    } else {
+        bubble.innerText = text;
+    }
+    bubble.dataset.bypassSource = source;
+    bubble.dataset.bypassRenderedText = getTextFingerprint(bubble.innerText).slice(0, 80);
 }
 
 
 /**
- * This event listener is designed to restore censored chat messages from
- * local storage and reapply them dynamically to the chat interface in
- * the event of changes to the DOM. The observer is particularly focused on:
+ * Displays one version of a replaced answer in its chat bubble and updates the version bar.
+ * The displayed version is remembered on the bubble, so restoring the chat does not switch it back.
  *
- * - Monitoring changes to the DOM via a `MutationObserver` to detect the
- *   presence of the necessary chat elements after page load.
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} entry - The saved replacement.
+ * @param {string} version - `external` or `original`.
+ * @return {void} This function does not return a value.
+ */
+function displayVersion(bubble, entry, version) {
+    hideComparison(bubble);
+
+    // DeepSeek's answer was saved as the text of its rendered bubble, the external answer as Markdown
+    renderBubbleContent(bubble, getVersionText(entry, version), version === "external");
+    bubble.dataset.bypassVersion = version;
+    bubble.dataset.bypassVersionOf = getTextFingerprint(entry.content).slice(0, 80);
+    tagBubble(bubble, entry.messageId);
+
+    showVersionBar(bubble, entry, version);
+}
+
+/**
+ * Returns the version a bubble should display: the one the user switched to, or the one saved with the replacement.
  *
- * - Using the restored chat history (if available) to update the chat
- *   bubbles with previously saved content, ensuring that even censored
- *   messages are reapplied to their appropriate locations.
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} entry - The saved replacement.
+ * @return {string} `external`, `original` or `compare`.
+ */
+function getDisplayedVersion(bubble, entry) {
+    if (bubble.dataset.bypassVersion && bubble.dataset.bypassVersionOf === getTextFingerprint(entry.content).slice(0, 80)) {
+        return bubble.dataset.bypassVersion;
+    }
+    return entry.preferred || "external";
+}
+
+/**
+ * Saves which version of a replaced answer is kept in the history and used by exports.
  *
- * - Disconnecting the observer after a successful restoration to avoid
- *   unnecessary performance overhead in the DOM manipulation process.
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} entry - The saved replacement.
+ * @param {string} version - `external` or `original`.
+ * @return {void} This function does not return a value.
+ */
+function keepVersion(bubble, entry, version) {
+    const updated = {...entry, preferred: version};
+    saveReplacement(updated);
+    displayVersion(bubble, updated, version);
+}
+
+/**
+ * Displays the bar switching between the external answer, DeepSeek's original and their comparison
+ * above a replaced answer. The version saved in the history is marked with a star, and a "Keep" button
+ * saves the displayed one instead.
  *
- * The overall goal is to provide a seamless recovery and display of chat
- * messages, ensuring that the user's data integrity is maintained across
- * sessions and page reloads.
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} entry - The saved replacement.
+ * @param {string} active - The version currently displayed.
+ * @return {void} This function does not return a value.
  */
-document.addEventListener("DOMContentLoaded", () => {
-    const observer = new MutationObserver(() => {
-        const chatId = getChatIdFromUrl();
-        if (!chatId) return;
-
-        const messages = restoreHistory(chatId);
-        if (messages.length > 0) {
-            restoreCensoredMessages(messages);
-            console.log(`💬 Chat [${chatId}] restored.`);
-        }
+function showVersionBar(bubble, entry, active) {
+    hideVersionBar(bubble);
+    if (!hasOriginalVersion(entry)) return;
 
-        const chatBubbles = document.getElementsByClassName(chatBubbleSelector.join(" "));
-        if (chatBubbles.length !== 0) {
-            // TODO: check whether an observer increases a new messages independently
-            // The `increaseControlsUi` function is engineered to augment the interactivity of the chat interface by dynamically appending external AI buttons to each chat bubble.
-            // These buttons serve as interactive elements for external system integrations, enabling streamlined interaction and additional capabilities (e.g., handling censorship-related logic).
-            // By looping through all DOM elements identified as chat bubbles, this function ensures a comprehensive enhancement of the UI, effectively improving user accessibility and feature distribution.
-            increaseControlsUi(chatBubbles);
-            observer.disconnect();
-        }
+    const preferred = entry.preferred || "external";
+    const bar = document.createElement("div");
+    bar.classList.add(CSS_VERSION_BAR_CLASS);
+    bar.style = "display: flex; gap: 6px; align-items: center; font-size: 12px; margin-bottom: 8px;";
+
+    Object.entries(VERSION_LABELS).forEach(([version, label]) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = version === preferred ? `★ ${label}` : label;
+        button.style = `cursor: pointer; padding: 2px 8px; border-radius: 10px; border: 1px solid #4CAF50; ` +
+            (version === active ? "background: #4CAF50; color: #fff;" : "background: transparent; color: inherit;");
+        button.addEventListener("click", () => {
+            if (version === "compare") {
+                showComparison(bubble, entry);
+            } else {
+                displayVersion(bubble, entry, version);
+            }
+        });
+        bar.appendChild(button);
     });
 
-    observer.observe(document.body, {childList: true, subtree: true});
-});
+    if (active !== "compare" && active !== preferred) {
+        const keep = document.createElement("button");
+        keep.type = "button";
+        keep.textContent = "Keep this version";
+        keep.style = "cursor: pointer; margin-left: auto; padding: 2px 8px; border: none; background: none; color: #4CAF50; text-decoration: underline;";
+        keep.addEventListener("click", () => keepVersion(bubble, entry, active));
+        bar.appendChild(keep);
+    }
+
+    bubble.parentNode.insertBefore(bar, bubble);
+}
 
 /**
- * Listens for messages posted to the `window` object, specifically checking for
- * messages originating from the same window context and having a specific `type`
- * of "DEEPSEEK_CENSORSHIP". This event listener is used to handle and process
- * deep censorship-related messages in the context of the DeepSeek system.
- *
- * Key features of this functionality:
+ * Removes the version bar associated with the given chat bubble, if any.
  *
- * 1. Ensures the `source` of the message is from the current `window` object and
- *    validates the expected `type` of the event before proceeding with further logic.
+ * @param {HTMLElement} bubble - The chat bubble whose version bar should be removed.
+ * @return {void} This function does not return a value.
+ */
+function hideVersionBar(bubble) {
+    const bar = bubble.parentNode && bubble.parentNode.querySelector(`.${CSS_VERSION_BAR_CLASS}`);
+    if (bar) bar.remove();
+}
+
+/**
+ * Replaces a chat bubble with a side-by-side view of DeepSeek's original answer and the external answer,
+ * highlighting the words removed from the first and added by the second. Each side can be kept as the saved version.
  *
- * 2. Logs the censored event data for tracking purposes:
- *    - Makes use of `event.data.content` to extract information related to the
- *      censorship instance detected by DeepSeek.
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} entry - The saved replacement.
+ * @return {void} This function does not return a value.
+ */
+function showComparison(bubble, entry) {
+    hideComparison(bubble);
+
+    const parts = diffWords(entry.original, entry.content);
+    const panel = document.createElement("div");
+    panel.classList.add(CSS_COMPARISON_CLASS);
+    panel.style = "display: grid; grid-template-columns: 1fr 1fr; gap: 12px; font-size: 14px; margin-bottom: 8px;";
+
+    [["original", "removed", "DeepSeek original"], ["external", "added", entry.provider || "External answer"]].forEach(([version, side, title]) => {
+        const column = document.createElement("div");
+        column.style = "padding: 8px; border: 1px solid rgba(128, 128, 128, 0.3); border-radius: 8px; min-width: 0; overflow-wrap: anywhere;";
+
+        const header = document.createElement("div");
+        header.style = "display: flex; justify-content: space-between; font-weight: bold; margin-bottom: 6px;";
+        header.textContent = title;
+
+        const keep = document.createElement("button");
+        keep.type = "button";
+        keep.textContent = (entry.preferred || "external") === version ? "★ Kept" : "Keep";
+        keep.style = "cursor: pointer; border: none; background: none; color: #4CAF50; font-weight: normal;";
+        keep.addEventListener("click", () => keepVersion(bubble, entry, version));
+
+        header.appendChild(keep);
+        column.append(header, renderDiffSide(parts, side));
+        panel.appendChild(column);
+    });
+
+    bubble.parentNode.insertBefore(panel, bubble);
+    bubble.style.display = "none";
+    bubble.dataset.bypassVersion = "compare";
+    bubble.dataset.bypassVersionOf = getTextFingerprint(entry.content).slice(0, 80);
+    showVersionBar(bubble, entry, "compare");
+}
+
+/**
+ * Removes the comparison panel associated with the given chat bubble, if any, and shows the bubble again.
  *
- * 3. Uses a CSS class selector (`chatBubbleSelector`) to identify HTML elements
- *    corresponding to chat message bubbles on the current page.
+ * @param {HTMLElement} bubble - The chat bubble whose comparison panel should be removed.
+ * @return {void} This function does not return a value.
+ */
+function hideComparison(bubble) {
+    const panel = bubble.parentNode && bubble.parentNode.querySelector(`.${CSS_COMPARISON_CLASS}`);
+    if (panel) panel.remove();
+    bubble.style.display = "";
+}
+
+
+/**
+ * The CSS class name of the tabs switching between the answers of the multi-answer mode.
+ */
+const CSS_ANSWER_TABS_CLASS = 'bypass-answers';
+
+/**
+ * Describes the latency and cost of an answer of the multi-answer mode.
  *
- * 4. Dynamically builds a structured array (`prompts`) of user-assistant message history:
- *    - Maps over the detected chat bubbles and extracts their content along with
- *      their associated messages from DOM elements.
+ * @param {Object} answer - The answer, with its `latency` in milliseconds and `cost` in US dollars once finished.
+ * @return {string} The description.
+ */
+function describeAnswerMetrics(answer) {
+    if (answer.error) return "failed";
+    if (!answer.finished) return "…";
+
+    const latency = typeof answer.latency === "number" ? `${(answer.latency / 1000).toFixed(1)} s · ` : "";
+    return `${latency}${typeof answer.cost === "number" ? `$${answer.cost.toFixed(4)}` : "cost unknown"}`;
+}
+
+/**
+ * Displays the tabs of the answers of the multi-answer mode above a replaced answer, each with its latency and cost,
+ * and the rank the judge gave it. Failed answers cannot be selected, their tab tells why they failed.
  *
- * 5. Sends a runtime message to the Chrome extension backend with:
- *    - The detected censorship `content`.
- *    - The flattened and fully serialized chat `history` array for processing.
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} state - What the tabs display.
+ * @param {Array<Object>} state.answers - The answers, the merged one last.
+ * @param {number} state.selected - The index of the answer displayed in the bubble.
+ * @param {Object|null} state.judge - The verdict of the judge, with the `ranking` of the answers when it ranked them.
+ * @param {string|null} state.status - A status displayed after the tabs, e.g. while the judge works.
+ * @param {function(number): void} onSelect - Called with the index of the clicked tab.
+ * @return {void} This function does not return a value.
+ */
+function showAnswerTabs(bubble, state, onSelect) {
+    hideAnswerTabs(bubble);
+
+    const ranking = (state.judge && state.judge.ranking) || [];
+    const tabs = document.createElement("div");
+    tabs.classList.add(CSS_ANSWER_TABS_CLASS);
+    tabs.style = "display: flex; flex-wrap: wrap; gap: 6px; align-items: center; font-size: 12px; margin-bottom: 8px;";
+    if (state.judge && state.judge.notes) tabs.title = `${state.judge.provider}: ${state.judge.notes}`;
+
+    state.answers.forEach((answer, index) => {
+        const rank = ranking.indexOf(index);
+        const button = document.createElement("button");
+        button.type = "button";
+        button.disabled = !!answer.error;
+        button.title = answer.error ? answer.error.message : answer.provider;
+        button.textContent = `${rank !== -1 ? `#${rank + 1} ` : ""}${answer.merged ? "⚖️ Merged" : answer.provider} · ${describeAnswerMetrics(answer)}`;
+        button.style = `cursor: ${answer.error ? "not-allowed" : "pointer"}; padding: 2px 8px; border-radius: 10px; border: 1px solid #4CAF50; ` +
+            (index === state.selected ? "background: #4CAF50; color: #fff;" : "background: transparent; color: inherit;") +
+            (answer.error ? " opacity: 0.5;" : "");
+        button.addEventListener("click", () => onSelect(index));
+        tabs.appendChild(button);
+    });
+
+    if (state.status) {
+        const status = document.createElement("span");
+        status.style = "opacity: 0.7;";
+        status.textContent = state.status;
+        tabs.appendChild(status);
+    }
+
+    // The tabs pick the external answer, the version bar and the comparison below them show it against DeepSeek's
+    const below = bubble.parentNode.querySelector(`.${CSS_VERSION_BAR_CLASS}, .${CSS_COMPARISON_CLASS}`);
+    bubble.parentNode.insertBefore(tabs, below || bubble);
+}
+
+/**
+ * Removes the answer tabs associated with the given chat bubble, if any.
  *
- * 6. Handles the Chrome extension's runtime response:
- *    - If a replacement exists in the response, the content of the last detected
- *      chat bubble is updated in the DOM.
- *    - If no response or replacement is provided, a fallback log is written.
+ * @param {HTMLElement} bubble - The chat bubble whose answer tabs should be removed.
+ * @return {void} This function does not return a value.
+ */
+function hideAnswerTabs(bubble) {
+    const tabs = bubble.parentNode && bubble.parentNode.querySelector(`.${CSS_ANSWER_TABS_CLASS}`);
+    if (tabs) tabs.remove();
+}
+
+/**
+ * Displays the answer tabs of a saved replacement of the multi-answer mode, or removes them from a single answer.
  *
- * IMPORTANT NOTE:
- * This event listener is pivotal in detecting and responding to censorship patterns in chat applications.
- * It interacts with Chrome extension APIs to validate and optionally alter offending text content
- * to maintain compliance with certain policies or requirements.
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} entry - The saved replacement.
+ * @return {void} This function does not return a value.
  */
-window.addEventListener("message", (event) => {
-    if (event.source !== window || event.data.type !== "DEEPSEEK_CENSORSHIP") {
+function showSavedAnswerTabs(bubble, entry) {
+    if (!entry.answers || entry.answers.length < 2) {
+        hideAnswerTabs(bubble);
         return;
     }
+    const state = {answers: entry.answers, selected: entry.selectedAnswer, judge: entry.judge || null, status: null};
+    showAnswerTabs(bubble, state, (index) => selectAnswer(bubble, entry, index));
+}
 
-    console.log("🚀 Censorship detected in DeepSeek:", event.data.content);
+/**
+ * Makes another answer of the multi-answer mode the replacement saved in the history, and displays it.
+ *
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} entry - The saved replacement.
+ * @param {number} index - The index of the answer to keep.
+ * @return {void} This function does not return a value.
+ */
+function selectAnswer(bubble, entry, index) {
+    const answer = entry.answers[index];
+    if (!answer || answer.error || index === entry.selectedAnswer) return;
 
-    /**
-     * Represents a collection of chat bubble elements retrieved from the DOM.
-     *
-     * The `bubbles` variable holds a live HTMLCollection of elements that match
-     * the class names specified by concatenating the values in the `chatBubbleSelector` array.
-     * It dynamically updates when the DOM changes to reflect the current state of matching elements.
-     *
-     * This can be used to access or manipulate a group of chat bubble elements in a web application.
-     *
-     * @type {HTMLCollection}
-     */
-    const bubbles = document.getElementsByClassName(chatBubbleSelector.join(" "));
+    const updated = {
+        ...entry, content: answer.content, reasoning: answer.reasoning || null, provider: answer.provider,
+        providerName: answer.providerName, model: answer.model, preferred: "external", selectedAnswer: index,
+    };
+    saveReplacement(updated);
+    applyReplacement(bubble, updated);
+}
 
 
-    /**
-     * An array representing a subset of chat bubbles derived from a given collection.
-     * This array is created by converting a NodeList or similar iterable `bubbles`
-     * into a true array and slicing it up to a specific index.
-     *
-     * The slicing endpoint is determined by `event.data.index`. If `event.data.index`
-     * is undefined, the slice operation stops at the second-to-last item in the collection.
-     *
-     * Assumes that `bubbles` is a valid iterable object and `event.data.index` is
-     * either a valid integer or undefined.
-     */
-    const chatBubbles = Array.from(bubbles).slice(0, event.data.index + 1 || bubbles.length);
+/**
+ * Extracts and returns the chat ID from the current URL's pathname.
+ *
+ * The method uses a regular expression to locate and extract the chat ID
+ * from a specific URL pattern. If the URL does not match the expected
+ * pattern, the method returns null.
+ *
+ * @return {string|null} The extracted chat ID if found; otherwise, null.
+ */
+function getChatIdFromUrl() {
+    const match = window.location.pathname.match(/\/chat\/s\/([a-f0-9-]+)/);
+    return match ? match[1] : null;
+}
 
 
-    /**
-     * An array containing transformed chat bubble data, where each chat bubble is mapped to an array of objects.
-     * Each object represents either the 'user' or 'assistant' role along with their respective message content.
-     *
-     * Structure:
-     * - Each chat bubble is transformed into an array with two objects:
-     *   - The first object represents the 'user' role:
-     *     - Contains the text content of the previous sibling element's first child, trimmed of whitespace.
+/**
+ * Cleans the provided text by removing trailing fractional numbers
+ * (e.g., "1/2") along with any leading or trailing spaces.
+ *
+ * @param {string} text - The input text to be cleaned.
+ * @return {string} The cleaned text with fractional numbers removed.
+ */
+function cleanText(text) {
+    return text.replace(/\d+\s*\/\s*\d+$/, '').trim();
+}
+
+/**
+ * The page's `localStorage` key where older versions of the extension kept the chat history.
+ * Its content is moved to the extension storage once, see `migrateLocalHistory()`.
+ */
+const LOCAL_STORAGE_KEY = "deepseek_bypass";
+
+
+/**
+ * Sends a message to the service worker, which owns the chat history store (`history.*` actions, see store.js)
+ * and the provider profiles (`profiles.*` actions, see profiles.js).
+ *
+ * @param {Object} message - The message, with an `action` and its parameters.
+ * @return {Promise<*>} Resolves with the result of the action, or null if the service worker did not answer.
+ */
+function sendExtensionMessage(message) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                console.warn(`⚠️ ${message.action} failed:`, chrome.runtime.lastError.message);
+                resolve(null);
+                return;
+            }
+            resolve(response === undefined ? null : response);
+        });
+    });
+}
+
+
+/**
+ * Moves the history saved by older versions of the extension from the page's `localStorage`
+ * to the extension storage, and removes it from the page once the service worker imported it.
+ *
+ * @return {Promise<void>} Resolves once there is nothing left to migrate.
+ */
+function migrateLocalHistory() {
+    let chats;
+    try {
+        chats = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY));
+    } catch (error) {
+        chats = null;
+    }
+    if (!chats) return Promise.resolve();
+
+    return sendExtensionMessage({action: "history.migrate", chats}).then((migrated) => {
+        if (migrated === null) return;
+        localStorage.removeItem(LOCAL_STORAGE_KEY);
+        console.log(`📦 ${migrated} chat(s) moved from the page storage to the extension storage.`);
+    });
+}
+
+
+/**
+ * Resolves once the legacy history has been migrated, so no record is read before it exists.
+ * @type {Promise<void>}
+ */
+const historyReady = migrateLocalHistory();
+
+
+/**
+ * The record of the open chat, kept in memory so bubbles can be looked up synchronously
+ * and the history is read from the extension storage once per chat.
+ *
+ * @type {{chatId: (string|null), record: (Promise<Object|null>|null)}}
+ */
+const chatRecordCache = {chatId: null, record: null};
+
+
+/**
+ * Reads the record of a chat from the extension storage.
+ *
+ * Records look like `{chatId, version: 2, replacements: {[messageId]: entry}}`, where every entry describes
+ * the replacement of one DeepSeek answer. Entries migrated from older versions are keyed by `index-N`,
+ * the position of their bubble.
+ *
+ * @param {string} chatId - The unique identifier for the chat.
+ * @return {Promise<Object|null>} Resolves with the stored record, or null if nothing was saved for the chat.
+ */
+function loadChatRecord(chatId) {
+    if (!chatId) return Promise.resolve(null);
+
+    if (chatRecordCache.chatId !== chatId) {
+        chatRecordCache.chatId = chatId;
+        chatRecordCache.record = historyReady.then(() => sendExtensionMessage({action: "history.get", chatId}));
+    }
+
+    return chatRecordCache.record;
+}
+
+
+/**
+ * Saves the replacement of a DeepSeek answer in the extension storage, keyed by the chat ID
+ * and by DeepSeek's own id of the replaced message.
+ * If no chat ID is available, the operation is aborted.
+ *
+ * @param {Object} entry - The replacement to save.
+ * @param {number|null} entry.messageId - DeepSeek's id of the replaced assistant message, when known.
+ * @param {string} entry.content - The replacement answer.
+ * @param {string} entry.original - The DeepSeek answer that was replaced, used to find the bubble when the id is unknown.
+ * @param {number} entry.index - The position of the replaced bubble, used when the id is unknown.
+ * @param {string} entry.question - The user message the answer replies to, kept for exports.
+ * @param {string|null} entry.providerName - The provider that answered, e.g. "OpenAI".
+ * @param {string|null} entry.model - The model that answered.
+ * @return {Promise<void>} Resolves once the replacement is stored.
+ */
+function saveReplacement(entry) {
+    const chatId = getChatIdFromUrl();
+    if (!chatId) return Promise.resolve();
+
+    const key = entry.messageId !== null && entry.messageId !== undefined ? entry.messageId : `index-${entry.index}`;
+    const title = conversation.chatId === chatId ? conversation.title : null;
+
+    return loadChatRecord(chatId)
+        .then(() => sendExtensionMessage({action: "history.saveReplacement", chatId, entry, title}))
+        .then((record) => {
+            if (!record) return;
+            updateChatRecordCache(chatId, record);
+            console.log(`💾 Chat [${chatId}] message [${key}] saved.`);
+        });
+}
+
+
+/**
+ * Keeps the record of the open chat in memory up to date after the service worker saved it.
+ *
+ * @param {string} chatId - The unique identifier for the chat.
+ * @param {Object|null} record - The record returned by the service worker.
+ * @return {void} This function does not return a value.
+ */
+function updateChatRecordCache(chatId, record) {
+    if (record && chatRecordCache.chatId === chatId) chatRecordCache.record = Promise.resolve(record);
+}
+
+
+/**
+ * Looks up the saved replacement of a DeepSeek message.
+ *
+ * @param {string} chatId - The unique identifier for the chat.
+ * @param {number|null} messageId - DeepSeek's id of the assistant message.
+ * @return {Promise<Object|null>} Resolves with the saved replacement, or null if the message was never replaced.
+ */
+function getSavedReplacement(chatId, messageId) {
+    if (messageId === null || messageId === undefined) return Promise.resolve(null);
+
+    return loadChatRecord(chatId).then((record) => (record && record.replacements[messageId]) || null);
+}
+
+
+/**
+ * Displays a saved replacement in a chat bubble, together with its warning, retracted text, version bar
+ * and the tabs of the multi-answer mode.
+ * The bubble shows the version saved with the replacement, unless the user switched to another one.
+ *
+ * @param {HTMLElement} bubble - The chat bubble showing the replaced answer.
+ * @param {Object} entry - The saved replacement.
+ * @return {void} This function does not return a value.
+ */
+function applyReplacement(bubble, entry) {
+    const version = hasOriginalVersion(entry) ? getDisplayedVersion(bubble, entry) : "external";
+    if (version !== "compare") displayVersion(bubble, entry, version);
+
+    if (entry.outage === true) {
+        showWarning(bubble, outageWarningText(entry.provider));
+    } else {
+        showWarning(bubble);
+        showRetractedPanel(bubble, entry.retracted);
+    }
+    showContextInfo(bubble, entry.context);
+    showThinkingBlock(bubble, entry.reasoning);
+    showSavedAnswerTabs(bubble, entry);
+}
+
+
+/**
+ * Tags a chat bubble with the DeepSeek message id of the answer it currently displays.
+ * The tag also records the fingerprint of the displayed text: the page reuses bubble elements when
+ * another variant is selected, and a tag is only trusted while the bubble still shows the same text.
+ *
+ * @param {HTMLElement} bubble - The chat bubble.
+ * @param {number|null} messageId - DeepSeek's id of the displayed message.
+ * @return {void} This function does not return a value.
+ */
+function tagBubble(bubble, messageId) {
+    if (messageId === null || messageId === undefined) return;
+    bubble.dataset.bypassMessageId = messageId;
+    bubble.dataset.bypassFingerprint = getTextFingerprint(bubble.innerText).slice(0, 80);
+}
+
+
+/**
+ * Finds the DeepSeek message id of the answer displayed in a chat bubble.
+ * A bubble that already shows a replacement keeps the id it was tagged with,
+ * since its text no longer matches anything in the message tree.
+ *
+ * @param {HTMLElement} bubble - The chat bubble.
+ * @param {number} index - The position of the bubble among the assistant bubbles of the page.
+ * @return {number|null} The message id, or null if it cannot be determined.
+ */
+function getBubbleMessageId(bubble, index) {
+    if (bubble.dataset.bypassMessageId &&
+        bubble.dataset.bypassFingerprint === getTextFingerprint(bubble.innerText).slice(0, 80)) {
+        return Number(bubble.dataset.bypassMessageId);
+    }
+
+    const messageId = resolveAssistantMessageId(bubble.innerText, index);
+    tagBubble(bubble, messageId);
+    return messageId;
+}
+
+
+/**
+ * Checks whether a chat bubble still displays a saved replacement, as opposed to a bubble never replaced
+ * or re-rendered by the page since.
+ *
+ * @param {HTMLElement} bubble - The chat bubble.
+ * @param {Object} entry - The saved replacement.
+ * @return {boolean} True if the replacement, its warning and its version are displayed.
+ */
+function isReplacementDisplayed(bubble, entry) {
+    if (bubble.dataset.bypassVersionOf !== getTextFingerprint(entry.content).slice(0, 80)) return false;
+    if (!bubble.parentNode.querySelector(`.${CSS_CENSORED_WARNING_CLASS}`)) return false;
+
+    // A compared answer is hidden behind its comparison panel
+    return bubble.dataset.bypassVersion === "compare" ||
+        bubble.dataset.bypassRenderedText === getTextFingerprint(bubble.innerText).slice(0, 80);
+}
+
+
+/**
+ * Re-applies the saved replacements of a chat to the bubbles currently displayed.
+ *
+ * Each bubble is matched with its DeepSeek message id through the message tree, so edited, regenerated
+ * and branched messages receive their own replacement whatever their position. Entries migrated from
+ * older versions are matched by bubble position, and when the tree is not known yet, a replacement is
+ * matched by the original DeepSeek answer it replaced.
+ *
+ * @param {string} chatId - The unique identifier for the chat.
+ * @return {Promise<number>} Resolves with the number of bubbles a replacement was applied to.
+ */
+function restoreReplacements(chatId) {
+    return loadChatRecord(chatId).then((record) => {
+        if (!record || getChatIdFromUrl() !== chatId) return 0;
+
+        const entries = Object.values(record.replacements);
+        const chatBubbleList = getAssistantBubbles();
+        let restored = 0;
+
+        chatBubbleList.forEach((bubble, index) => {
+            // A bubble receiving a replacement right now is left to its request
+            if (Array.from(activeReplacements.values()).some((replacement) => replacement.bubble === bubble)) return;
+
+            const messageId = getBubbleMessageId(bubble, index);
+            const entry = messageId !== null
+                ? record.replacements[messageId] || record.replacements[`index-${index}`]
+                : record.replacements[`index-${index}`] ||
+                  entries.find((candidate) => isSameAnswer(bubble.innerText, candidate.original) || isSameAnswer(bubble.innerText, candidate.content));
+
+            if (entry && !isReplacementDisplayed(bubble, entry)) {
+                applyReplacement(bubble, entry);
+                restored++;
+            }
+        });
+
+        return restored;
+    });
+}
+
+
+/**
+ * Represents the identifier for the action icon related to an "external regenerate" operation.
+ * This constant defines a specific string value that may be used to identify or handle
+ * actions associated with regenerating external resources or processes.
+ */
+const ACTION_ICON_IDENTITY_CLASS = 'external-regenerate';
+
+/**
+ * Creates and returns a styled div element representing an external AI button.
+ * The button has custom styles applied and contains an SVG icon.
+ *
+ * @return {HTMLDivElement} A div element styled as a button with an SVG icon.
+ */
+function createExternalAiButton() {
+    const button = document.createElement("div");
+    button.className = `${getIconButtonClass()} ${ACTION_ICON_IDENTITY_CLASS}`;
+    button.style = "--ds-icon-button-text-color: #4CAF50; --ds-icon-button-size: 20px; cursor: pointer;";
+
+    button.innerHTML = `
+        <div class="ds-icon" style="font-size: 20px; width: 20px; height: 20px;">
+            <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 2V6M12 18V22M4.93 4.93L7.76 7.76M16.24 16.24L19.07 19.07M2 12H6M18 12H22M4.93 19.07L7.76 16.24M16.24 7.76L19.07 4.93" 
+                      stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+        </div>
+    `;
+
+    return button;
+}
+
+/**
+ * Appends an external AI button to a message element if it does not already exist.
+ * The button, when clicked, identifies the related chat bubble and sends a postMessage containing its content and index.
+ * Intended for integration with external systems requiring interaction with specific chat bubbles.
+ *
+ * @param {Element} messageElement - The DOM element representing the message to which the external AI button should be appended.
+ * @return {void} This function does not return a value.
+ */
+function appendExternalAiButton(messageElement) {
+    // An answer still being streamed has no action bar yet
+    const actionsContainer = getActionsContainer(messageElement);
+    if (!actionsContainer || actionsContainer.getElementsByClassName(ACTION_ICON_IDENTITY_CLASS).length) return;
+
+    const gptButton = createExternalAiButton();
+    gptButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        showProfileMenu(gptButton, (profileId) => {
+            const currentChatBubbleList = getAssistantBubbles();
+            const index = currentChatBubbleList.findIndex((element) => element.isSameNode(messageElement));
+            if (index === -1) return;
+
+            // Called directly rather than through a window message, which any script of the page could forge
+            // to make manual requests, bypassing the spending cap, with a profile of its choice
+            requestReplacement({content: currentChatBubbleList[index].innerText, index, manual: true, profileId});
+        });
+    });
+    actionsContainer.appendChild(gptButton);
+}
+
+
+
+/**
+ * The CSS class name of the menu picking the profile that answers in the current chat.
+ */
+const CSS_PROFILE_MENU_CLASS = 'bypass-profile-menu';
+
+/**
+ * Opens the profile menu next to an external AI button. Picking a profile makes it the one answering
+ * in the current chat, picking the default profile removes the chat's override.
+ * When a single profile exists, there is nothing to pick and the callback is called right away.
+ *
+ * @param {HTMLElement} anchor - The button the menu is attached to.
+ * @param {function(string|null): void} onSelect - Called with the picked profile id, or null when no menu was shown.
+ * @return {void} This function does not return a value.
+ */
+function showProfileMenu(anchor, onSelect) {
+    hideProfileMenu();
+    const chatId = getChatIdFromUrl();
+
+    sendExtensionMessage({action: "profiles.list", chatId}).then((list) => {
+        if (!list || list.profiles.length < 2) {
+            onSelect(null);
+            return;
+        }
+
+        const activeId = list.chatProfileId || list.defaultProfileId;
+        const rect = anchor.getBoundingClientRect();
+        const menu = document.createElement("div");
+        menu.classList.add(CSS_PROFILE_MENU_CLASS);
+        menu.style = `position: fixed; left: ${rect.left}px; top: ${rect.bottom + 4}px; z-index: 1000; min-width: 220px; ` +
+            "padding: 4px 0; font-size: 13px; background: #fff; color: #222; border-radius: 8px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);";
+
+        const title = document.createElement("div");
+        title.style = "padding: 4px 12px; color: #757575;";
+        title.textContent = "Answer with…";
+        menu.appendChild(title);
+
+        list.profiles.forEach((profile) => {
+            const item = document.createElement("div");
+            item.style = "padding: 6px 12px; cursor: pointer;";
+            item.textContent = `${profile.id === activeId ? "✓" : "\u2003"} ${profile.name}` +
+                `${profile.id === list.defaultProfileId ? " (default)" : ""} — ${profile.label}`;
+            item.addEventListener("mouseenter", () => item.style.background = "rgba(76, 175, 80, 0.12)");
+            item.addEventListener("mouseleave", () => item.style.background = "");
+            item.addEventListener("click", () => {
+                hideProfileMenu();
+                const override = profile.id === list.defaultProfileId ? null : profile.id;
+                if (chatId) sendExtensionMessage({action: "profiles.setChatProfile", chatId, profileId: override});
+                onSelect(profile.id);
+            });
+            menu.appendChild(item);
+        });
+
+        document.body.appendChild(menu);
+        document.addEventListener("click", hideProfileMenu, {once: true});
+    });
+}
+
+/**
+ * Closes the profile menu, if open.
+ *
+ * @return {void} This function does not return a value.
+ */
+function hideProfileMenu() {
+    const menu = document.querySelector(`.${CSS_PROFILE_MENU_CLASS}`);
+    if (menu) menu.remove();
+}
+
+
+/**
+ * Enhances the user interface of control elements by appending an external AI button
+ * to each item matching the specified chat bubble selector.
+ *
+ * @return {void} This method does not return a value.
+ */
+function increaseControlsUi(chatBubbles) {
+    Array.from(chatBubbles).forEach((element) => appendExternalAiButton(element));
+}
+
+
+/**
+ * The name of the long-lived `chrome.runtime.connect` port used to stream replacement answers
+ * from the background service worker. Keep in sync with `BYPASS_PORT_NAME` in background.js.
+ */
+const BYPASS_PORT_NAME = "deepseek-bypass";
+
+/**
+ * The CSS class name of the button that stops a replacement answer while it is streaming.
+ */
+const CSS_STOP_BUTTON_CLASS = 'bypass-stop';
+
+/**
+ * Displays a stop button before the given chat bubble while its replacement is streaming.
+ *
+ * @param {HTMLElement} messageElement - The chat bubble receiving the streamed replacement.
+ * @param {function(): void} onStop - Called once when the user clicks the button.
+ * @return {void} This function does not return a value.
+ */
+function showStopButton(messageElement, onStop) {
+    hideStopButton(messageElement);
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.classList.add(CSS_STOP_BUTTON_CLASS);
+    button.style = "font-size: 12px; color: #4CAF50; border: 1px solid #4CAF50; border-radius: 12px; background: transparent; padding: 2px 10px; margin-bottom: 5px; cursor: pointer;";
+    button.textContent = "⏹ Stop generating";
+    button.addEventListener("click", onStop, {once: true});
+
+    messageElement.parentNode.insertBefore(button, messageElement);
+}
+
+/**
+ * Removes the stop button associated with the given chat bubble, if any.
+ *
+ * @param {HTMLElement} messageElement - The chat bubble whose stop button should be removed.
+ * @return {void} This function does not return a value.
+ */
+function hideStopButton(messageElement) {
+    const button = messageElement.parentNode && messageElement.parentNode.querySelector(`.${CSS_STOP_BUTTON_CLASS}`);
+    if (button) button.remove();
+}
+
+
+/**
+ * The replacement requests in flight, by request id. Each entry holds the `chatId` and the `bubble` of the request
+ * and a `cancel(reason)` function, so requests can be dropped when the user leaves the chat, DeepSeek starts another
+ * answer or the same bubble is requested again.
+ * @type {Map<string, Object>}
+ */
+const activeReplacements = new Map();
+
+/**
+ * Generates an identifier for a replacement request.
+ *
+ * @return {string} A unique request identifier.
+ */
+function createReplacementId() {
+    return `replacement-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Cancels the replacement requests in flight that match the given predicate.
+ *
+ * @param {string} reason - Why the requests are cancelled, for the console.
+ * @param {function(Object): boolean} [predicate] - Selects the requests to cancel, every request if omitted.
+ * @return {void} This function does not return a value.
+ */
+function cancelReplacements(reason, predicate = () => true) {
+    Array.from(activeReplacements.values())
+        .filter(predicate)
+        .forEach((replacement) => replacement.cancel(reason));
+}
+
+/**
+ * The chat the page displayed when the route was last checked.
+ * @type {string|null}
+ */
+let currentChatId = getChatIdFromUrl();
+
+/**
+ * Handles a change of the page URL: DeepSeek is a single page application that switches chats with
+ * `history.pushState()` (reported by the injected script) or the browser's back and forward buttons.
+ * The requests of the chat the user left are cancelled, so a late answer never lands in a bubble of another chat.
+ *
+ * @return {void} This function does not return a value.
+ */
+function handleRouteChange() {
+    const chatId = getChatIdFromUrl();
+    if (chatId === currentChatId) return;
+
+    const previousChatId = currentChatId;
+    currentChatId = chatId;
+    console.log(`🧭 Navigated to chat [${chatId}].`);
+    // A new chat only gets its id once the first message is sent, its requests stay as long as their bubble does
+    cancelReplacements("navigation", (replacement) =>
+        (replacement.chatId && replacement.chatId !== chatId) || !replacement.bubble.isConnected);
+    if (previousChatId) {
+        clearChatUi();
+        // The retries of a new chat go on once it gets its id, those of the chat left do not
+        resetOutageRetry();
+    }
+    scheduleChatRefresh();
+}
+
+window.addEventListener("popstate", handleRouteChange);
+
+
+/**
+ * Removes everything the extension added to the page for the previous chat: warnings, panels, bars, cards and menus,
+ * and the tags of the bubbles, which the page may reuse to display the next chat.
+ *
+ * @return {void} This function does not return a value.
+ */
+function clearChatUi() {
+    hideProfileMenu();
+    getAssistantBubbles().forEach((bubble) => {
+        hideComparison(bubble);
+        Object.keys(bubble.dataset)
+            .filter((key) => key.startsWith("bypass"))
+            .forEach((key) => delete bubble.dataset[key]);
+    });
+
+    const addedClasses = [
+        CSS_CENSORED_WARNING_CLASS, CSS_RETRACTED_PANEL_CLASS, CSS_CONTEXT_INFO_CLASS, CSS_ERROR_CARD_CLASS,
+        CSS_VERSION_BAR_CLASS, CSS_COMPARISON_CLASS, CSS_STOP_BUTTON_CLASS, CSS_THINKING_CLASS,
+        CSS_FOLLOW_UPS_CLASS, CSS_CONTINUE_TOGGLE_CLASS, CSS_ANSWER_TABS_CLASS,
+    ];
+    document.querySelectorAll(addedClasses.map((name) => `.${name}`).join(", ")).forEach((element) => element.remove());
+
+    // The next chat reads its own mode from its record
+    Object.assign(continuation, {chatId: null, enabled: false, anchor: null});
+}
+
+
+/**
+ * The CSS class name of the badge telling that DeepSeek changed its page and the extension needs an update.
+ */
+const CSS_UPDATE_BADGE_CLASS = 'bypass-update-badge';
+
+/**
+ * The chat whose layout the DOM adapter recognized, so the self-test runs until it passes once per chat.
+ * @type {string|null}
+ */
+let layoutCheckedChatId = null;
+
+/**
+ * Displays a badge in the corner of the page telling that the extension cannot read DeepSeek's page anymore.
+ * Clicking the badge hides it until the next check.
+ *
+ * @param {Object} report - The report of `runDomSelfTest()`.
+ * @return {void} This function does not return a value.
+ */
+function showUpdateBadge(report) {
+    if (document.querySelector(`.${CSS_UPDATE_BADGE_CLASS}`)) return;
+
+    const badge = document.createElement("div");
+    badge.classList.add(CSS_UPDATE_BADGE_CLASS);
+    badge.style = "position: fixed; right: 16px; bottom: 16px; z-index: 10000; padding: 8px 12px; border-radius: 16px; " +
+        "background: #ff9800; color: #fff; font-size: 13px; font-weight: bold; cursor: pointer; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25);";
+    badge.textContent = "⚠️ DeepSeek Bypass needs an update";
+    badge.title = `DeepSeek changed its page: ${report.answers} answer(s) and ${report.pairs} user message(s) found. ` +
+        "Censorship checks and replacements may fail until the extension is updated. Click to hide.";
+    badge.addEventListener("click", () => badge.remove());
+
+    document.body.appendChild(badge);
+}
+
+/**
+ * Removes the update badge, if any.
+ *
+ * @return {void} This function does not return a value.
+ */
+function hideUpdateBadge() {
+    const badge = document.querySelector(`.${CSS_UPDATE_BADGE_CLASS}`);
+    if (badge) badge.remove();
+}
+
+/**
+ * Runs the self-test of the DOM adapter on the displayed chat, comparing what it finds with the number of answers
+ * of the displayed branch when the chat history was intercepted, and shows the update badge when it fails.
+ *
+ * @return {void} This function does not return a value.
+ */
+function checkPageLayout() {
+    const chatId = getChatIdFromUrl();
+    if (!chatId || layoutCheckedChatId === chatId) return;
+
+    const expectedAnswers = conversation.chatId === chatId && conversation.currentMessageId !== null
+        ? getConversationPath(conversation.currentMessageId).filter((message) => message.role === "assistant").length
+        : null;
+    const report = runDomSelfTest(document, expectedAnswers);
+
+    if (report.ok === true) {
+        layoutCheckedChatId = chatId;
+        hideUpdateBadge();
+        console.log(`🧩 Page layout recognized (${report.version}): ${report.pairs} message pair(s).`);
+    } else if (report.ok === false) {
+        console.warn("🧩 Page layout not recognized, the extension needs an update.", report);
+        showUpdateBadge(report);
+    }
+}
+
+
+/**
+ * The delay in milliseconds the page must stay unchanged before the chat is refreshed,
+ * so a streamed answer or a chat being rendered does not trigger a refresh for every change.
+ * @type {number}
+ */
+const CHAT_REFRESH_DELAY = 300;
+
+/**
+ * The timer of the pending chat refresh, see `scheduleChatRefresh()`.
+ * @type {number|null}
+ */
+let chatRefreshTimer = null;
+
+/**
+ * Brings the displayed chat up to date: adds the external AI button to the answers that do not have one yet,
+ * re-applies the saved replacements of the chat and displays its follow-up turns. All are no-ops for elements
+ * that are already up to date, so the refresh can run after any change of the page.
+ *
+ * @return {void} This function does not return a value.
+ */
+function refreshChat() {
+    // URL changes made before the injected script was loaded are caught here
+    handleRouteChange();
+
+    const chatBubbles = getAssistantBubbles();
+    if (chatBubbles.length !== 0 && bypassSettings.enabled) increaseControlsUi(chatBubbles);
+    checkPageLayout();
+
+    const chatId = getChatIdFromUrl();
+    if (!chatId) {
+        updateActionBadge();
+        return;
+    }
+    restoreReplacements(chatId).then((restored) => {
+        if (restored > 0) console.log(`💬 Chat [${chatId}] restored.`);
+        return loadChatRecord(chatId);
+    }).then((record) => {
+        if (getChatIdFromUrl() !== chatId) return;
+        syncContinuation(chatId, record);
+        updateActionBadge();
+    });
+}
+
+/**
+ * Schedules a chat refresh once the page stops changing for `CHAT_REFRESH_DELAY` milliseconds.
+ *
+ * @return {void} This function does not return a value.
+ */
+function scheduleChatRefresh() {
+    clearTimeout(chatRefreshTimer);
+    chatRefreshTimer = setTimeout(refreshChat, CHAT_REFRESH_DELAY);
+}
+
+
+// Watches the page for as long as it is open: new answers, chats opened without reloading and bubbles
+// re-rendered by DeepSeek all schedule a refresh, which adds the missing buttons and restores the replacements.
+document.addEventListener("DOMContentLoaded", () => {
+    const observer = new MutationObserver(scheduleChatRefresh);
+    observer.observe(document.body, {childList: true, subtree: true});
+    scheduleChatRefresh();
+});
+
+/**
+ * Requests a replacement answer for a chat bubble from the Chrome extension backend.
+ * This function is used to handle and process censorship checks both for answers
+ * reported by the DeepSeek stream parser and for the manual external AI button.
+ *
+ * Key features of this functionality:
+ *
+ * 1. Logs the checked content for tracking purposes:
+ *    - Makes use of `request.content` to extract information related to the
+ *      censorship instance detected by DeepSeek.
+ *
+ * 2. Uses the DOM adapter (`getAssistantBubbles()` in dom.js) to identify HTML elements
+ *    corresponding to chat message bubbles on the current page.
+ *
+ * 3. Builds the user-assistant message history from the message tree rebuilt from the intercepted
+ *    API data (`buildConversationHistory()` in conversation.js), with the exact prompts and answers.
+ *    When the tree does not hold the whole branch, falls back to a structured array (`prompts`):
+ *    - Maps over the detected chat bubbles and extracts their content along with
+ *      their associated messages from DOM elements.
+ *
+ * 4. Opens a port to the Chrome extension backend and sends:
+ *    - The detected censorship `content` and the DeepSeek `reason` the stream finished with.
+ *    - The flattened and fully serialized chat `history` array for processing.
+ *
+ * 5. Handles the streamed runtime response:
+ *    - The bubble is only touched once the backend confirms the answer is censored.
+ *    - Replacement tokens are rendered progressively into the last detected
+ *      chat bubble, with a stop button to interrupt the generation.
+ *    - If no replacement is provided, the original content is restored.
+ *
+ * 6. Tracks the request with an id in `activeReplacements`:
+ *    - It is cancelled when the user navigates to another chat, DeepSeek starts another answer
+ *      or the same bubble is requested again, restoring the bubble if it is still displayed.
+ *    - Messages of a cancelled or finished request are ignored, so a late answer never lands in another bubble.
+ *
+ * IMPORTANT NOTE:
+ * This function is pivotal in detecting and responding to censorship patterns in chat applications.
+ * It interacts with Chrome extension APIs to validate and optionally alter offending text content
+ * to maintain compliance with certain policies or requirements.
+ *
+ * @param {Object} request - The replacement request.
+ * @param {string} request.content - The text of the checked answer.
+ * @param {number} [request.index] - The index of the chat bubble to replace, the last bubble if omitted.
+ * @param {boolean} [request.manual] - Whether the replacement was requested with the external AI button.
+ * @param {string} [request.trigger] - `outage` when DeepSeek was unavailable, otherwise derived from `manual`.
+ * @param {string} [request.reason] - The `finish_reason` DeepSeek finished the stream with.
+ * @param {string} [request.retractedText] - The text DeepSeek streamed before retracting the answer.
+ * @param {number} [request.messageId] - DeepSeek's id of the checked answer, when reported by the stream parser.
+ * @param {string} [request.profileId] - The profile picked from the external AI button, otherwise the chat's profile is used.
+ * @return {void} This function does not return a value.
+ */
+function requestReplacement(request) {
+    if (!bypassSettings.enabled || (bypassSettings.mode === "manual" && !request.manual)) {
+        console.log(`⏸️ Bypass ${bypassSettings.enabled ? "in manual-only mode" : "switched off"}, answer not checked.`);
+        return;
+    }
+    console.log("🚀 Checking DeepSeek answer for censorship:", request.content);
+
+    /**
+     * Represents the chat bubble elements retrieved from the DOM.
+     *
+     * The `bubbles` variable holds the answers found by the DOM adapter, in page order.
+     *
+     * This can be used to access or manipulate a group of chat bubble elements in a web application.
+     *
+     * @type {HTMLElement[]}
+     */
+    const bubbles = getAssistantBubbles();
+
+
+    /**
+     * An array representing a subset of chat bubbles derived from a given collection.
+     * This array is created by converting a NodeList or similar iterable `bubbles`
+     * into a true array and slicing it up to a specific index.
+     *
+     * The slicing endpoint is determined by `request.index`. If `request.index`
+     * is undefined, the slice operation stops at the second-to-last item in the collection.
+     *
+     * Assumes that `bubbles` is a valid iterable object and `request.index` is
+     * either a valid integer or undefined.
+     */
+    const chatBubbles = Array.from(bubbles).slice(0, request.index + 1 || bubbles.length);
+
+
+    /**
+     * An array containing transformed chat bubble data, where each chat bubble is mapped to an array of objects.
+     * Each object represents either the 'user' or 'assistant' role along with their respective message content.
+     *
+     * Structure:
+     * - Each chat bubble is transformed into an array with two objects:
+     *   - The first object represents the 'user' role:
+     *     - Contains the user message found by the DOM adapter, trimmed of whitespace.
      *   - The second object represents the 'assistant' role:
      *     - Contains the inner text of the current chat bubble.
      * - If a value cannot be retrieved, it defaults to an empty string.
      *
      * The `prompts` variable is derived from the NodeList `chatBubbles` via `Array.from` and `.map()`.
+     * It is only forwarded when the message tree is incomplete, since the rendered text loses the Markdown.
      */
     const prompts = chatBubbles.map((bubble) => {
         return [{
             role: 'user',
-            content: cleanText(bubble?.parentElement?.previousElementSibling?.firstElementChild?.textContent?.trim() || ""),
+            content: cleanText(getUserMessageText(bubble)),
         }, {
-            role: 'assistant', content: cleanText(bubble.innerText), censored: hasCensorshipWarning(bubble, event.data.manual),
+            role: 'assistant', content: cleanText(bubble.innerText), censored: hasCensorshipWarning(bubble, request.manual),
         }]
     });
-    const promptsFlatten = prompts.flat(Infinity);
+    const promptsFlatten = prompts.flat(Infinity);
+
+    const censoredMessageElement = chatBubbles[chatBubbles.length - 1];
+    if (!censoredMessageElement) return;
+
+    // A new request for a bubble supersedes the one in flight, which first puts the bubble back as it was
+    cancelReplacements("superseded", (replacement) => replacement.bubble === censoredMessageElement);
+    const requestId = createReplacementId();
+    const chatId = getChatIdFromUrl();
+    const currentBubbleInnerHtml = censoredMessageElement.innerHTML;
+
+    // DeepSeek's own id of the answer, so the replacement survives edits, regenerations and branches
+    const bubbleIndex = chatBubbles.length - 1;
+    tagBubble(censoredMessageElement, request.messageId);
+    const messageId = getBubbleMessageId(censoredMessageElement, bubbleIndex);
+    let originalText = censoredMessageElement.innerText;
+    let previousEntry = null;
+    getSavedReplacement(chatId, messageId).then((entry) => {
+        // A replaced bubble shows the previous replacement, the DeepSeek answer is the one saved with it
+        previousEntry = entry;
+        if (entry && entry.original) originalText = entry.original;
+    });
+
+
+    // Opens a long-lived port to the Chrome extension runtime and sends the censorship check through it.
+    // The message contains the detected `content` and the flattened `prompts` history.
+    // The runtime answers with a sequence of messages:
+    // - `start` once censorship is confirmed and a replacement is being requested;
+    // - `context` with how much of the history fits into the profile's token budget;
+    // - `delta` for every streamed token, rendered progressively into the censored bubble;
+    // - `done` once the replacement is complete, at which point it is saved to the history;
+    // - `skip` when no censorship was detected, leaving the bubble as it is unless `start` already replaced it;
+    // - `error` when the profile is unusable or the external API failed: the bubble is restored, an error card
+    //   offers to retry or open the settings, and nothing is saved to the history.
+    // In the multi-answer mode, `start` lists the `answers` being requested, `delta` messages carry the index of their
+    // `answer`, each finished answer is reported with an `answer` message and the verdict of the judge with `judge`;
+    // the answers are displayed in tabs, and `done` brings the one selected by default.
+    // The stop button disconnects the port, which aborts the request in the background
+    // and keeps whatever was streamed so far. Every message carries the `requestId`, and nothing is
+    // rendered once the request is settled or cancelled.
+    const port = chrome.runtime.connect({name: BYPASS_PORT_NAME});
+    const trigger = request.trigger || (request.manual ? "manual" : "auto");
+    const outage = trigger === "outage";
+    let warningText = CENSORED_WARNING_TEXT;
+    let provider = null;
+    let providerName = null;
+    let model = null;
+    let question = prompts[prompts.length - 1][0].content;
+    let replacement = "";
+    let reasoning = "";
+    let contextReport = null;
+    let renderScheduled = false;
+    let settled = false;
+    // Whether the bubble shows the placeholder of the request, and has to be restored if nothing replaces it
+    let started = false;
+    // The answers of the multi-answer mode, streamed side by side, and the one displayed in the bubble
+    let answers = null;
+    let activeAnswer = 0;
+    let answerPicked = false;
+    let judgeMode = null;
+    let judge = null;
+
+    const finishReplacement = (content) => {
+        settled = true;
+        activeReplacements.delete(requestId);
+        hideStopButton(censoredMessageElement);
+        appendExternalAiButton(censoredMessageElement);
+        // Of several answers, the one displayed is saved, the others stay selectable from the tabs
+        const author = answers ? answers[activeAnswer] : {provider, providerName, model};
+        const entry = {
+            messageId, index: bubbleIndex, content, original: originalText, preferred: "external",
+            censored: !outage, outage, provider: author.provider, retracted: request.retractedText || null, context: contextReport,
+            reasoning: reasoning || null, question, providerName: author.providerName || null, model: author.model || null,
+        };
+        if (answers) {
+            entry.answers = answers.map((answer) => ({...answer, finished: true}));
+            entry.selectedAnswer = activeAnswer;
+            entry.judge = judge && {mode: judge.mode, provider: judge.provider, ranking: judge.ranking, notes: judge.notes};
+        }
+        displayVersion(censoredMessageElement, entry, "external");
+        showThinkingBlock(censoredMessageElement, entry.reasoning);
+        showSavedAnswerTabs(censoredMessageElement, entry);
+        saveReplacement(entry);
+    };
+
+    const renderAnswerTabs = () => {
+        const finished = answers.every((answer) => answer.finished || answer.error);
+        const judging = !!judgeMode && !judge && finished && answers.filter((answer) => !answer.error).length > 1;
+        const state = {answers, selected: activeAnswer, judge, status: judging ? "⚖️ Judging the answers..." : null};
+        showAnswerTabs(censoredMessageElement, state, switchAnswer);
+    };
+
+    // Displays another of the answers while they stream. An answer the user picked is kept over the judge's choice
+    const switchAnswer = (index, picked = true) => {
+        if (settled || !answers[index] || answers[index].error) return;
+        activeAnswer = index;
+        answerPicked = answerPicked || picked;
+        replacement = answers[index].content;
+        reasoning = answers[index].reasoning;
+        showThinkingBlock(censoredMessageElement, reasoning, !replacement);
+        if (replacement) {
+            renderBubbleContent(censoredMessageElement, replacement);
+        } else {
+            delete censoredMessageElement.dataset.bypassSource;
+            censoredMessageElement.innerText = "🔄 Requesting an external answer...";
+        }
+        renderAnswerTabs();
+    };
+
+    const restoreOriginal = () => {
+        // Restores the chat bubble's content to its original text if there is no replacement from the DeepSeek runtime,
+        // ensuring the prompt remains preserved in its original form.
+        settled = true;
+        activeReplacements.delete(requestId);
+        hideStopButton(censoredMessageElement);
+        censoredMessageElement.innerHTML = currentBubbleInnerHtml;
+        tagBubble(censoredMessageElement, messageId);
+        hideWarning(censoredMessageElement);
+        hideRetractedPanel(censoredMessageElement);
+        hideContextInfo(censoredMessageElement);
+        hideThinkingBlock(censoredMessageElement);
+        hideVersionBar(censoredMessageElement);
+        hideAnswerTabs(censoredMessageElement);
+        // A bubble that was already replaced goes back to its saved replacement
+        if (previousEntry) applyReplacement(censoredMessageElement, previousEntry);
+        appendExternalAiButton(censoredMessageElement);
+    };
+
+    // Settles a request that never touched the bubble, which is left as it is
+    const settleUntouched = () => {
+        settled = true;
+        activeReplacements.delete(requestId);
+    };
+
+    // Keeps whatever was streamed so far, or the original answer if nothing arrived yet
+    const stopReplacement = () => {
+        if (settled) return;
+        if (replacement) {
+            finishReplacement(replacement);
+        } else {
+            restoreOriginal();
+        }
+    };
+
+    // Drops the request without saving anything, and restores the bubble if the page still displays it
+    const cancelReplacement = (reason) => {
+        if (settled) return;
+        console.log(`⏹️ Replacement request ${requestId} cancelled (${reason}).`);
+        port.disconnect();
+        if (started && censoredMessageElement.isConnected && getChatIdFromUrl() === chatId) {
+            restoreOriginal();
+        } else {
+            settleUntouched();
+        }
+    };
+    activeReplacements.set(requestId, {chatId, bubble: censoredMessageElement, cancel: cancelReplacement});
+
+    // The service worker may be terminated while streaming
+    port.onDisconnect.addListener(stopReplacement);
+
+    port.onMessage.addListener((message) => {
+        if (settled || message.requestId !== requestId) return;
+
+        switch (message.type) {
+            case "start":
+                started = true;
+                provider = message.provider;
+                providerName = message.providerName || null;
+                model = message.model || null;
+                answers = message.answers
+                    ? message.answers.map((label) => ({...label, content: "", reasoning: "", latency: null, cost: null, error: null, finished: false}))
+                    : null;
+                judgeMode = message.judge || null;
+                hideErrorCard(censoredMessageElement);
+                if (outage) warningText = outageWarningText(provider);
+                // leave a collection element to redefine original element
+                hideComparison(censoredMessageElement);
+                hideVersionBar(censoredMessageElement);
+                hideAnswerTabs(censoredMessageElement);
+                hideContextInfo(censoredMessageElement);
+                hideThinkingBlock(censoredMessageElement);
+                delete censoredMessageElement.dataset.bypassVersion;
+                delete censoredMessageElement.dataset.bypassSource;
+                censoredMessageElement.innerText = "🔄 Requesting an external answer...";
+                showRetractedPanel(censoredMessageElement, request.retractedText);
+                showStopButton(censoredMessageElement, () => {
+                    port.disconnect();
+                    console.log("⏹️ Replacement stream stopped.");
+                    stopReplacement();
+                });
+                if (answers) {
+                    showWarning(censoredMessageElement, warningText);
+                    renderAnswerTabs();
+                }
+                break;
+            case "context":
+                contextReport = {
+                    sentTurns: message.sentTurns, totalTurns: message.totalTurns,
+                    tokens: message.tokens, budget: message.budget, summarized: message.summarized,
+                };
+                showContextInfo(censoredMessageElement, contextReport);
+                break;
+            case "delta":
+                // Of several answers, only the displayed one is rendered, the others are kept for their tab
+                if (answers) {
+                    answers[message.answer].content += message.content || "";
+                    answers[message.answer].reasoning += message.reasoning || "";
+                    if (message.answer !== activeAnswer) break;
+                }
+                if (!replacement && !reasoning) showWarning(censoredMessageElement, warningText);
+                replacement += message.content || "";
+                reasoning += message.reasoning || "";
+                // Renders at most once per frame, since every rendering parses the whole answer again
+                if (!renderScheduled) {
+                    renderScheduled = true;
+                    requestAnimationFrame(() => {
+                        renderScheduled = false;
+                        if (settled) return;
+                        // The model is thinking until the answer itself starts
+                        showThinkingBlock(censoredMessageElement, reasoning, !replacement);
+                        if (replacement) renderBubbleContent(censoredMessageElement, replacement);
+                    });
+                }
+                break;
+            case "answer":
+                Object.assign(answers[message.answer], {
+                    content: message.content, reasoning: message.reasoning || "", latency: message.latency,
+                    cost: message.cost, error: message.error, finished: true,
+                });
+                // The first answer failed, another one is displayed while the rest stream
+                if (message.error && message.answer === activeAnswer) {
+                    const next = answers.findIndex((answer) => !answer.error);
+                    if (next !== -1) {
+                        switchAnswer(next, false);
+                        break;
+                    }
+                }
+                renderAnswerTabs();
+                break;
+            case "judge":
+                judge = message;
+                if (message.content) {
+                    answers.push({
+                        provider: message.provider, providerName: message.providerName, model: message.model,
+                        content: message.content, reasoning: message.reasoning || "", latency: message.latency,
+                        cost: message.cost, error: null, finished: true, merged: true,
+                    });
+                }
+                renderAnswerTabs();
+                break;
+            case "done":
+                port.disconnect();
+                if (answers && answerPicked) {
+                    finishReplacement(answers[activeAnswer].content);
+                    break;
+                }
+                // Of several answers, the merged one, the best ranked one or the first one is selected by default
+                if (answers) {
+                    activeAnswer = message.selected;
+                    reasoning = message.reasoning || "";
+                } else {
+                    reasoning = message.reasoning || reasoning;
+                }
+                finishReplacement(message.content);
+                break;
+            case "error":
+                port.disconnect();
+                console.warn(`❌ External answer failed (${message.kind}):`, message.message);
+                restoreOriginal();
+                showErrorCard(censoredMessageElement, message, () => requestReplacement({...request, index: bubbleIndex}));
+                break;
+            case "skip":
+                // The answer is not replaced, e.g. it is not censored or the extension is paused
+                port.disconnect();
+                if (started) {
+                    restoreOriginal();
+                } else {
+                    settleUntouched();
+                }
+                break;
+            default:
+                port.disconnect();
+                restoreOriginal();
+                console.log('No response from runtime.');
+        }
+    });
+
+    // The message tree holds the exact prompts and answers, the text of the bubbles is only used when it is incomplete
+    loadChatRecord(chatId).catch(() => null).then((record) => {
+        if (settled) return;
+
+        const history = messageId !== null ? buildConversationHistory(messageId, record ? record.replacements : {}) : null;
+        if (!history) console.log("📜 Message tree incomplete, forwarding the history read from the page.");
+        if (history) question = history[history.length - 2].content;
+
+        port.postMessage({
+            action: "checkCensorship",
+            requestId,
+            content: request.content,
+            history: history || promptsFlatten,
+            manual: request.manual || false,
+            trigger,
+            reason: request.reason || null,
+            retracted: !!request.retractedText,
+            chatId,
+            chatTitle: conversation.title || document.title,
+            profileId: request.profileId || null,
+        });
+    });
+}
+
+
+/**
+ * The CSS class name of the toggle above DeepSeek's input box turning the "continue with external model" mode on and off.
+ */
+const CSS_CONTINUE_TOGGLE_CLASS = 'bypass-continue';
+
+/**
+ * Builds the label displayed above the answers of follow-up turns.
+ *
+ * @param {string} provider - The label of the provider and model that answered.
+ * @return {string} The label text.
+ */
+const followUpLabelText = (provider) => `🔁 Answered by ${provider || "the external model"}, DeepSeek did not see this turn.`;
+
+/**
+ * The "continue with external model" mode of the open chat, mirrored from its record so that the prompts typed
+ * in DeepSeek's input box can be intercepted synchronously.
+ * - `chatId` – the chat the mode belongs to;
+ * - `enabled` – whether the user's prompts go to the external model instead of DeepSeek;
+ * - `anchor` – the DeepSeek answer the follow-up turns continue from, its message id or `index-N`.
+ * @type {{chatId: (string|null), enabled: boolean, anchor: (number|string|null)}}
+ */
+const continuation = {chatId: null, enabled: false, anchor: null};
+
+/**
+ * Identifies the last DeepSeek answer of the displayed chat, which follow-up turns continue from.
+ *
+ * @return {{bubble: HTMLElement, anchor: (number|string)}|null} The answer and its anchor, or null if the chat has no answer.
+ */
+function getLastAnswerAnchor() {
+    const bubbles = getAssistantBubbles();
+    const index = bubbles.length - 1;
+    if (index < 0) return null;
+
+    const messageId = getBubbleMessageId(bubbles[index], index);
+    return {bubble: bubbles[index], anchor: messageId !== null ? messageId : `index-${index}`};
+}
+
+/**
+ * Displays the toggle of the "continue with external model" mode above DeepSeek's input box.
+ * It is offered in chats that have a replaced answer, and in chats where the mode is on.
+ *
+ * @param {Object|null} record - The record of the open chat.
+ * @return {void} This function does not return a value.
+ */
+function showContinueToggle(record) {
+    const input = getPromptInput();
+    const composer = input && findComposer(input);
+    let toggle = document.querySelector(`.${CSS_CONTINUE_TOGGLE_CLASS}`);
+
+    const offered = bypassSettings.enabled && !!record && (continuation.enabled || Object.keys(record.replacements).length > 0);
+    if (!composer || !offered) {
+        if (toggle) toggle.remove();
+        return;
+    }
+
+    if (!toggle || toggle.nextElementSibling !== composer) {
+        if (toggle) toggle.remove();
+        toggle = document.createElement("button");
+        toggle.type = "button";
+        toggle.classList.add(CSS_CONTINUE_TOGGLE_CLASS);
+        toggle.addEventListener("click", () => setContinuation(!continuation.enabled));
+        composer.parentNode.insertBefore(toggle, composer);
+    }
+
+    // The page is watched for changes, the toggle is only rewritten when the mode changed
+    if (toggle.dataset.bypassEnabled === String(continuation.enabled)) return;
+    toggle.dataset.bypassEnabled = String(continuation.enabled);
+    toggle.style = "font-size: 12px; margin-bottom: 6px; padding: 2px 10px; border: 1px solid #4CAF50; border-radius: 12px; cursor: pointer; " +
+        (continuation.enabled ? "background: #4CAF50; color: #fff;" : "background: transparent; color: #4CAF50;");
+    toggle.textContent = continuation.enabled ? "🔁 Continuing with the external model" : "↪️ Continue with the external model";
+    toggle.title = continuation.enabled
+        ? "Your prompts are answered by the external model, which sees the replaced answers. Click to send them to DeepSeek again."
+        : "Send your next prompts to the external model instead of DeepSeek, which never saw the replaced answers.";
+}
+
+/**
+ * Turns the "continue with external model" mode of the open chat on or off.
+ * Follow-up turns continue from the last answer DeepSeek displays when the mode is turned on.
+ *
+ * @param {boolean} enabled - Whether the user's next prompts go to the external model.
+ * @return {Promise<void>} Resolves once the mode is saved.
+ */
+function setContinuation(enabled) {
+    const chatId = getChatIdFromUrl();
+    const last = getLastAnswerAnchor();
+    if (!chatId || !last) return Promise.resolve();
+
+    return sendExtensionMessage({action: "history.setContinuation", chatId, enabled, anchor: last.anchor}).then((record) => {
+        if (!record) return;
+        updateChatRecordCache(chatId, record);
+        syncContinuation(chatId, record);
+        console.log(enabled ? `🔁 Chat [${chatId}] continues with the external model.` : `↩️ Chat [${chatId}] is answered by DeepSeek again.`);
+    });
+}
+
+/**
+ * Mirrors the mode saved in the record of the open chat, and displays its toggle and follow-up turns.
+ *
+ * @param {string} chatId - The unique identifier for the chat.
+ * @param {Object|null} record - The record of the chat.
+ * @return {void} This function does not return a value.
+ */
+function syncContinuation(chatId, record) {
+    const mode = (record && record.continuation) || {};
+    continuation.chatId = chatId;
+    continuation.enabled = !!mode.enabled;
+    continuation.anchor = mode.anchor !== undefined ? mode.anchor : null;
+
+    showContinueToggle(record);
+    renderFollowUps(record);
+}
+
+/**
+ * Adds a follow-up turn – the user's prompt and an empty answer – at the end of the follow-up container.
+ *
+ * @param {HTMLElement} container - The follow-up container.
+ * @param {HTMLElement} bubble - The DeepSeek answer the follow-ups continue from, whose turn is used as a model.
+ * @param {string} question - The user's prompt.
+ * @return {HTMLElement} The element receiving the answer.
+ */
+function appendFollowUpTurn(container, bubble, question) {
+    const {userTurn, userText, answerTurn, answer} = createFollowUpTurnElements(bubble);
+    userText.style.whiteSpace = "pre-wrap";
+    userText.textContent = question;
+    userTurn.appendChild(userText);
+    answerTurn.appendChild(answer);
+    container.append(userTurn, answerTurn);
+    return answer;
+}
+
+/**
+ * Displays the saved follow-up turns that continue from the last answer of the chat, in a container placed right
+ * after it. Follow-ups continuing from another answer, e.g. before DeepSeek answered again, are not displayed.
+ * The container is rebuilt only when it is missing, misplaced or outdated, and left alone while a follow-up streams.
+ *
+ * @param {Object|null} record - The record of the open chat.
+ * @return {void} This function does not return a value.
+ */
+function renderFollowUps(record) {
+    if (Array.from(activeReplacements.values()).some((replacement) => replacement.followUp)) return;
+
+    const last = getLastAnswerAnchor();
+    const followUps = last && record && record.followUps
+        ? record.followUps.filter((followUp) => followUp.anchor === last.anchor)
+        : [];
+    const messageElement = last && getMessageElement(last.bubble);
+    let container = document.querySelector(`.${CSS_FOLLOW_UPS_CLASS}`);
+
+    if (container && container.previousElementSibling === messageElement &&
+        container.dataset.bypassCount === String(followUps.length)) {
+        return;
+    }
+    if (container) container.remove();
+    if (!followUps.length) return;
+
+    container = document.createElement("div");
+    container.classList.add(CSS_FOLLOW_UPS_CLASS);
+    container.style.display = "contents";
+    container.dataset.bypassCount = String(followUps.length);
+    messageElement.after(container);
+
+    followUps.forEach((followUp) => {
+        const answer = appendFollowUpTurn(container, last.bubble, followUp.question);
+        showWarning(answer, followUpLabelText(followUp.provider));
+        showThinkingBlock(answer, followUp.reasoning);
+        renderBubbleContent(answer, followUp.content);
+    });
+}
 
-    const censoredMessageElement = chatBubbles[chatBubbles.length - 1];
-    const currentBubbleInnerHtml = censoredMessageElement.innerHTML;
+/**
+ * Replaces the text of DeepSeek's input box. The page keeps its own copy of the value,
+ * which only follows the native setter and an `input` event.
+ *
+ * @param {HTMLTextAreaElement} input - The prompt input.
+ * @param {string} value - The new text.
+ * @return {void} This function does not return a value.
+ */
+function setPromptInputValue(input, value) {
+    Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, "value").set.call(input, value);
+    input.dispatchEvent(new Event("input", {bubbles: true}));
+}
 
-    // leave a collection element to redefine original element
-    chatBubbles[chatBubbles.length - 1].innerText = "🔄 Checking censorship is running...";
-
-
-    // Focuses on sending a message to the Chrome extension runtime.
-    // The message contains key data such as:
-    // 1. The detected `content` from the censorship event (retrieved from `event.data.content`).
-    // 2. A flattened and serialized version of the transformed `prompts` array, which holds detailed history
-    //    of the user-assistant conversation extracted from DOM elements.
-    // After sending this data, the runtime's asynchronous response is handled as follows:
-    // - If a `replacement` value exists in the response, the last chat bubble (presumably the censored one)
-    //   is dynamically updated in the DOM with the new `replacement` content provided.
-    // - Otherwise, a log is written indicating no response or replacement was provided. This ensures that
-    //   all runtime interactions are tracked for debugging purposes.
-    // This step is critical because it not only tracks censorship events but provides an opportunity to
-    // programmatically modify content in response to those events, enabling dynamic user assistance.
-    chrome.runtime.sendMessage({
-        action: "checkCensorship",
-        content: event.data.content,
-        history: promptsFlatten,
-        manual: event.data.manual || false
-    }, async (response) => {
-        if (response && response.replacement) {
-            showWarning(chatBubbles[chatBubbles.length - 1]);
-            appendExternalAiButton(chatBubbles[chatBubbles.length - 1])
-            chatBubbles[chatBubbles.length - 1].innerText = response.replacement;
-            saveHistory([...promptsFlatten.slice(0, -1), {
-                role: "assistant", content: response.replacement, censored: true,
-            }]);
-        } else {
-            // Restores the chat bubble's content to its original text if there is no response or replacement from the DeepSeek runtime,
-            // ensuring the prompt remains preserved in its original form.
-            chatBubbles[chatBubbles.length - 1].innerHTML = currentBubbleInnerHtml;
-            hideWarning(chatBubbles[chatBubbles.length - 1]);
-            appendExternalAiButton(chatBubbles[chatBubbles.length - 1])
-            saveHistory([...promptsFlatten.slice(0, -1), {
-                role: "assistant", content: chatBubbles[chatBubbles.length - 1].innerText, censored: false,
-            }]);
-            console.log('No response from runtime.')
+/**
+ * Builds the history forwarded with a follow-up prompt: the branch ending with the answer the follow-ups continue
+ * from, the earlier follow-ups, and the new prompt. Unlike for a replacement, DeepSeek's last answer is forwarded as
+ * the version kept in the history. When the message tree is incomplete, the history is read from the page, whose
+ * bubbles already display the kept versions.
+ *
+ * @param {Object|null} record - The record of the open chat.
+ * @param {number|string} anchor - The answer the follow-ups continue from.
+ * @param {string} question - The new prompt.
+ * @return {Array<Object>} The history, ending with an empty answer standing for the one requested.
+ */
+function buildFollowUpHistory(record, anchor, question) {
+    const replacements = (record && record.replacements) || {};
+    let history = typeof anchor === "number" ? buildConversationHistory(anchor, replacements) : null;
+
+    if (history) {
+        const entry = replacements[anchor];
+        if (entry && (entry.preferred || "external") === "external") {
+            history[history.length - 1] = {role: "assistant", content: entry.content, censored: true};
+        }
+    } else {
+        history = getAssistantBubbles().flatMap((bubble) => [
+            {role: "user", content: cleanText(getUserMessageText(bubble))},
+            {role: "assistant", content: cleanText(bubble.innerText), censored: hasCensorshipWarning(bubble, false)},
+        ]);
+    }
+
+    const followUps = ((record && record.followUps) || [])
+        .filter((followUp) => followUp.anchor === anchor)
+        .flatMap((followUp) => [
+            {role: "user", content: followUp.question},
+            {role: "assistant", content: followUp.content, censored: false},
+        ]);
+
+    return [...history, ...followUps, {role: "user", content: question}, {role: "assistant", content: "", censored: false}];
+}
+
+/**
+ * Answers a prompt with the external model in the "continue with external model" mode.
+ *
+ * The turn is added after the chat as native-looking bubbles and the answer is streamed into it through the same
+ * port protocol as replacements (see `requestReplacement()`), with the `continue` trigger, which the service worker
+ * always answers. The answer is saved with the chat once complete, so the turn is displayed again when the chat is
+ * reopened. A failed answer shows the error card, and stopping before anything arrived puts the prompt back into
+ * the input box.
+ *
+ * Questions about a selection asked from the context menu are answered the same way with the `selection` trigger,
+ * without turning the mode on.
+ *
+ * @param {string} question - The prompt typed by the user.
+ * @param {string} [trigger] - `continue` for a prompt of the mode, `selection` for a question from the context menu.
+ * @return {void} This function does not return a value.
+ */
+function requestFollowUp(question, trigger = "continue") {
+    const chatId = getChatIdFromUrl();
+    const last = getLastAnswerAnchor();
+    if (!chatId || !last) return;
+
+    // DeepSeek answered since the mode was turned on, the follow-ups now continue from its last answer
+    const anchor = last.anchor;
+    const ready = anchor === continuation.anchor
+        ? loadChatRecord(chatId)
+        : sendExtensionMessage({action: "history.setContinuation", chatId, enabled: continuation.enabled, anchor}).then((record) => {
+            updateChatRecordCache(chatId, record);
+            continuation.anchor = anchor;
+            return record;
+        });
+
+    ready.then((record) => {
+        if (getChatIdFromUrl() !== chatId) return;
+
+        renderFollowUps(record);
+        let container = document.querySelector(`.${CSS_FOLLOW_UPS_CLASS}`);
+        if (!container) {
+            container = document.createElement("div");
+            container.classList.add(CSS_FOLLOW_UPS_CLASS);
+            container.style.display = "contents";
+            container.dataset.bypassCount = "0";
+            getMessageElement(last.bubble).after(container);
+        }
+        const answer = appendFollowUpTurn(container, last.bubble, question);
+        answer.innerText = "🔄 Requesting an external answer...";
+        answer.scrollIntoView({block: "end"});
+
+        const requestId = createReplacementId();
+        const port = chrome.runtime.connect({name: BYPASS_PORT_NAME});
+        let provider = null;
+        let providerName = null;
+        let model = null;
+        let content = "";
+        let reasoning = "";
+        let renderScheduled = false;
+        let settled = false;
+
+        // Removes the turn from the page, e.g. when nothing was answered
+        const discardTurn = () => {
+            settled = true;
+            activeReplacements.delete(requestId);
+            answer.parentElement.previousElementSibling.remove();
+            answer.parentElement.remove();
+        };
+
+        const finishFollowUp = (text) => {
+            settled = true;
+            hideStopButton(answer);
+            showThinkingBlock(answer, reasoning);
+            renderBubbleContent(answer, text);
+
+            const followUp = {anchor, question, content: text, reasoning: reasoning || null, provider, providerName, model};
+            const title = conversation.chatId === chatId ? conversation.title : null;
+            // The turn stays registered until saved, so refreshing the chat meanwhile does not remove it
+            sendExtensionMessage({action: "history.saveFollowUp", chatId, followUp, title}).then((saved) => {
+                activeReplacements.delete(requestId);
+                if (!saved) return;
+                updateChatRecordCache(chatId, saved);
+                container.dataset.bypassCount = String(Number(container.dataset.bypassCount) + 1);
+                console.log(`💾 Chat [${chatId}] follow-up saved.`);
+            });
+        };
+
+        // Keeps whatever was streamed so far, or gives the prompt back if nothing arrived yet
+        const stopFollowUp = () => {
+            if (settled) return;
+            if (content) {
+                finishFollowUp(content);
+                return;
+            }
+            discardTurn();
+            const input = getPromptInput();
+            if (input && !input.value) setPromptInputValue(input, question);
+        };
+
+        const cancelFollowUp = (reason) => {
+            if (settled) return;
+            console.log(`⏹️ Follow-up request ${requestId} cancelled (${reason}).`);
+            port.disconnect();
+            discardTurn();
+        };
+        activeReplacements.set(requestId, {chatId, bubble: answer, followUp: true, cancel: cancelFollowUp});
+
+        // The service worker may be terminated while streaming
+        port.onDisconnect.addListener(stopFollowUp);
+
+        port.onMessage.addListener((message) => {
+            if (settled || message.requestId !== requestId) return;
+
+            switch (message.type) {
+                case "start":
+                    provider = message.provider;
+                    providerName = message.providerName || null;
+                    model = message.model || null;
+                    showWarning(answer, followUpLabelText(provider));
+                    showStopButton(answer, () => {
+                        port.disconnect();
+                        console.log("⏹️ Follow-up stream stopped.");
+                        stopFollowUp();
+                    });
+                    break;
+                case "context":
+                    showContextInfo(answer, message);
+                    break;
+                case "delta":
+                    content += message.content || "";
+                    reasoning += message.reasoning || "";
+                    if (!renderScheduled) {
+                        renderScheduled = true;
+                        requestAnimationFrame(() => {
+                            renderScheduled = false;
+                            if (settled) return;
+                            showThinkingBlock(answer, reasoning, !content);
+                            if (content) renderBubbleContent(answer, content);
+                        });
+                    }
+                    break;
+                case "done":
+                    port.disconnect();
+                    reasoning = message.reasoning || reasoning;
+                    finishFollowUp(message.content);
+                    break;
+                case "error":
+                    port.disconnect();
+                    console.warn(`❌ Follow-up answer failed (${message.kind}):`, message.message);
+                    settled = true;
+                    activeReplacements.delete(requestId);
+                    hideStopButton(answer);
+                    answer.innerText = "";
+                    showErrorCard(answer, message, () => {
+                        discardTurn();
+                        requestFollowUp(question, trigger);
+                    });
+                    break;
+                default:
+                    port.disconnect();
+                    stopFollowUp();
+            }
+        });
+
+        port.postMessage({
+            action: "checkCensorship",
+            requestId,
+            content: "",
+            history: buildFollowUpHistory(record, anchor, question),
+            manual: true,
+            trigger,
+            reason: null,
+            retracted: false,
+            chatId,
+            chatTitle: conversation.title || document.title,
+            profileId: null,
+        });
+    });
+}
+
+/**
+ * Sends the prompt typed in DeepSeek's input box to the external model instead of DeepSeek while the
+ * "continue with external model" mode is on. Registered in the capture phase, so the page never receives
+ * the Enter key or the click on its send button.
+ *
+ * @param {KeyboardEvent|MouseEvent} event - A `keydown` or `click` event.
+ * @return {void} This function does not return a value.
+ */
+function interceptPrompt(event) {
+    if (!bypassSettings.enabled || !continuation.enabled || continuation.chatId !== getChatIdFromUrl()) return;
+
+    const input = getPromptInput();
+    if (!input) return;
+
+    const pressedEnter = event.type === "keydown" && event.target === input &&
+        event.key === "Enter" && !event.shiftKey && !event.isComposing;
+    const sendButton = event.type === "click" ? getSendButton(input) : null;
+    const clickedSend = !!sendButton && sendButton.contains(event.target);
+    const question = input.value.trim();
+    if ((!pressedEnter && !clickedSend) || !question) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    setPromptInputValue(input, "");
+    requestFollowUp(question);
+}
+
+document.addEventListener("keydown", interceptPrompt, true);
+document.addEventListener("click", interceptPrompt, true);
+
+
+chrome.storage.onChanged.addListener((changes) => {
+    if (changes.bypass) applyBypassSettings(changes.bypass.newValue);
+});
+
+
+/**
+ * The global switches saved in the popup (see bypass.js), kept up to date while the page is open. The service worker
+ * enforces them as well; the page uses them to send no request and add no control while the extension is switched off.
+ * @type {{enabled: boolean, mode: string}}
+ */
+const bypassSettings = {...DEFAULT_BYPASS_SETTINGS};
+
+/**
+ * Applies the global switches saved in the popup. Switching the extension off removes the controls it added,
+ * the saved replacements stay displayed.
+ *
+ * @param {Object} [saved] - The saved switches.
+ * @return {void} This function does not return a value.
+ */
+function applyBypassSettings(saved) {
+    Object.assign(bypassSettings, DEFAULT_BYPASS_SETTINGS, saved);
+    if (!bypassSettings.enabled) {
+        document.querySelectorAll(`.${ACTION_ICON_IDENTITY_CLASS}, .${CSS_CONTINUE_TOGGLE_CLASS}`).forEach((element) => element.remove());
+    }
+    scheduleChatRefresh();
+}
+
+chrome.storage.local.get(["bypass"], (result) => applyBypassSettings(result.bypass));
+
+
+/**
+ * The retries of the DeepSeek answer that last failed with an outage, see outage.js:
+ * - `attempt` – the number of retries made so far;
+ * - `timer` – the timer of the next retry while it is waited for, null otherwise.
+ * @type {{attempt: number, timer: (number|null)}}
+ */
+const outageRetry = {attempt: 0, timer: null};
+
+/**
+ * Stops retrying the answer that failed with an outage, cancelling the retry waited for.
+ *
+ * @return {void} This function does not return a value.
+ */
+function resetOutageRetry() {
+    clearTimeout(outageRetry.timer);
+    outageRetry.attempt = 0;
+    outageRetry.timer = null;
+}
+
+/**
+ * Returns the regenerate button of the last answer of the chat, the one an outage leaves behind.
+ *
+ * @return {HTMLElement|null} The button, or null if the page shows no answer with such a button.
+ */
+function getLastRegenerateButton() {
+    const bubbles = getAssistantBubbles();
+    return bubbles.length ? getRegenerateButton(bubbles[bubbles.length - 1]) : null;
+}
+
+/**
+ * Handles a DeepSeek answer that failed because DeepSeek was busy or could not be reached.
+ *
+ * As long as retries are left, DeepSeek's regenerate button is clicked after an exponentially growing delay, so the
+ * page sends a new request with a fresh proof-of-work token; the stream of that request comes back here when it
+ * fails again. Once every retry failed, or when the page offers no regenerate button, the external provider answers
+ * and the answer is labelled accordingly.
+ *
+ * @param {Object} data - The `finish` event posted by the injected script.
+ * @return {void} This function does not return a value.
+ */
+function handleOutage(data) {
+    const fallBack = () => {
+        resetOutageRetry();
+        requestReplacement({content: data.text, trigger: "outage", messageId: data.messageId});
+    };
+
+    chrome.storage.local.get(["outage"], (result) => {
+        const settings = {...DEFAULT_OUTAGE_SETTINGS, ...result.outage};
+        if (!bypassSettings.enabled || outageRetry.attempt >= settings.retries || !getLastRegenerateButton()) {
+            fallBack();
+            return;
+        }
+
+        const delay = getOutageRetryDelay(settings, outageRetry.attempt);
+        outageRetry.attempt++;
+        console.warn(`⏳ DeepSeek is busy, retrying in ${delay} ms (${outageRetry.attempt}/${settings.retries})`);
+        showToast(`⏳ DeepSeek is busy, retrying in ${Math.round(delay / 1000)} s (${outageRetry.attempt}/${settings.retries})...`);
+
+        outageRetry.timer = setTimeout(() => {
+            outageRetry.timer = null;
+            // The page may have re-rendered the answer meanwhile, its button is looked up again
+            const button = getLastRegenerateButton();
+            if (button) {
+                button.click();
+            } else {
+                fallBack();
+            }
+        }, delay);
+    });
+}
+
+/**
+ * Handles the final event of an intercepted DeepSeek stream.
+ *
+ * - An `outage` (DeepSeek was busy or could not be reached) is retried, then answered by the external provider,
+ *   see `handleOutage()`.
+ * - Any other finished stream is checked for censorship together with the text DeepSeek retracted mid-stream.
+ *
+ * @param {Object} data - The `finish` event posted by the injected script.
+ * @return {void} This function does not return a value.
+ */
+function handleStreamFinish(data) {
+    recordStreamEvent(data);
+
+    if (data.outage) {
+        handleOutage(data);
+        return;
+    }
+
+    resetOutageRetry();
+    if (data.reason) {
+        requestReplacement({
+            content: data.text, reason: data.reason, retractedText: data.retractedText, messageId: data.messageId,
+        });
+    }
+}
+
+
+/**
+ * Listens for messages posted to the `window` object by the injected interception script,
+ * ignoring anything that does not originate from the current window.
+ * Scripts of the page can post the same messages, so none of them can request a manual replacement.
+ *
+ * - `DEEPSEEK_HISTORY` carries the message tree of a chat loaded by the page, used to re-apply saved replacements.
+ * - `DEEPSEEK_STREAM` events describe an intercepted DeepSeek completion stream: `start` with the message ids,
+ *   and `finish` once the stream is over.
+ * - `DEEPSEEK_FILE` describes a file the page uploaded, whose text is forwarded with the prompts it is attached to.
+ * - `DEEPSEEK_ROUTE` is posted when the page changes its URL with `history.pushState()` or `history.replaceState()`.
+ */
+window.addEventListener("message", (event) => {
+    if (event.source !== window || !event.data) return;
+
+    if (event.data.type === "DEEPSEEK_HISTORY") {
+        if (loadConversationHistory(event.data)) restoreReplacements(event.data.chatId);
+    } else if (event.data.type === "DEEPSEEK_STREAM" && event.data.event === "start") {
+        // The user sent a new message or regenerated an answer, the pending external answers are outdated,
+        // and so is a retry still waited for. The retries themselves start once their timer is over
+        cancelReplacements("new DeepSeek answer");
+        if (outageRetry.timer) resetOutageRetry();
+        recordStreamEvent(event.data);
+    } else if (event.data.type === "DEEPSEEK_FILE") {
+        recordAttachedFile(event.data);
+    } else if (event.data.type === "DEEPSEEK_ROUTE") {
+        handleRouteChange();
+    } else if (event.data.type === "DEEPSEEK_STREAM" && event.data.event === "finish") {
+        handleStreamFinish(event.data);
+    }
+});
+
+
+/**
+ * Builds the export of the open chat: the branch the page displays, merged with the saved replacements.
+ * When the message tree was not intercepted, only the stored record is exported.
+ *
+ * @param {string|null} [chatId] - The chat to export, which must be the open one; the open chat when omitted.
+ * @return {Promise<Object|null>} Resolves with the chat returned by `buildChatExport()`, or null if another chat is open.
+ */
+function buildOpenChatExport(chatId = null) {
+    const openChatId = getChatIdFromUrl();
+    if (!openChatId || (chatId && chatId !== openChatId)) return Promise.resolve(null);
+
+    const path = conversation.chatId === openChatId && conversation.currentMessageId !== null
+        ? getConversationPath(conversation.currentMessageId)
+        : [];
+    return loadChatRecord(openChatId).catch(() => null)
+        .then((record) => buildChatExport(openChatId, record, path, conversation.chatId === openChatId ? conversation.title : null));
+}
+
+
+/**
+ * Requests a new external answer for the last DeepSeek answer of the chat, as the external AI button does.
+ *
+ * @return {boolean} False if the chat has no answer to re-answer.
+ */
+function reanswerLastMessage() {
+    const bubbles = getAssistantBubbles();
+    const index = bubbles.length - 1;
+    if (index < 0) return false;
+
+    requestReplacement({content: bubbles[index].innerText, index, manual: true});
+    return true;
+}
+
+
+/**
+ * Whether the toolbar badge of the tab tells that the last answer was replaced, null until first reported.
+ * @type {boolean|null}
+ */
+let badgeReplaced = null;
+
+/**
+ * Reports to the service worker whether the last answer of the displayed chat was written by the external model –
+ * a replacement displayed in the last bubble, or a follow-up turn – so the toolbar badge of the tab tells it.
+ * Nothing is sent while the answer stays the same.
+ *
+ * @return {void} This function does not return a value.
+ */
+function updateActionBadge() {
+    const bubbles = getAssistantBubbles();
+    const last = bubbles[bubbles.length - 1];
+    const followUps = document.querySelector(`.${CSS_FOLLOW_UPS_CLASS}`);
+    const replaced = !!(followUps && followUps.childElementCount) ||
+        (!!last && ["external", "compare"].includes(last.dataset.bypassVersion));
+
+    if (replaced === badgeReplaced) return;
+    badgeReplaced = replaced;
+    sendExtensionMessage({action: "badge.update", replaced});
+}
+
+
+/**
+ * The CSS class name of the toast confirming the keyboard shortcuts and the context menu entry.
+ */
+const CSS_TOAST_CLASS = 'bypass-toast';
+
+/**
+ * How long a toast stays displayed, in milliseconds.
+ * @type {number}
+ */
+const TOAST_DURATION = 3000;
+
+/**
+ * Timer hiding the toast currently displayed.
+ * @type {number|null}
+ */
+let toastTimer = null;
+
+/**
+ * Displays a short message at the bottom of the page, replacing the previous one.
+ * Keyboard shortcuts and the context menu have no button to show their result on, the toast tells it instead.
+ *
+ * @param {string} text - The message.
+ * @return {void} This function does not return a value.
+ */
+function showToast(text) {
+    let toast = document.querySelector(`.${CSS_TOAST_CLASS}`);
+    if (!toast) {
+        toast = document.createElement("div");
+        toast.classList.add(CSS_TOAST_CLASS);
+        toast.style = "position: fixed; left: 50%; bottom: 24px; transform: translateX(-50%); z-index: 10000; padding: 8px 14px; " +
+            "border-radius: 16px; background: #323232; color: #fff; font-size: 13px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25);";
+        toast.setAttribute("role", "status");
+        document.body.appendChild(toast);
+    }
+    toast.textContent = text;
+
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.remove(), TOAST_DURATION);
+}
+
+
+/**
+ * Finds the last answer of the displayed chat that was replaced, together with its saved replacement.
+ *
+ * @param {string} chatId - The unique identifier for the chat.
+ * @return {Promise<{bubble: HTMLElement, entry: Object}|null>} Resolves with the answer, or null if none was replaced.
+ */
+function findLastReplacedAnswer(chatId) {
+    return loadChatRecord(chatId).then((record) => {
+        if (!record) return null;
+
+        const bubbles = getAssistantBubbles();
+        for (let index = bubbles.length - 1; index >= 0; index--) {
+            const messageId = getBubbleMessageId(bubbles[index], index);
+            const entry = (messageId !== null && record.replacements[messageId]) || record.replacements[`index-${index}`];
+            if (entry && bubbles[index].dataset.bypassVersion) return {bubble: bubbles[index], entry};
+        }
+        return null;
+    });
+}
+
+
+/**
+ * Switches the last replaced answer of the chat between the external answer and DeepSeek's original,
+ * as the version bar does. A compared answer switches back to the external one.
+ *
+ * @return {Promise<void>} Resolves once the version is displayed, or the reason it cannot be is shown.
+ */
+function toggleLastReplacement() {
+    const chatId = getChatIdFromUrl();
+    if (!chatId) {
+        showToast("⚠️ Open a DeepSeek chat first.");
+        return Promise.resolve();
+    }
+
+    return findLastReplacedAnswer(chatId).then((found) => {
+        if (!found) {
+            showToast("⚠️ No answer of this chat was replaced.");
+            return;
+        }
+        if (!hasOriginalVersion(found.entry)) {
+            showToast("⚠️ DeepSeek's original of this answer was not kept.");
+            return;
+        }
+
+        const version = getDisplayedVersion(found.bubble, found.entry) === "external" ? "original" : "external";
+        displayVersion(found.bubble, found.entry, version);
+        found.bubble.scrollIntoView({block: "nearest"});
+        showToast(`👁️ Showing the ${VERSION_LABELS[version].toLowerCase()}.`);
+    });
+}
+
+
+/**
+ * Copies the last answer of the external model in the chat, as Markdown: the last follow-up turn displayed,
+ * otherwise the last replaced answer.
+ *
+ * @return {Promise<void>} Resolves once the answer is copied, or the reason it cannot be is shown.
+ */
+function copyLastReplacement() {
+    const chatId = getChatIdFromUrl();
+    if (!chatId) {
+        showToast("⚠️ Open a DeepSeek chat first.");
+        return Promise.resolve();
+    }
+
+    return Promise.all([loadChatRecord(chatId), findLastReplacedAnswer(chatId)]).then(([record, found]) => {
+        const last = getLastAnswerAnchor();
+        const followUp = last && record && record.followUps
+            ? record.followUps.filter((candidate) => candidate.anchor === last.anchor).pop()
+            : null;
+        const text = followUp ? followUp.content : found && found.entry.content;
+        if (!text) {
+            showToast("⚠️ The external model did not answer in this chat.");
+            return;
         }
+
+        // The shortcut is relayed by the service worker, so the page may lack the user activation the Clipboard API needs
+        return copyText(text).then(
+            () => showToast("📋 External answer copied."),
+            (error) => {
+                console.error("❌ Copy failed:", error);
+                showToast("❌ The answer could not be copied, click the page and try again.");
+            });
+    });
+}
+
+
+/**
+ * Asks the external model about text selected in the chat. The question is added after the chat as a follow-up turn
+ * (see `requestFollowUp()`), quoting the selection.
+ *
+ * @param {string} text - The selected text.
+ * @return {void} This function does not return a value.
+ */
+function askAboutSelection(text) {
+    const selection = (text || "").trim();
+    if (!bypassSettings.enabled) {
+        showToast("⏸️ DeepSeek Bypass is switched off.");
+        return;
+    }
+    if (!getChatIdFromUrl() || !getLastAnswerAnchor()) {
+        showToast("⚠️ Open a DeepSeek chat with an answer first.");
+        return;
+    }
+    if (!selection) return;
+
+    const quote = selection.split("\n").map((line) => `> ${line}`).join("\n");
+    requestFollowUp(`Tell me more about this part of the conversation:\n\n${quote}`, "selection");
+    showToast("🔄 Asking the external model about the selection...");
+}
+
+
+/**
+ * Runs a keyboard shortcut declared in the manifest's `commands`.
+ *
+ * @param {string} command - `reanswer-last`, `toggle-version` or `copy-replacement`.
+ * @return {void} This function does not return a value.
+ */
+function runCommand(command) {
+    switch (command) {
+        case "reanswer-last":
+            if (!bypassSettings.enabled) {
+                showToast("⏸️ DeepSeek Bypass is switched off.");
+            } else if (reanswerLastMessage()) {
+                showToast("🔄 Re-answering the last message with the external model...");
+            } else {
+                showToast("⚠️ This page shows no answer to re-answer.");
+            }
+            break;
+        case "toggle-version":
+            toggleLastReplacement();
+            break;
+        case "copy-replacement":
+            copyLastReplacement();
+            break;
+        default:
+            console.warn(`Unknown shortcut "${command}".`);
+    }
+}
+
+
+/**
+ * Answers the messages of the extension pages:
+ * - `export.chat` with a `chatId` asks for the export of a chat, which only the tab showing it can build with
+ *   the whole conversation; other tabs answer null;
+ * - `reanswer.last` is sent by the popup to re-answer the last DeepSeek answer with the external model;
+ * - `command.run` with a `command` and `selection.ask` with the selected `text` relay the keyboard shortcuts
+ *   and the context menu entry.
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "reanswer.last") {
+        sendResponse(reanswerLastMessage());
+        return;
+    }
+    if (request.action === "command.run") {
+        runCommand(request.command);
+        sendResponse(true);
+        return;
+    }
+    if (request.action === "selection.ask") {
+        askAboutSelection(request.text);
+        sendResponse(true);
+        return;
+    }
+    if (request.action !== "export.chat") return;
+
+    buildOpenChatExport(request.chatId).then(sendResponse, (error) => {
+        console.error("❌ Chat export error:", error);
+        sendResponse(null);
     });
+    return true;
 });
@@ -0,0 +1,203 @@
+/**
+ * @file context.js
+ *
+ * This script implements the context manager that fits the forwarded conversation into the token budget of a profile.
+ * Long DeepSeek chats would otherwise exceed the context window of the external model, or simply cost more than
+ * the answer is worth.
+ *
+ * Tokens are estimated without a tokenizer: about four characters per token for alphabetic scripts, and one token
+ * per CJK character. The most recent messages are kept first, the user's last message always; the older turns that
+ * do not fit are replaced by a short extractive summary – the opening sentence of each dropped user message –
+ * appended to the system prompt.
+ *
+ * Before that, `formatForwardedHistory()` adds DeepSeek's DeepThink reasoning and web search results to the history
+ * when the settings ask for them.
+ *
+ * The options page loads it too, for the default token budget of its profile form.
+ */
+
+
+/**
+ * The token budget of the forwarded conversation when the profile does not set one.
+ * @type {number}
+ */
+const DEFAULT_CONTEXT_BUDGET = 8000;
+
+
+/**
+ * The tokens every message costs on top of its content (role and separators).
+ * @type {number}
+ */
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+
+/**
+ * The share of the budget the summary of dropped turns may use.
+ * @type {number}
+ */
+const SUMMARY_BUDGET_SHARE = 0.1;
+
+
+/**
+ * The maximum number of web search results forwarded per answer.
+ * @type {number}
+ */
+const MAX_FORWARDED_SEARCH_RESULTS = 8;
+
+
+/**
+ * Formats web search results as a numbered list under a header.
+ *
+ * @param {Array<{url: string, title: string, snippet: string}>} [results] - The search results.
+ * @param {string} header - The line introducing the list.
+ * @return {string|null} The list, or null if there are no results.
+ */
+function formatSearchResults(results, header) {
+    if (!results || !results.length) return null;
+
+    const lines = results.slice(0, MAX_FORWARDED_SEARCH_RESULTS)
+        .map((result, index) => `${index + 1}. ${result.title && result.url ? `${result.title} (${result.url})` : result.title || result.url}` +
+            `${result.snippet ? `: ${result.snippet}` : ""}`);
+    return [header, ...lines].join("\n");
+}
+
+
+/**
+ * Formats the history received from the content script into the messages forwarded to the external model.
+ *
+ * DeepSeek's reasoning and the search results of its answers are added to the answers when the settings ask for them.
+ * Those of the answer being replaced go with the user's last message instead, since that answer is not forwarded.
+ *
+ * @param {Array<{role: string, content: string, reasoning: (string|undefined), searchResults: (Array|undefined)}>} history
+ *        The conversation, ending with the answer being replaced.
+ * @param {{includeReasoning: boolean, includeSearch: boolean}} settings - What to forward on top of the messages.
+ * @return {Array<{role: string, content: string}>} The messages to forward, without the answer being replaced.
+ */
+function formatForwardedHistory(history, settings) {
+    const withContext = (content, reasoning, searchResults, subject) => [
+        settings.includeReasoning && reasoning ? `DeepSeek's reasoning${subject}:\n${reasoning.trim()}` : null,
+        content,
+        settings.includeSearch ? formatSearchResults(searchResults, `Web search results DeepSeek used${subject}:`) : null,
+    ].filter(Boolean).join("\n\n");
+
+    const messages = history.slice(0, -1).map((message) => ({
+        role: message.role,
+        content: message.role === "assistant"
+            ? withContext(message.content, message.reasoning, message.searchResults, "")
+            : message.content,
+    }));
+
+    const replaced = history[history.length - 1] || {};
+    const lastUser = messages.map((message) => message.role).lastIndexOf("user");
+    if (lastUser !== -1) {
+        const context = withContext("", replaced.reasoning, replaced.searchResults, " for this question");
+        if (context) messages[lastUser] = {role: "user", content: `${messages[lastUser].content}\n\n${context}`};
+    }
+
+    return messages;
+}
+
+
+/**
+ * Estimates the number of tokens of a text.
+ *
+ * @param {string} text - The text to measure.
+ * @return {number} The estimated token count.
+ */
+function estimateTokens(text) {
+    const content = text || "";
+    const ideographs = (content.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []).length;
+    return ideographs + Math.ceil((content.length - ideographs) / 4);
+}
+
+
+/**
+ * Estimates the number of tokens a chat message costs.
+ *
+ * @param {{role: string, content: string}} message - The message to measure.
+ * @return {number} The estimated token count.
+ */
+function estimateMessageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_TOKEN_OVERHEAD;
+}
+
+
+/**
+ * Summarizes the turns dropped from the conversation by the opening sentence of each user message.
+ *
+ * @param {Array<{role: string, content: string}>} messages - The dropped messages, oldest first.
+ * @param {number} maxTokens - The budget of the summary.
+ * @return {string|null} The summary, or null if no user message was dropped or the budget is too small.
+ */
+function summarizeDroppedTurns(messages, maxTokens) {
+    const header = "Earlier in this conversation, which is not included above, the user asked:";
+    const topics = messages
+        .filter((message) => message.role === "user" && message.content.trim())
+        .map((message) => `- ${message.content.trim().split(/(?<=[.!?。！？])\s*|\n/)[0].slice(0, 200)}`);
+
+    let tokens = estimateTokens(header);
+    const kept = [];
+    // The latest dropped topics are the most relevant to the rest of the conversation
+    for (const topic of topics.reverse()) {
+        tokens += estimateTokens(topic) + 1;
+        if (tokens > maxTokens) break;
+        kept.unshift(topic);
+    }
+
+    return kept.length ? [header, ...kept].join("\n") : null;
+}
+
+
+/**
+ * Fits a conversation into a token budget.
+ *
+ * Messages are taken from the most recent one backwards until the budget, minus the system prompt, is spent.
+ * When the whole conversation does not fit, `SUMMARY_BUDGET_SHARE` of the budget is also set aside for the summary
+ * of the dropped turns.
+ * The user's last message is always kept, even when it exceeds the budget on its own, and the kept part
+ * starts with a user message.
+ *
+ * @param {Array<{role: string, content: string}>} messages - The conversation, ending with the user's last message.
+ * @param {number} budget - The token budget of the profile.
+ * @param {string} systemPrompt - The system prompt sent along, which counts against the budget.
+ * @return {{messages: Array<{role: string, content: string}>, summary: (string|null), report: Object}}
+ *         The kept messages, the summary of the dropped turns, and a report of what was sent:
+ *         `sentTurns` and `totalTurns` count user messages, `tokens` is the estimated size, `budget` the limit.
+ */
+function fitHistory(messages, budget, systemPrompt) {
+    const totalTurns = messages.filter((message) => message.role === "user").length;
+    const summaryBudget = Math.floor(budget * SUMMARY_BUDGET_SHARE);
+    let available = budget - estimateTokens(systemPrompt);
+    // When turns have to be dropped, their summary is sent too and its share is set aside first
+    if (messages.reduce((total, message) => total + estimateMessageTokens(message), 0) > available) {
+        available -= summaryBudget;
+    }
+
+    let start = messages.length;
+    let tokens = 0;
+    while (start > 0) {
+        const cost = estimateMessageTokens(messages[start - 1]);
+        if (start < messages.length && tokens + cost > available) break;
+        tokens += cost;
+        start--;
+    }
+    while (start < messages.length - 1 && messages[start].role !== "user") {
+        tokens -= estimateMessageTokens(messages[start]);
+        start++;
+    }
+
+    const kept = messages.slice(start);
+    const summary = start > 0 ? summarizeDroppedTurns(messages.slice(0, start), summaryBudget) : null;
+
+    return {
+        messages: kept,
+        summary,
+        report: {
+            sentTurns: kept.filter((message) => message.role === "user").length,
+            totalTurns,
+            tokens: tokens + estimateTokens(systemPrompt) + (summary ? estimateTokens(summary) : 0),
+            budget,
+            summarized: !!summary,
+        },
+    };
+}
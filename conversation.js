@@ -0,0 +1,336 @@
+/**
+ * @file conversation.js
+ *
+ * This content script keeps the message tree of the open DeepSeek chat, rebuilt from the API payloads
+ * intercepted by injected.js: the `history_messages` response loaded with the chat, and the completion
+ * streams of new, edited and regenerated messages.
+ *
+ * DeepSeek identifies every message with a numeric `message_id` and links it to its `parent_id`.
+ * Editing a prompt or regenerating an answer creates a sibling under the same parent, which the page
+ * displays as "1/2", "2/2" variants. The tree lets a chat bubble be matched with the message it shows,
+ * whatever its position in the DOM and whichever variant is selected.
+ *
+ * The tree is also the source of truth for the history forwarded to the external model, see
+ * `buildConversationHistory()`: unlike the rendered bubbles, it holds the exact prompts and Markdown answers,
+ * the files attached to the prompts and the search results of the answers.
+ *
+ * The text of an attached file is only known when the page uploaded it in this tab, and only for plain text files:
+ * DeepSeek extracts the text of other files (PDF, Office documents, images) on its servers and never returns it,
+ * so those are forwarded by name only.
+ *
+ * The script is listed before content.js in the manifest and shares its global scope.
+ */
+
+
+/**
+ * The message tree of the open chat.
+ *
+ * - `chatId` – the DeepSeek chat session the tree belongs to;
+ * - `title` – the chat title, when known;
+ * - `currentMessageId` – the last message of the branch displayed by the page;
+ * - `messages` – every known message keyed by its `messageId`.
+ *
+ * @type {{chatId: (string|null), title: (string|null), currentMessageId: (number|null), messages: Map<number, Object>}}
+ */
+const conversation = {
+    chatId: null,
+    title: null,
+    currentMessageId: null,
+    messages: new Map(),
+};
+
+
+/**
+ * The files uploaded by the page in this tab, keyed by the id DeepSeek gave them, with their name and, for text
+ * files, their text. A new chat only gets its id with its first answer, after its files were uploaded,
+ * so the files are kept across chats.
+ *
+ * @type {Map<string, {name: (string|null), content: (string|null), truncated: boolean}>}
+ */
+const attachedFiles = new Map();
+
+
+/**
+ * The number of uploaded files kept in `attachedFiles`, the oldest ones being dropped first.
+ *
+ * @type {number}
+ */
+const MAX_ATTACHED_FILES = 50;
+
+
+/**
+ * Empties the message tree and assigns it to another chat.
+ *
+ * @param {string|null} chatId - The chat session the tree now belongs to.
+ * @return {void} This function does not return a value.
+ */
+function resetConversation(chatId) {
+    conversation.chatId = chatId;
+    conversation.title = null;
+    conversation.currentMessageId = null;
+    conversation.messages.clear();
+}
+
+
+/**
+ * Makes sure the tree belongs to the given chat, resetting it when the chat changed.
+ *
+ * @param {string|null} chatId - The chat session an intercepted payload belongs to.
+ * @return {boolean} False if the payload has no chat id and cannot be attributed.
+ */
+function selectConversation(chatId) {
+    if (!chatId) return false;
+    if (conversation.chatId !== chatId) resetConversation(chatId);
+    return true;
+}
+
+
+/**
+ * Adds a message to the tree or merges new fields into the known one.
+ * Empty fields and lists never overwrite what is already known about a message.
+ *
+ * @param {Object} message - The message, identified by its `messageId`.
+ * @return {Object} The stored message.
+ */
+function upsertConversationMessage(message) {
+    const stored = conversation.messages.get(message.messageId) || {messageId: message.messageId};
+
+    Object.entries(message).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === "") return;
+        if (Array.isArray(value) && !value.length) return;
+        stored[key] = value;
+    });
+
+    conversation.messages.set(message.messageId, stored);
+    return stored;
+}
+
+
+/**
+ * Loads the full message tree of a chat from an intercepted `history_messages` response.
+ *
+ * @param {Object} data - The `DEEPSEEK_HISTORY` message posted by the injected script.
+ * @return {boolean} True if the tree was loaded.
+ */
+function loadConversationHistory(data) {
+    if (!selectConversation(data.chatId)) return false;
+
+    conversation.title = data.title || conversation.title;
+    conversation.currentMessageId = data.currentMessageId;
+    data.messages.forEach(upsertConversationMessage);
+    return true;
+}
+
+
+/**
+ * Records the messages described by an intercepted completion stream.
+ *
+ * The stream carries the id of the new assistant message and of its parent, the user message.
+ * The user message itself is rebuilt from the request payload: its parent is the `parent_message_id`
+ * sent by the page, and its content is the exact prompt. A regenerated answer reuses the existing
+ * user message, whose id is then the `parent_message_id` itself.
+ *
+ * @param {Object} data - The `DEEPSEEK_STREAM` event posted by the injected script.
+ * @return {Object|null} The stored assistant message, or null if the event cannot be attributed.
+ */
+function recordStreamEvent(data) {
+    if (data.messageId === null || data.messageId === undefined) return null;
+    if (!selectConversation(data.chatId || getChatIdFromUrl())) return null;
+
+    const request = data.request || {};
+    if (data.parentId !== null && request.parentMessageId !== data.parentId) {
+        upsertConversationMessage({
+            messageId: data.parentId,
+            parentId: request.parentMessageId,
+            role: "user",
+            content: request.prompt,
+            fileIds: request.fileIds,
+        });
+    }
+
+    conversation.currentMessageId = data.messageId;
+    return upsertConversationMessage({
+        messageId: data.messageId,
+        parentId: data.parentId,
+        role: "assistant",
+        content: data.text,
+        reasoning: data.reasoning,
+        searchResults: data.searchResults,
+        retracted: data.retractedText,
+    });
+}
+
+
+/**
+ * Records a file uploaded by the page, so its text can be forwarded with the prompts it is attached to.
+ *
+ * @param {Object} data - The `DEEPSEEK_FILE` message posted by the injected script.
+ * @return {void} This function does not return a value.
+ */
+function recordAttachedFile(data) {
+    if (!data.fileId) return;
+
+    attachedFiles.set(data.fileId, {name: data.name || null, content: data.content || null, truncated: !!data.truncated});
+    if (attachedFiles.size > MAX_ATTACHED_FILES) attachedFiles.delete(attachedFiles.keys().next().value);
+}
+
+
+/**
+ * Computes the depth of a message in the tree, the first user message having a depth of 0.
+ * Since user and assistant turns alternate, the assistant message shown in the N-th bubble has a depth of 2N + 1.
+ *
+ * @param {number} messageId - The message to measure.
+ * @return {number} The depth, or -1 if the chain of parents is broken.
+ */
+function getMessageDepth(messageId) {
+    let depth = -1;
+    let message = conversation.messages.get(messageId);
+    const visited = new Set();
+
+    while (message && !visited.has(message.messageId)) {
+        visited.add(message.messageId);
+        depth++;
+        if (message.parentId === null || message.parentId === undefined) return depth;
+        message = conversation.messages.get(message.parentId);
+    }
+
+    return -1;
+}
+
+
+/**
+ * Returns the messages from the root of the tree down to the given message.
+ *
+ * @param {number} messageId - The last message of the branch.
+ * @return {Array<Object>} The branch in chronological order, empty if the message is unknown.
+ */
+function getConversationPath(messageId) {
+    const path = [];
+    const visited = new Set();
+    let message = conversation.messages.get(messageId);
+
+    while (message && !visited.has(message.messageId)) {
+        visited.add(message.messageId);
+        path.unshift(message);
+        message = conversation.messages.get(message.parentId);
+    }
+
+    return path;
+}
+
+
+/**
+ * Reduces a text to its lowercase letters and digits, so that a Markdown source and the text
+ * rendered from it by the page can be compared regardless of formatting.
+ *
+ * @param {string} text - The text to reduce.
+ * @return {string} The fingerprint of the text.
+ */
+function getTextFingerprint(text) {
+    return (text || "").toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+
+/**
+ * Checks whether a bubble text and a message content are the same answer, comparing the beginning of their fingerprints.
+ *
+ * @param {string} bubbleText - The text rendered in the chat bubble.
+ * @param {string} content - The content of a known message.
+ * @return {boolean} True if both texts start the same way.
+ */
+function isSameAnswer(bubbleText, content) {
+    const bubble = getTextFingerprint(bubbleText).slice(0, 80);
+    const message = getTextFingerprint(content).slice(0, 80);
+    return !!bubble && !!message && (bubble.startsWith(message) || message.startsWith(bubble));
+}
+
+
+/**
+ * Finds the assistant message displayed by a chat bubble.
+ *
+ * The candidates are the assistant messages at the depth matching the bubble position, i.e. every variant of that turn.
+ * A single candidate is returned as is; otherwise the variant whose content matches the bubble text is chosen,
+ * and finally the one on the branch the page displays.
+ *
+ * @param {string} bubbleText - The text rendered in the chat bubble.
+ * @param {number} index - The position of the bubble among the assistant bubbles of the page.
+ * @return {number|null} The id of the displayed message, or null if it cannot be determined.
+ */
+function resolveAssistantMessageId(bubbleText, index) {
+    const depth = index * 2 + 1;
+    const candidates = Array.from(conversation.messages.values())
+        .filter((message) => message.role === "assistant" && getMessageDepth(message.messageId) === depth);
+
+    if (candidates.length === 1) return candidates[0].messageId;
+
+    const matching = candidates.filter((message) => isSameAnswer(bubbleText, message.content));
+    if (matching.length === 1) return matching[0].messageId;
+
+    const activePath = getConversationPath(conversation.currentMessageId);
+    const active = (matching.length ? matching : candidates)
+        .find((message) => activePath.some((pathMessage) => pathMessage.messageId === message.messageId));
+
+    return active ? active.messageId : null;
+}
+
+
+/**
+ * Formats a user message of the tree for the external model, followed by the files attached to the prompt.
+ * The text of the files uploaded in this tab is forwarded; other files, whose text only DeepSeek has,
+ * are forwarded by name along with a note that their content is missing.
+ *
+ * @param {Object} message - A user message of the tree.
+ * @return {string} The prompt, followed by the attached files.
+ */
+function formatUserMessage(message) {
+    const names = message.files || [];
+    const ids = message.fileIds || [];
+
+    const files = Array.from({length: Math.max(names.length, ids.length)}, (_, index) => {
+        const file = attachedFiles.get(ids[index]) || {};
+        const name = names[index] || file.name || "unnamed file";
+        if (!file.content) return `[Attached file: ${name} (content not available)]`;
+
+        const truncated = file.truncated ? "\n[File truncated]" : "";
+        return `[Attached file: ${name}]\n${file.content}${truncated}\n[End of file: ${name}]`;
+    });
+
+    return [message.content || "", ...files].filter(Boolean).join("\n\n");
+}
+
+
+/**
+ * Builds the history forwarded to the external model from the message tree: the branch ending with the given answer,
+ * with the exact prompts the user sent and the Markdown answers DeepSeek streamed.
+ *
+ * Earlier answers the user replaced are forwarded as the version kept in the history, since that is the one the
+ * conversation went on with. The last answer, the one being replaced, is always DeepSeek's own.
+ *
+ * @param {number} messageId - The assistant message being replaced.
+ * @param {Object<string, Object>} [replacements] - The saved replacements of the chat, keyed by message id.
+ * @return {Array<{role: string, content: string, censored: boolean, reasoning: (string|undefined), searchResults: (Array|undefined)}>|null}
+ *         The history, oldest first, or null if the tree does not hold the whole branch. DeepSeek's answers come
+ *         with their DeepThink reasoning and web search results.
+ */
+function buildConversationHistory(messageId, replacements = {}) {
+    const path = getConversationPath(messageId);
+    if (!path.length || (path[0].parentId !== null && path[0].parentId !== undefined)) return null;
+
+    const alternating = path.every((message, index) => message.role === (index % 2 === 0 ? "user" : "assistant"));
+    if (!alternating || path[path.length - 1].role !== "assistant") return null;
+
+    return path.map((message, index) => {
+        if (message.role === "user") return {role: "user", content: formatUserMessage(message), censored: false};
+
+        const entry = replacements[message.messageId];
+        const last = index === path.length - 1;
+        const replaced = !last && entry && (entry.preferred || "external") === "external";
+        if (replaced) return {role: "assistant", content: entry.content, censored: true};
+
+        // DeepSeek's reasoning and search results are forwarded or not by the service worker, as the settings ask
+        return {
+            role: "assistant", content: message.content || "", censored: !!entry && !entry.outage,
+            reasoning: message.reasoning || "", searchResults: message.searchResults || [],
+        };
+    });
+}
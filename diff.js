@@ -0,0 +1,144 @@
+/**
+ * @file diff.js
+ *
+ * This content script computes the word-level differences between DeepSeek's original answer and the
+ * replacement given by the external provider, and renders them for the side-by-side comparison view.
+ *
+ * Words are compared with a longest common subsequence over whitespace-separated tokens, after the common
+ * prefix and suffix are set aside. Answers too long for the quadratic table are compared coarsely instead:
+ * everything between the common prefix and suffix is reported as changed.
+ *
+ * The script is listed before content.js in the manifest and shares its global scope.
+ */
+
+
+/**
+ * The largest number of table cells the word diff may allocate. The whitespace between two words is a token of its
+ * own, so that is about 1000 × 1000 words.
+ * @type {number}
+ */
+const MAX_DIFF_CELLS = 4000000;
+
+
+/**
+ * Splits a text into words and the whitespace between them, so that joining the tokens gives the text back.
+ *
+ * @param {string} text - The text to split.
+ * @return {string[]} The tokens.
+ */
+function tokenizeWords(text) {
+    return (text || "").split(/(\s+)/).filter((token) => token.length > 0);
+}
+
+
+/**
+ * Appends a token to a list of diff parts, merging it with the last part when both have the same type.
+ *
+ * @param {Array<{type: string, text: string}>} parts - The diff parts built so far.
+ * @param {string} type - `same`, `removed` or `added`.
+ * @param {string} text - The token.
+ * @return {void} This function does not return a value.
+ */
+function pushDiffPart(parts, type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+        last.text += text;
+    } else {
+        parts.push({type, text});
+    }
+}
+
+
+/**
+ * Computes the word-level differences between two texts.
+ *
+ * @param {string} before - The original text, DeepSeek's answer.
+ * @param {string} after - The new text, the external answer.
+ * @return {Array<{type: string, text: string}>} The parts in reading order: `same` parts belong to both texts,
+ *         `removed` parts only to `before` and `added` parts only to `after`.
+ */
+function diffWords(before, after) {
+    const a = tokenizeWords(before);
+    const b = tokenizeWords(after);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const parts = [];
+    a.slice(0, start).forEach((token) => pushDiffPart(parts, "same", token));
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const rows = middleA.length + 1;
+    const columns = middleB.length + 1;
+
+    if (rows * columns > MAX_DIFF_CELLS) {
+        middleA.forEach((token) => pushDiffPart(parts, "removed", token));
+        middleB.forEach((token) => pushDiffPart(parts, "added", token));
+    } else {
+        // lengths[i * columns + j] is the length of the common subsequence of middleA[i:] and middleB[j:]
+        const lengths = new Uint32Array(rows * columns);
+        for (let i = middleA.length - 1; i >= 0; i--) {
+            for (let j = middleB.length - 1; j >= 0; j--) {
+                lengths[i * columns + j] = middleA[i] === middleB[j]
+                    ? lengths[(i + 1) * columns + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < middleA.length && j < middleB.length) {
+            if (middleA[i] === middleB[j]) {
+                pushDiffPart(parts, "same", middleA[i]);
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+                pushDiffPart(parts, "removed", middleA[i++]);
+            } else {
+                pushDiffPart(parts, "added", middleB[j++]);
+            }
+        }
+        middleA.slice(i).forEach((token) => pushDiffPart(parts, "removed", token));
+        middleB.slice(j).forEach((token) => pushDiffPart(parts, "added", token));
+    }
+
+    a.slice(endA).forEach((token) => pushDiffPart(parts, "same", token));
+    return parts;
+}
+
+
+/**
+ * Renders one side of a word diff, highlighting what only this side contains.
+ *
+ * @param {Array<{type: string, text: string}>} parts - The result of `diffWords()`.
+ * @param {string} side - `removed` to render the original text, `added` to render the new text.
+ * @return {HTMLDivElement} The rendered text.
+ */
+function renderDiffSide(parts, side) {
+    const container = document.createElement("div");
+    container.style = "white-space: pre-wrap; line-height: 1.6;";
+
+    parts.filter((part) => part.type === "same" || part.type === side).forEach((part) => {
+        if (part.type === "same") {
+            container.appendChild(document.createTextNode(part.text));
+            return;
+        }
+
+        const highlight = document.createElement(side === "removed" ? "del" : "ins");
+        highlight.style = side === "removed"
+            ? "background: rgba(244, 67, 54, 0.18); text-decoration-color: #f44336;"
+            : "background: rgba(76, 175, 80, 0.2); text-decoration: none;";
+        highlight.textContent = part.text;
+        container.appendChild(highlight);
+    });
+
+    return container;
+}
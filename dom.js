@@ -0,0 +1,280 @@
+/**
+ * @file dom.js
+ *
+ * This content script is the only place that knows how DeepSeek's chat page is built: where the answers are,
+ * where the user message of an answer is, where its action bar is, and where the user types new prompts. DeepSeek ships UI changes without notice,
+ * so the knowledge is kept in versioned selector sets, newest first, and the first set that recognizes the page
+ * is used. The older sets stay as fallbacks for pages still served with a previous layout.
+ *
+ * A self-test, run once a chat is displayed, checks that the active set finds every answer together with its
+ * user message. When no set does, the content script shows an "extension needs update" badge instead of
+ * failing silently.
+ *
+ * Every function takes the root to search, so the adapter can be checked against saved pages
+ * (e.g. HTML fixtures loaded in jsdom) without a browser.
+ *
+ * The script is listed before content.js in the manifest and shares its global scope.
+ */
+
+
+/**
+ * Finds the user message of an answer in layouts where the answer is not wrapped in a known container:
+ * the closest previous sibling of the answer or of one of its ancestors that holds text and no answer.
+ * The answer's own siblings are skipped, since the extension inserts its warnings and panels there.
+ *
+ * @param {HTMLElement} bubble - The answer.
+ * @param {string} selector - The selector of the answers, which the user message must not contain.
+ * @return {HTMLElement|null} The element holding the user message, or null if none was found.
+ */
+function findPreviousMessage(bubble, selector) {
+    for (let node = bubble.parentElement; node && node.parentElement; node = node.parentElement) {
+        const previous = node.previousElementSibling;
+        if (previous && !previous.matches(selector) && !previous.querySelector(selector) && previous.textContent.trim()) {
+            return previous;
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Finds the box around the prompt input that also holds its buttons (DeepThink, search, attach and send):
+ * the closest ancestor of the input containing a button.
+ *
+ * @param {HTMLElement} input - The prompt input.
+ * @return {HTMLElement|null} The box, or null if the input has no button around it.
+ */
+function findComposer(input) {
+    for (let node = input.parentElement; node && node !== input.ownerDocument.body; node = node.parentElement) {
+        if (node.querySelector("[role='button'], button")) return node;
+    }
+    return null;
+}
+
+
+/**
+ * The CSS class name of the container of the follow-up turns the external model answered in the
+ * "continue with external model" mode. They are built to look like DeepSeek's own messages,
+ * so the answers they hold are never counted as DeepSeek's.
+ */
+const CSS_FOLLOW_UPS_CLASS = 'bypass-follow-ups';
+
+
+/**
+ * The known layouts of DeepSeek's chat page, newest first. Each set describes:
+ * - `version` – a name for the layout, reported by the self-test;
+ * - `assistantBubble` – the selector of the element holding the text of an answer;
+ * - `userMessage(bubble)` – returns the element holding the user message the answer replies to;
+ * - `actionsBar(bubble)` – returns the bar below the answer whose first child holds the copy and regenerate buttons;
+ * - `iconButtonClass` – the class of the icon buttons of that bar, given to the external AI button;
+ * - `messageElement(bubble)` – returns the element holding the whole answer, after which follow-up turns are inserted;
+ * - `promptInput` – the selector of the input box where the user types prompts;
+ * - `sendButton(input)` – returns the button sending the prompt typed in the input box.
+ * @type {Array<Object>}
+ */
+const DOM_SELECTOR_SETS = [{
+    version: "2025-markdown-block",
+    assistantBubble: ".ds-markdown.ds-markdown--block",
+    userMessage: (bubble) => bubble.parentElement?.previousElementSibling?.firstElementChild || null,
+    actionsBar: (bubble) => bubble.nextElementSibling,
+    iconButtonClass: "ds-icon-button",
+    messageElement: (bubble) => bubble.parentElement,
+    promptInput: "textarea#chat-input",
+    sendButton: (input) => Array.from(findComposer(input)?.querySelectorAll("[role='button']") || []).pop() || null,
+}, {
+    version: "markdown-fallback",
+    assistantBubble: ".ds-markdown",
+    userMessage: (bubble) => findPreviousMessage(bubble, ".ds-markdown"),
+    actionsBar: (bubble) => bubble.nextElementSibling,
+    iconButtonClass: "ds-icon-button",
+    messageElement: (bubble) => bubble.parentElement,
+    promptInput: "textarea",
+    sendButton: (input) => Array.from(findComposer(input)?.querySelectorAll("[role='button'], button") || []).pop() || null,
+}];
+
+
+/**
+ * The selector set used to read the page, replaced by the self-test with the first set that recognizes it.
+ * @type {Object}
+ */
+let activeDomSelectorSet = DOM_SELECTOR_SETS[0];
+
+
+/**
+ * Lists the answers of the chat matching a selector set, in page order.
+ * Answers nested in another answer (e.g. quoted Markdown) are not counted twice, and the follow-up answers
+ * added by the extension are not counted at all.
+ *
+ * @param {Object} selectorSet - One of `DOM_SELECTOR_SETS`.
+ * @param {ParentNode} root - The document or element to search.
+ * @return {HTMLElement[]} The answers.
+ */
+function queryAssistantBubbles(selectorSet, root) {
+    return Array.from(root.querySelectorAll(selectorSet.assistantBubble))
+        .filter((bubble) => !bubble.parentElement || !bubble.parentElement.closest(selectorSet.assistantBubble))
+        .filter((bubble) => !bubble.closest(`.${CSS_FOLLOW_UPS_CLASS}`));
+}
+
+
+/**
+ * Lists the answers of the displayed chat, in page order.
+ *
+ * @param {ParentNode} [root] - The document or element to search.
+ * @return {HTMLElement[]} The answers.
+ */
+function getAssistantBubbles(root = document) {
+    return queryAssistantBubbles(activeDomSelectorSet, root);
+}
+
+
+/**
+ * Returns the text of the user message an answer replies to.
+ *
+ * @param {HTMLElement} bubble - The answer.
+ * @return {string} The trimmed user message, or an empty string if it cannot be found.
+ */
+function getUserMessageText(bubble) {
+    const message = activeDomSelectorSet.userMessage(bubble);
+    return message ? message.textContent.trim() : "";
+}
+
+
+/**
+ * Returns the container of the copy and regenerate buttons below an answer.
+ *
+ * @param {HTMLElement} bubble - The answer.
+ * @return {HTMLElement|null} The container, or null while the answer is streamed and has no action bar yet.
+ */
+function getActionsContainer(bubble) {
+    const actionsBar = activeDomSelectorSet.actionsBar(bubble);
+    return actionsBar ? actionsBar.firstElementChild : null;
+}
+
+
+/**
+ * Matches the label of DeepSeek's regenerate button, in English and Chinese.
+ * @type {RegExp}
+ */
+const REGENERATE_LABEL_REGEX = /^(regenerate|重新生成)$/i;
+
+
+/**
+ * Returns DeepSeek's own regenerate button below an answer, which makes the page send the request again
+ * with a fresh proof-of-work token.
+ *
+ * @param {HTMLElement} bubble - The answer.
+ * @return {HTMLElement|null} The button, or null if the answer has no action bar or no such button.
+ */
+function getRegenerateButton(bubble) {
+    const actions = getActionsContainer(bubble);
+    if (!actions) return null;
+
+    return Array.from(actions.querySelectorAll("[aria-label], [title]")).find((button) =>
+        REGENERATE_LABEL_REGEX.test((button.getAttribute("aria-label") || button.getAttribute("title") || "").trim())) || null;
+}
+
+
+/**
+ * Returns the class of DeepSeek's icon buttons, so added buttons look like the native ones.
+ *
+ * @return {string} The class name.
+ */
+function getIconButtonClass() {
+    return activeDomSelectorSet.iconButtonClass;
+}
+
+
+/**
+ * Returns the input box where the user types prompts.
+ *
+ * @param {ParentNode} [root] - The document or element to search.
+ * @return {HTMLTextAreaElement|null} The input, or null if the page shows none.
+ */
+function getPromptInput(root = document) {
+    return root.querySelector(activeDomSelectorSet.promptInput);
+}
+
+
+/**
+ * Returns the button sending the prompt typed in the input box.
+ *
+ * @param {HTMLElement} input - The prompt input.
+ * @return {HTMLElement|null} The button, or null if it cannot be found.
+ */
+function getSendButton(input) {
+    return activeDomSelectorSet.sendButton(input);
+}
+
+
+/**
+ * Builds the elements of a follow-up turn – the user's prompt and the answer – as shallow copies of the elements
+ * of a DeepSeek turn, so they take the page's own styling whatever its class names are.
+ * The answer element gets the classes of DeepSeek's answers, which the Markdown renderer output relies on.
+ *
+ * @param {HTMLElement} bubble - A DeepSeek answer whose turn is used as a model.
+ * @return {{userTurn: HTMLElement, userText: HTMLElement, answerTurn: HTMLElement, answer: HTMLElement}} The elements:
+ *         `userText` goes into `userTurn`, `answer` into `answerTurn`.
+ */
+function createFollowUpTurnElements(bubble) {
+    const copy = (element, fallbackTag) => {
+        const clone = element ? element.cloneNode(false) : document.createElement(fallbackTag);
+        clone.removeAttribute("id");
+        return clone;
+    };
+    const userText = activeDomSelectorSet.userMessage(bubble);
+
+    const answer = document.createElement("div");
+    answer.className = activeDomSelectorSet.assistantBubble.split(".").filter(Boolean).join(" ");
+
+    return {
+        userTurn: copy(userText && userText.parentElement, "div"),
+        userText: copy(userText, "div"),
+        answerTurn: copy(activeDomSelectorSet.messageElement(bubble), "div"),
+        answer,
+    };
+}
+
+
+/**
+ * Returns the element holding a whole DeepSeek answer, after which follow-up turns are inserted.
+ *
+ * @param {HTMLElement} bubble - The answer.
+ * @return {HTMLElement} The element.
+ */
+function getMessageElement(bubble) {
+    return activeDomSelectorSet.messageElement(bubble) || bubble;
+}
+
+
+/**
+ * Checks which selector set recognizes the page and makes it the active one.
+ *
+ * A set recognizes the page when it finds at least one answer and the user message of every answer.
+ * When the number of answers of the displayed branch is known from the intercepted chat history, finding none
+ * means the page changed; without it, a page with no answer is inconclusive (e.g. a new chat).
+ *
+ * @param {ParentNode} [root] - The document or element to check.
+ * @param {number|null} [expectedAnswers] - The number of answers the page should display, if known.
+ * @return {{ok: (boolean|null), version: (string|null), answers: number, pairs: number}}
+ *         The verdict – true, false, or null when inconclusive – with the recognized layout and what it found.
+ */
+function runDomSelfTest(root = document, expectedAnswers = null) {
+    let best = {ok: null, version: null, answers: 0, pairs: 0};
+
+    for (const selectorSet of DOM_SELECTOR_SETS) {
+        const bubbles = queryAssistantBubbles(selectorSet, root);
+        const pairs = bubbles.filter((bubble) => {
+            const message = selectorSet.userMessage(bubble);
+            return message && message.textContent.trim();
+        }).length;
+
+        if (bubbles.length && pairs === bubbles.length) {
+            activeDomSelectorSet = selectorSet;
+            return {ok: true, version: selectorSet.version, answers: bubbles.length, pairs};
+        }
+        if (bubbles.length > best.answers) best = {ok: false, version: selectorSet.version, answers: bubbles.length, pairs};
+    }
+
+    if (!best.answers && !expectedAnswers) return best;
+    return {...best, ok: false};
+}
@@ -0,0 +1,342 @@
+/**
+ * @file export.js
+ *
+ * This script exports chats, merged with their replaced answers, to Markdown, JSON and standalone HTML.
+ * DeepSeek's own export knows nothing about the replacements, and the history kept by the extension is only
+ * readable from its storage.
+ *
+ * A chat is first normalized by `buildChatExport()` into `{chatId, title, url, complete, messages}`, where every
+ * message, the user's included, is `{role, content, timestamp, source, provider, model, censored, replaced, original,
+ * retracted}`:
+ * - `source` – `user`, `deepseek` or `external`, the author of the exported content; external answers that are not
+ *   `replaced` are follow-up turns of the "continue with external model" mode;
+ * - `original` – DeepSeek's own answer to a replaced turn, usually its refusal;
+ * - `retracted` – the text DeepSeek streamed before its moderation wiped it, if any.
+ *
+ * The open chat is exported with its whole displayed branch, read from the message tree of conversation.js,
+ * followed by the follow-up turns continuing from its last answer. Other chats are exported from their stored record,
+ * which only holds the replaced turns, the follow-up turns and their questions; such exports are flagged with
+ * `complete: false`.
+ *
+ * The options page loads it too, to export the stored chats that are not open in a tab.
+ */
+
+
+/**
+ * The supported export formats, keyed by the identifier used in messages and menus.
+ * @type {Object<string, {label: string, extension: string, mimeType: string}>}
+ */
+const EXPORT_FORMATS = {
+    markdown: {label: "Markdown", extension: "md", mimeType: "text/markdown"},
+    json: {label: "JSON", extension: "json", mimeType: "application/json"},
+    html: {label: "HTML", extension: "html", mimeType: "text/html"},
+};
+
+
+/**
+ * The version of the JSON export layout, raised whenever a field changes meaning.
+ * @type {number}
+ */
+const EXPORT_JSON_VERSION = 1;
+
+
+/**
+ * Converts the timestamps found in DeepSeek payloads and in the history – seconds or milliseconds since the epoch –
+ * into ISO strings.
+ *
+ * @param {number|string|null|undefined} value - The timestamp.
+ * @return {string|null} The ISO date, or null if the value is not a timestamp.
+ */
+function toExportTimestamp(value) {
+    if (value === null || value === undefined || value === "") return null;
+
+    const time = typeof value === "number" ? (value < 1e12 ? value * 1000 : value) : Date.parse(value);
+    return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+
+/**
+ * Describes a message of the user, with the fields of an answer left empty so every exported message has one shape.
+ *
+ * @param {string} content - The message.
+ * @param {number|string|null} time - When the message was sent.
+ * @return {Object} The exported message.
+ */
+function createUserExportMessage(content, time) {
+    return {
+        role: "user", content: content || "", timestamp: toExportTimestamp(time),
+        source: "user", provider: null, model: null,
+        censored: false, replaced: false, original: null, retracted: null,
+    };
+}
+
+
+/**
+ * Describes an answer of DeepSeek that was not replaced.
+ *
+ * @param {string} content - The answer.
+ * @param {number|string|null} time - When DeepSeek answered.
+ * @return {Object} The exported message.
+ */
+function createDeepSeekExportMessage(content, time) {
+    return {
+        role: "assistant", content: content || "", timestamp: toExportTimestamp(time),
+        source: "deepseek", provider: "DeepSeek", model: null,
+        censored: false, replaced: false, original: null, retracted: null,
+    };
+}
+
+
+/**
+ * Describes a replaced answer from its saved replacement. The exported content is the version kept in the history,
+ * so a turn switched back to DeepSeek's answer is exported as DeepSeek's, with the external answer left out.
+ *
+ * @param {Object} entry - The saved replacement, see `saveReplacement()` in content.js.
+ * @param {string|null} [deepSeekContent] - DeepSeek's answer as known from the message tree.
+ * @return {Object} The exported message.
+ */
+function createReplacedExportMessage(entry, deepSeekContent = null) {
+    const original = entry.original || deepSeekContent || null;
+    const external = (entry.preferred || "external") === "external";
+
+    return {
+        role: "assistant",
+        content: external ? entry.content : original || "",
+        timestamp: toExportTimestamp(entry.savedAt),
+        source: external ? "external" : "deepseek",
+        provider: external ? entry.providerName || entry.provider || null : "DeepSeek",
+        model: external ? entry.model || null : null,
+        censored: entry.censored === true,
+        replaced: external,
+        original,
+        retracted: entry.retracted || null,
+    };
+}
+
+
+/**
+ * Describes a follow-up turn answered by the external model in the "continue with external model" mode.
+ *
+ * @param {Object} followUp - The saved follow-up turn, see `requestFollowUp()` in content.js.
+ * @return {Array<Object>} The exported user message and answer.
+ */
+function createFollowUpExportMessages(followUp) {
+    return [createUserExportMessage(followUp.question, followUp.savedAt), {
+        role: "assistant", content: followUp.content, timestamp: toExportTimestamp(followUp.savedAt),
+        source: "external", provider: followUp.providerName || followUp.provider || null, model: followUp.model || null,
+        censored: false, replaced: false, original: null, retracted: null,
+    }];
+}
+
+
+/**
+ * Normalizes a chat for export.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @param {Object|null} record - The stored record of the chat, see store.js.
+ * @param {Array<Object>} [path] - The displayed branch of the message tree, oldest first, when the chat is open.
+ * @param {string|null} [title] - The chat title, when known from the page.
+ * @return {{chatId: string, title: string, url: string, complete: boolean, messages: Array<Object>}} The chat.
+ */
+function buildChatExport(chatId, record, path = [], title = null) {
+    const replacements = (record && record.replacements) || {};
+    const followUps = (record && record.followUps) || [];
+    let messages;
+
+    if (path.length) {
+        let answerIndex = 0;
+        messages = path.map((message) => {
+            if (message.role !== "assistant") {
+                const files = (message.files || []).map((name) => `[Attached file: ${name}]`);
+                return createUserExportMessage([message.content || "", ...files].filter(Boolean).join("\n\n"), message.insertedAt);
+            }
+            // Entries migrated from older versions are keyed by the position of their bubble
+            const entry = replacements[message.messageId] || replacements[`index-${answerIndex}`];
+            answerIndex++;
+            return entry
+                ? createReplacedExportMessage(entry, message.content)
+                : createDeepSeekExportMessage(message.content, message.insertedAt);
+        });
+
+        const lastAnswer = path[path.length - 1];
+        followUps
+            .filter((followUp) => followUp.anchor === lastAnswer.messageId || followUp.anchor === `index-${answerIndex - 1}`)
+            .forEach((followUp) => messages.push(...createFollowUpExportMessages(followUp)));
+    } else {
+        // Without the message tree, only the turns answered by external models are known
+        messages = Object.values(replacements)
+            .sort((a, b) => a.index - b.index || (a.savedAt || 0) - (b.savedAt || 0))
+            .flatMap((entry) => [
+                createUserExportMessage(entry.question, null),
+                createReplacedExportMessage(entry),
+            ])
+            .concat(followUps.flatMap(createFollowUpExportMessages));
+    }
+
+    return {
+        chatId,
+        title: title || (record && record.title) || "Untitled chat",
+        url: `https://chat.deepseek.com/a/chat/s/${chatId}`,
+        complete: path.length > 0,
+        messages,
+    };
+}
+
+
+/**
+ * Describes who wrote an exported message, e.g. "GPT-4o via OpenAI (replaced a censored answer)".
+ *
+ * @param {Object} message - The exported message.
+ * @return {string} The attribution.
+ */
+function describeExportAuthor(message) {
+    if (message.role === "user") return "User";
+    if (message.source !== "external") return "DeepSeek";
+
+    const author = [message.provider, message.model && !(message.provider || "").includes(message.model) ? message.model : null]
+        .filter(Boolean).join(" ") || "External model";
+    if (!message.replaced) return `${author} (continued the chat)`;
+    return `${author} (replaced ${message.censored ? "a censored" : "an unavailable"} DeepSeek answer)`;
+}
+
+
+/**
+ * Formats chats as a Markdown document. Replaced answers are followed by DeepSeek's own answer in a quote.
+ *
+ * @param {Array<Object>} chats - The chats returned by `buildChatExport()`.
+ * @return {string} The Markdown document.
+ */
+function formatChatsMarkdown(chats) {
+    const quote = (text) => text.split("\n").map((line) => `> ${line}`).join("\n");
+
+    return chats.map((chat) => {
+        const lines = [`# ${chat.title}`, "", `<${chat.url}>`];
+        if (!chat.complete) lines.push("", "_Only the turns of this chat answered by external models were saved._");
+
+        chat.messages.forEach((message) => {
+            lines.push("", `## ${describeExportAuthor(message)}${message.timestamp ? ` — ${message.timestamp}` : ""}`, "");
+            lines.push(message.content || "_(empty)_");
+            if (message.replaced && message.original) lines.push("", "**Original DeepSeek answer:**", "", quote(message.original));
+            if (message.retracted) lines.push("", "**Retracted by DeepSeek:**", "", quote(message.retracted));
+        });
+
+        return lines.join("\n");
+    }).join("\n\n---\n\n") + "\n";
+}
+
+
+/**
+ * Formats chats as a JSON document.
+ *
+ * @param {Array<Object>} chats - The chats returned by `buildChatExport()`.
+ * @return {string} The JSON document.
+ */
+function formatChatsJson(chats) {
+    return JSON.stringify({version: EXPORT_JSON_VERSION, exportedAt: new Date().toISOString(), chats}, null, 2);
+}
+
+
+/**
+ * Escapes a text for HTML.
+ *
+ * @param {string} text - The text to escape.
+ * @return {string} The escaped text.
+ */
+function escapeExportHtml(text) {
+    return String(text || "").replace(/[&<>"']/g, (character) => ({
+        "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+    })[character]);
+}
+
+
+/**
+ * Formats chats as a standalone HTML page, readable without the extension or a network connection.
+ * Messages are kept as preformatted text, since the Markdown renderer is not available everywhere chats are exported.
+ *
+ * @param {Array<Object>} chats - The chats returned by `buildChatExport()`.
+ * @return {string} The HTML page.
+ */
+function formatChatsHtml(chats) {
+    const sections = chats.map((chat) => {
+        const messages = chat.messages.map((message) => {
+            const details = [
+                message.replaced && message.original
+                    ? `<details><summary>Original DeepSeek answer</summary><div class="text">${escapeExportHtml(message.original)}</div></details>`
+                    : "",
+                message.retracted
+                    ? `<details><summary>Retracted by DeepSeek</summary><div class="text">${escapeExportHtml(message.retracted)}</div></details>`
+                    : "",
+            ].join("");
+
+            return `<article class="${message.role} ${message.replaced ? "replaced" : ""}">
+<header>${escapeExportHtml(describeExportAuthor(message))}${message.timestamp ? ` · <time>${escapeExportHtml(message.timestamp)}</time>` : ""}</header>
+<div class="text">${escapeExportHtml(message.content)}</div>${details}
+</article>`;
+        }).join("\n");
+
+        return `<section>
+<h1>${escapeExportHtml(chat.title)}</h1>
+<p class="meta"><a href="${escapeExportHtml(chat.url)}">${escapeExportHtml(chat.url)}</a></p>
+${chat.complete ? "" : "<p class=\"meta\">Only the turns of this chat answered by external models were saved.</p>"}
+${messages}
+</section>`;
+    }).join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeExportHtml(chats.length === 1 ? chats[0].title : "DeepSeek chats")}</title>
+<style>
+body { max-width: 860px; margin: 0 auto; padding: 24px; font-family: sans-serif; line-height: 1.5; color: #222; }
+section { margin-bottom: 48px; }
+article { margin: 16px 0; padding: 12px 16px; border-radius: 12px; background: #f5f5f5; }
+article.user { background: #e3f2fd; }
+article.replaced { border-left: 4px solid #4caf50; }
+header, .meta { font-size: 13px; color: #757575; margin-bottom: 8px; }
+.text { white-space: pre-wrap; }
+details { margin-top: 8px; font-size: 14px; color: #555; }
+</style>
+</head>
+<body>
+${sections}
+</body>
+</html>
+`;
+}
+
+
+/**
+ * Formats chats in one of the export formats and names the file.
+ *
+ * @param {Array<Object>} chats - The chats returned by `buildChatExport()`.
+ * @param {string} format - A key of `EXPORT_FORMATS`.
+ * @return {{filename: string, content: string, mimeType: string}} The file to download.
+ */
+function createExportFile(chats, format) {
+    const type = EXPORT_FORMATS[format] || EXPORT_FORMATS.markdown;
+    const formatter = {markdown: formatChatsMarkdown, json: formatChatsJson, html: formatChatsHtml}[format] || formatChatsMarkdown;
+    const name = chats.length === 1
+        ? chats[0].title.replace(/[\\/:*?"<>|\s]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 80) || chats[0].chatId
+        : `deepseek-chats-${new Date().toISOString().slice(0, 10)}`;
+
+    return {filename: `${name}.${type.extension}`, content: formatter(chats), mimeType: type.mimeType};
+}
+
+
+/**
+ * Downloads an export file from the current page.
+ *
+ * @param {{filename: string, content: string, mimeType: string}} file - The file returned by `createExportFile()`.
+ * @return {void} This function does not return a value.
+ */
+function downloadExportFile(file) {
+    const url = URL.createObjectURL(new Blob([file.content], {type: `${file.mimeType};charset=utf-8`}));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = file.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -1,5 +1,393 @@
 (function () {
 
+    /**
+     * Matches the DeepSeek endpoints that stream an assistant message:
+     * a new completion, an edited user message and a regenerated answer.
+     *
+     * @type {RegExp}
+     */
+    const COMPLETION_URL_REGEX = /\/api\/v0\/chat\/(completion|edit_message|regenerate)(\?|$)/;
+
+
+    /**
+     * Keeps the fields of a web search result that are worth forwarding.
+     *
+     * @param {Object} result - A search result of a stream frame or of the chat history.
+     * @return {{url: string, title: string, snippet: string}} The search result.
+     */
+    function describeSearchResult(result) {
+        return {url: result.url || "", title: result.title || "", snippet: result.snippet || ""};
+    }
+
+
+    /**
+     * Creates an incremental parser for the Server-Sent Events stream returned by the DeepSeek completion endpoints.
+     *
+     * DeepSeek streams `data:` frames shaped like
+     * `{"choices":[{"delta":{"content":"...","type":"text"},"finish_reason":null}],"message_id":4,"parent_id":3}`
+     * and terminates the stream with `data: [DONE]`. The parser rebuilds the assistant message from the deltas,
+     * separates the DeepThink reasoning (`type: "thinking"`) from the answer, collects the pages read by the search mode
+     * (`search_results`), and tracks the `finish_reason`.
+     *
+     * When the moderation kicks in, DeepSeek sends a final frame with `finish_reason: "content_filter"` whose content
+     * replaces everything streamed so far. The parser keeps the retracted text so it can be reported alongside the refusal.
+     *
+     * Structured events are passed to `onEvent`:
+     * - `start` – the first frame carrying the message ids was received;
+     * - `retraction` – already streamed text was replaced by DeepSeek.
+     *
+     * The final message, with its `reason` (`stop`, `content_filter`, `length`, ... or null if interrupted),
+     * is returned by `end()` so the caller can decide how to report it.
+     *
+     * @param {Object} request - The intercepted request described by `describeCompletionRequest()`, reported with every event.
+     * @param {function(Object): void} onEvent - Receives the structured stream events.
+     * @return {{push: function(string): void, end: function(): Object}} Feeds decoded text and returns the final message.
+     */
+    function createDeepSeekStreamParser(request, onEvent) {
+        const message = {
+            url: request.url,
+            chatId: request.chatId,
+            request,
+            messageId: null,
+            parentId: null,
+            text: "",
+            reasoning: "",
+            searchResults: [],
+            reason: null,
+            retractedText: null,
+        };
+        let buffer = "";
+        let started = false;
+        let finished = false;
+
+        const emit = (event) => onEvent({...message, event});
+
+        const handleFrame = (frame) => {
+            if (frame.message_id !== undefined) message.messageId = frame.message_id;
+            if (frame.parent_id !== undefined) message.parentId = frame.parent_id;
+
+            if (!started && message.messageId !== null) {
+                started = true;
+                emit("start");
+            }
+
+            const choice = frame.choices && frame.choices[0];
+            if (!choice) return;
+
+            const delta = choice.delta || {};
+            const content = delta.content || "";
+
+            // The search mode streams the pages it read before the answer
+            if (Array.isArray(delta.search_results)) {
+                message.searchResults.push(...delta.search_results.map(describeSearchResult));
+            }
+
+            if (choice.finish_reason === "content_filter") {
+                // DeepSeek replaces the already streamed answer with its own refusal
+                if (message.text) {
+                    message.retractedText = message.text;
+                    message.text = content;
+                    emit("retraction");
+                } else {
+                    message.text += content;
+                }
+            } else if (delta.type === "thinking") {
+                message.reasoning += content;
+            } else {
+                message.text += content;
+            }
+
+            if (choice.finish_reason) message.reason = choice.finish_reason;
+        };
+
+        const handleLine = (line) => {
+            const data = line.trim();
+            if (!data.startsWith("data:")) return;
+
+            const payload = data.slice(5).trim();
+            if (!payload || payload === "[DONE]") return;
+
+            try {
+                handleFrame(JSON.parse(payload));
+            } catch (err) {
+                console.error("❌ Unable to parse DeepSeek stream frame:", payload, err);
+            }
+        };
+
+        return {
+            push(text) {
+                if (finished) return;
+                buffer += text;
+                const lines = buffer.split("\n");
+                // the last line may be incomplete, keep it for the next chunk
+                buffer = lines.pop();
+                lines.forEach(handleLine);
+            },
+            end() {
+                if (!finished && buffer) handleLine(buffer);
+                buffer = "";
+                finished = true;
+                return {...message};
+            },
+        };
+    }
+
+
+    /**
+     * Summarizes the JSON payload of a completion request: which chat it belongs to,
+     * which message it answers and the exact prompt the user sent.
+     *
+     * @param {string} url - The URL of the intercepted request.
+     * @param {Object|null} payload - The parsed request body, if it could be read.
+     * @return {{url: string, chatId: (string|null), parentMessageId: (number|null), prompt: (string|null),
+     *           thinkingEnabled: boolean, searchEnabled: boolean, fileIds: string[]}} The request description.
+     */
+    function describeCompletionRequest(url, payload) {
+        const body = payload || {};
+        return {
+            url,
+            chatId: body.chat_session_id || null,
+            parentMessageId: body.parent_message_id !== undefined ? body.parent_message_id : null,
+            prompt: typeof body.prompt === "string" ? body.prompt : null,
+            thinkingEnabled: !!body.thinking_enabled,
+            searchEnabled: !!body.search_enabled,
+            fileIds: body.ref_file_ids || [],
+        };
+    }
+
+
+    /**
+     * Parses a request body sent as a JSON string, ignoring anything else (FormData, Blob, ...).
+     *
+     * @param {*} body - The body passed to `fetch` or `XMLHttpRequest.send()`.
+     * @return {Object|null} The parsed payload, or null.
+     */
+    function parseRequestBody(body) {
+        if (typeof body !== "string") return null;
+        try {
+            return JSON.parse(body);
+        } catch (err) {
+            return null;
+        }
+    }
+
+
+    /**
+     * Matches the endpoint DeepSeek loads the full message tree of a chat from.
+     *
+     * @type {RegExp}
+     */
+    const HISTORY_URL_REGEX = /\/api\/v0\/chat\/history_messages/;
+
+
+    /**
+     * Forwards the message tree of a chat loaded by the page to the content script.
+     *
+     * DeepSeek answers with `data.biz_data.chat_session` (holding the id and the `current_message_id` of the
+     * displayed branch) and `data.biz_data.chat_messages`, where every message has a `message_id`, a `parent_id`
+     * and a `role`, along with the `files` attached to a prompt and the `search_results` an answer is based on.
+     * The files only come with their `id` and `file_name`: their text is matched by id with the uploaded files.
+     * Edited and regenerated messages are siblings sharing the same parent.
+     *
+     * @param {Object} payload - The parsed `history_messages` response.
+     * @return {void}
+     */
+    function postHistory(payload) {
+        const data = payload && payload.data && payload.data.biz_data;
+        if (!data || !Array.isArray(data.chat_messages)) return;
+
+        const session = data.chat_session || {};
+        window.postMessage({
+            type: "DEEPSEEK_HISTORY",
+            chatId: session.id || null,
+            title: session.title || null,
+            currentMessageId: session.current_message_id !== undefined ? session.current_message_id : null,
+            messages: data.chat_messages.map((message) => ({
+                messageId: message.message_id,
+                parentId: message.parent_id,
+                role: String(message.role).toLowerCase(),
+                content: message.content || "",
+                reasoning: message.thinking_content || "",
+                files: (message.files || []).map((file) => file.file_name || file.name || "").filter(Boolean),
+                fileIds: (message.files || []).filter((file) => file.file_name || file.name).map((file) => file.id || null),
+                searchResults: (message.search_results || []).map(describeSearchResult),
+                insertedAt: message.inserted_at || null,
+            })),
+        }, "*");
+    }
+
+
+    /**
+     * Matches the endpoint the page uploads the files attached to a prompt to.
+     *
+     * @type {RegExp}
+     */
+    const UPLOAD_URL_REGEX = /\/api\/v0\/file\/upload_file/;
+
+
+    /**
+     * Matches the names of the files whose text can be read as is. The text of other files (PDF, Office documents,
+     * images) is only extracted by DeepSeek on its servers and never sent back to the page.
+     *
+     * @type {RegExp}
+     */
+    const TEXT_FILE_REGEX = /\.(txt|md|markdown|csv|tsv|json|jsonl|xml|html?|css|js|jsx|ts|tsx|py|java|kt|c|cc|cpp|h|hpp|cs|go|rs|rb|php|sh|sql|ya?ml|toml|ini|log|tex)$/i;
+
+
+    /**
+     * The longest text forwarded for an uploaded file, in characters.
+     *
+     * @type {number}
+     */
+    const MAX_FILE_TEXT_LENGTH = 100000;
+
+
+    /**
+     * Reads the text of the file sent in an upload request.
+     *
+     * @param {*} body - The body of the upload request, a `FormData` holding the file.
+     * @return {Promise<{name: string, content: (string|null), truncated: boolean}|null>} Resolves with the file name
+     *         and its text (null for a file that is not a text file), or with null if the body holds no file.
+     */
+    function readUploadedFile(body) {
+        const file = body instanceof FormData ? Array.from(body.values()).find((value) => value instanceof File) : null;
+        if (!file) return Promise.resolve(null);
+
+        if (!file.type.startsWith("text/") && !TEXT_FILE_REGEX.test(file.name)) {
+            return Promise.resolve({name: file.name, content: null, truncated: false});
+        }
+        return file.text().then((text) => ({
+            name: file.name,
+            content: text.slice(0, MAX_FILE_TEXT_LENGTH),
+            truncated: text.length > MAX_FILE_TEXT_LENGTH,
+        }));
+    }
+
+
+    /**
+     * Forwards a file the page uploaded to the content script, with the id DeepSeek gave it.
+     * Prompts only reference their files by these ids (`ref_file_ids`), and the chat history only by id and name.
+     *
+     * DeepSeek answers with `data.biz_data`, holding the `id` and the `file_name` of the stored file.
+     *
+     * @param {*} body - The body of the upload request.
+     * @param {Object} payload - The parsed upload response.
+     * @return {Promise<void>} Resolves once the file was forwarded.
+     */
+    function postUploadedFile(body, payload) {
+        const data = payload && payload.data && payload.data.biz_data;
+        if (!data || !data.id) return Promise.resolve();
+
+        return readUploadedFile(body).then((file) => {
+            window.postMessage({
+                type: "DEEPSEEK_FILE",
+                fileId: data.id,
+                name: data.file_name || (file && file.name) || null,
+                content: file ? file.content : null,
+                truncated: !!file && file.truncated,
+            }, "*");
+        });
+    }
+
+
+    /**
+     * Forwards a structured stream event to the content script.
+     *
+     * @param {Object} event - The event produced by `createDeepSeekStreamParser()`.
+     * @return {void}
+     */
+    function postStreamEvent(event) {
+        if (event.event === "retraction") {
+            console.warn("🚨 DeepSeek retracted a streamed answer!", event.retractedText);
+        }
+        if (event.event === "finish" && event.outage) {
+            console.warn("🚨 DeepSeek is unavailable!");
+        }
+        window.postMessage({type: "DEEPSEEK_STREAM", ...event}, "*");
+    }
+
+
+    /**
+     * Matches the text DeepSeek answers with when it is overloaded, in English and Chinese.
+     *
+     * @type {RegExp}
+     */
+    const SERVER_BUSY_REGEX = /^\s*(the server is busy|服务器繁忙)/i;
+
+
+    /**
+     * Determines whether a finished DeepSeek stream failed because the service is unavailable,
+     * as opposed to an answer that was produced (and possibly censored).
+     *
+     * @param {Object} message - The final message returned by the stream parser.
+     * @param {number} status - The HTTP status of the response.
+     * @return {boolean} True when DeepSeek answered with an HTTP error or its "server is busy" message.
+     */
+    function isOutage(message, status) {
+        return status === 429 || status >= 500 || SERVER_BUSY_REGEX.test(message.text);
+    }
+
+
+    /**
+     * Reads a completion response incrementally through a new stream parser.
+     *
+     * @param {Response} response - The response to read, consumed by this function.
+     * @param {Object} request - The intercepted request described by `describeCompletionRequest()`.
+     * @return {Promise<Object>} Resolves with the final message once the stream ends.
+     */
+    async function readCompletionStream(response, request) {
+        const parser = createDeepSeekStreamParser(request, postStreamEvent);
+        if (!response.body) return parser.end();
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder("utf-8");
+        try {
+            while (true) {
+                const {done, value} = await reader.read();
+                if (done) break;
+                parser.push(decoder.decode(value, {stream: true}));
+            }
+        } catch (err) {
+            console.error("❌ Fetch response error:", err);
+        }
+        return parser.end();
+    }
+
+
+    /**
+     * Follows an intercepted completion until it finishes and reports the outcome with a `finish` event,
+     * flagged as an `outage` when DeepSeek is overloaded or could not be reached.
+     *
+     * Overloaded requests are not replayed from here: DeepSeek protects its completion endpoints with a single-use
+     * proof-of-work header, so a replay of the page's request is always rejected. The content script retries
+     * by clicking DeepSeek's regenerate button instead, and the page sends a new request of its own.
+     *
+     * @param {Response|null} response - A clone of the response returned to the page, or null if the request failed
+     *        without a response.
+     * @param {Object} request - The intercepted request described by `describeCompletionRequest()`.
+     * @return {Promise<void>}
+     */
+    async function watchCompletion(response, request) {
+        const message = response
+            ? await readCompletionStream(response, request)
+            : createDeepSeekStreamParser(request, postStreamEvent).end();
+        const outage = !response || isOutage(message, response.status);
+        postStreamEvent({...message, event: "finish", outage});
+    }
+
+
+    /**
+     * Resolves the URL of a `fetch` call, whose first argument may be a string, a `URL` or a `Request`.
+     *
+     * @param {string|URL|Request} input - The first argument passed to `fetch`.
+     * @return {string} The requested URL.
+     */
+    function getRequestUrl(input) {
+        if (input instanceof Request) return input.url;
+        return String(input);
+    }
+
+
     /**
      * A backup reference to the native XMLHttpRequest constructor provided by the browser.
      * This variable stores the original implementation of XMLHttpRequest before any potential
@@ -58,19 +446,64 @@
         constructor() {
             super();
             this.addEventListener("readystatechange", function () {
-                if (this.readyState === 4 && (
-                    this.responseText.includes('"finish_reason":"content_filter"') ||
-                    this.responseText.includes('"finish_reason":"stop"') ||
-                    this.responseText.includes('"delta":{"content":"The server is busy.')
-                )) {
-                    console.warn("🚨 Censorship detected in XHR response!");
-                    window.postMessage({
-                        type: "DEEPSEEK_CENSORSHIP",
-                        content: this.responseText
-                    }, "*");
+                if (this.readyState === 4 && HISTORY_URL_REGEX.test(this.responseURL) &&
+                    (this.responseType === "" || this.responseType === "text")) {
+                    postHistory(parseRequestBody(this.responseText));
+                    return;
+                }
+                if (this.readyState === 4 && UPLOAD_URL_REGEX.test(this.responseURL) &&
+                    (this.responseType === "" || this.responseType === "text")) {
+                    postUploadedFile(this._deepSeekBody, parseRequestBody(this.responseText)).catch((err) => {
+                        console.error("❌ Unable to read the uploaded file:", err);
+                    });
+                    return;
+                }
+                if (this.readyState === 2 && COMPLETION_URL_REGEX.test(this.responseURL) &&
+                    (this.responseType === "" || this.responseType === "text")) {
+                    const request = describeCompletionRequest(this.responseURL, parseRequestBody(this._deepSeekBody));
+                    this._deepSeekParser = createDeepSeekStreamParser(request, postStreamEvent);
+                    this._deepSeekOffset = 0;
+                }
+                // A request that failed at the network level never gets its headers, nor a `responseURL`
+                if (this.readyState === 4 && !this._deepSeekParser && this.status === 0 &&
+                    COMPLETION_URL_REGEX.test(this._deepSeekUrl || "")) {
+                    if (!this._deepSeekAborted) {
+                        watchCompletion(null, describeCompletionRequest(this._deepSeekUrl, parseRequestBody(this._deepSeekBody)));
+                    }
+                    return;
+                }
+                if (!this._deepSeekParser || this.readyState < 3) return;
+
+                // responseText grows while the stream is loading, feed only the new part
+                this._deepSeekParser.push(this.responseText.slice(this._deepSeekOffset));
+                this._deepSeekOffset = this.responseText.length;
+
+                if (this.readyState === 4) {
+                    // The status drops to 0 when the connection is lost mid-stream, or when the page aborts the request
+                    const message = this._deepSeekParser.end();
+                    const failed = this.status === 0 && !this._deepSeekAborted;
+                    postStreamEvent({...message, event: "finish", outage: failed || isOutage(message, this.status)});
                 }
             });
         }
+
+        open(method, url, ...args) {
+            // kept to recognize a completion request that failed before its response, which has no `responseURL`
+            this._deepSeekUrl = String(url);
+            return super.open(method, url, ...args);
+        }
+
+        abort() {
+            // a request the page cancelled itself is not an outage
+            this._deepSeekAborted = true;
+            return super.abort();
+        }
+
+        send(body) {
+            // kept to describe the intercepted completion request or uploaded file once the response arrives
+            this._deepSeekBody = body;
+            return super.send(body);
+        }
     };
 
 
@@ -119,26 +552,72 @@
      * polyfills in older environments.
      */
     window.fetch = async function (...args) {
-        const response = await originalFetch(...args);
-        const clonedResponse = response.clone();
+        const url = getRequestUrl(args[0]);
+
+        if (HISTORY_URL_REGEX.test(url)) {
+            const response = await originalFetch(...args);
+            response.clone().json().then(postHistory).catch((err) => {
+                console.error("❌ Unable to read DeepSeek chat history:", err);
+            });
+            return response;
+        }
+
+        if (UPLOAD_URL_REGEX.test(url)) {
+            const body = args[0] instanceof Request ? await args[0].clone().formData().catch(() => null) : args[1] && args[1].body;
+            const response = await originalFetch(...args);
+            response.clone().json().then((payload) => postUploadedFile(body, payload)).catch((err) => {
+                console.error("❌ Unable to read the uploaded file:", err);
+            });
+            return response;
+        }
+
+        if (!COMPLETION_URL_REGEX.test(url)) {
+            return originalFetch(...args);
+        }
+
+        // A Request body can only be read once, the payload is read from a copy.
+        // A body that cannot be read (a stream, an aborted request) resolves to null
+        const payload = (args[0] instanceof Request
+            ? args[0].clone().text().then(parseRequestBody)
+            : Promise.resolve(parseRequestBody(args[1] && args[1].body)))
+            .catch(() => null);
+
+        let response;
         try {
-            const text = await clonedResponse.text();
-            if (
-                text.includes('"finish_reason":"content_filter"') ||
-                text.includes('"finish_reason":"stop"') ||
-                text.includes('"delta":{"content":"The server is busy.')
-            ) {
-                console.warn("🚨 Censorship detected in Fetch response!");
-                window.postMessage({
-                    type: "DEEPSEEK_CENSORSHIP",
-                    content: text
-                }, "*");
-            }
+            response = await originalFetch(...args);
         } catch (err) {
-            console.error("❌ Fetch response error:", err);
+            // DeepSeek could not be reached at all, unless the page cancelled the request itself
+            if (err.name !== "AbortError") payload.then((body) => watchCompletion(null, describeCompletionRequest(url, body)));
+            throw err;
         }
+
+        // The clone is read incrementally, so the page keeps streaming the original response untouched.
+        // Without a readable body the request is only known by its URL
+        const clone = response.clone();
+        payload.then((body) => watchCompletion(clone, describeCompletionRequest(url, body)));
+
         return response;
     };
 
+    /**
+     * Wraps a `history` method so the content script learns about the page switching chats.
+     * The content script runs in an isolated world and does not see the page's own `pushState()` calls,
+     * the browser's back and forward buttons fire a `popstate` event it receives itself.
+     *
+     * @param {string} method - `pushState` or `replaceState`.
+     * @return {void}
+     */
+    function watchHistoryMethod(method) {
+        const original = history[method];
+        history[method] = function (...args) {
+            const result = original.apply(this, args);
+            window.postMessage({type: "DEEPSEEK_ROUTE", url: location.href}, "*");
+            return result;
+        };
+    }
+
+    watchHistoryMethod("pushState");
+    watchHistoryMethod("replaceState");
+
     console.log("✅ DeepSeek AJAX & Fetch interception activated!");
 })();
@@ -0,0 +1,255 @@
+/**
+ * @file markdown.js
+ *
+ * This content script renders replacement answers as Markdown, so they look like the answers DeepSeek renders itself
+ * instead of raw text. Everything is bundled with the extension in `libs/`, nothing is loaded from a CDN:
+ *
+ * - marked parses GitHub-flavoured Markdown, extended with `$…$`, `$$…$$`, `\(…\)` and `\[…\]` math;
+ * - KaTeX renders the math;
+ * - DOMPurify sanitizes the produced HTML, since the model output is untrusted and may contain HTML of its own;
+ * - Prism highlights code blocks with the `token` classes DeepSeek's stylesheet already colours.
+ *
+ * The sanitized DOM is then given the structure and class names of DeepSeek's own `ds-markdown--block` answers:
+ * `ds-markdown-paragraph` paragraphs, `md-code-block` code blocks with a language banner and a copy button,
+ * and tables wrapped in `markdown-table-wrapper`.
+ *
+ * The script is listed after the libraries and before content.js in the manifest and shares their global scope.
+ */
+
+
+/**
+ * The tags removed from rendered answers on top of DOMPurify's defaults.
+ * Images and media are dropped because loading a remote resource chosen by the model would leak the conversation
+ * to its server.
+ * @type {string[]}
+ */
+const MARKDOWN_FORBIDDEN_TAGS = [
+    "img", "video", "audio", "source", "picture", "track",
+    "style", "form", "input", "button", "textarea", "select", "iframe",
+];
+
+
+/**
+ * The attributes removed from rendered answers on top of DOMPurify's defaults, for the same reason:
+ * each of them makes the browser load an image.
+ * @type {string[]}
+ */
+const MARKDOWN_FORBIDDEN_ATTRIBUTES = ["srcset", "poster", "background"];
+
+
+/**
+ * The attributes holding a URL the browser may load. Only the `href` of links is kept, since it is only followed
+ * when the user clicks it.
+ * @type {Set<string>}
+ */
+const MARKDOWN_URL_ATTRIBUTES = new Set(["src", "href", "xlink:href", "action", "formaction", "data", "ping"]);
+
+
+/**
+ * A DOMPurify `uponSanitizeAttribute` hook dropping the attributes of rendered answers that load a remote resource
+ * and that no tag or attribute list catches: URLs outside `a[href]`, such as an SVG `<image href>`, and inline styles
+ * with a CSS function or escape, such as `background: url(…)`. Inline styles themselves are kept since KaTeX lays
+ * out formulas with them, and it never writes such functions.
+ *
+ * @param {Element} node - The element being sanitized.
+ * @param {{attrName: string, attrValue: string, keepAttr: boolean}} data - The attribute, whose `keepAttr` is cleared
+ *        to drop it.
+ * @return {void} This function does not return a value.
+ */
+function dropRemoteResourceAttribute(node, data) {
+    if (MARKDOWN_URL_ATTRIBUTES.has(data.attrName)) {
+        if (node.nodeName.toLowerCase() !== "a" || data.attrName !== "href") data.keepAttr = false;
+    } else if (data.attrName === "style" && /[(\\]/.test(data.attrValue)) {
+        data.keepAttr = false;
+    }
+}
+
+DOMPurify.addHook("uponSanitizeAttribute", dropRemoteResourceAttribute);
+
+
+/**
+ * Renders a TeX formula with KaTeX, falling back to the escaped source if KaTeX cannot be used.
+ *
+ * @param {string} tex - The formula, without its delimiters.
+ * @param {boolean} displayMode - True for a block formula, false for an inline one.
+ * @return {string} The rendered HTML.
+ */
+function renderMath(tex, displayMode) {
+    try {
+        return katex.renderToString(tex, {displayMode, throwOnError: false, output: "html"});
+    } catch (error) {
+        const code = document.createElement("code");
+        code.textContent = tex;
+        return code.outerHTML;
+    }
+}
+
+
+/**
+ * The marked extensions recognizing the math delimiters used by language models.
+ * A `$` followed by a space or a closing `$` followed by a digit is left alone, so prices are not mistaken for math.
+ * @type {Array<Object>}
+ */
+const MATH_EXTENSIONS = [{
+    name: "blockMath",
+    level: "block",
+    start(src) {
+        const index = src.search(/\$\$|\\\[/);
+        return index < 0 ? undefined : index;
+    },
+    tokenizer(src) {
+        const match = /^(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n|$)/.exec(src);
+        if (match) return {type: "blockMath", raw: match[0], text: (match[1] || match[2]).trim()};
+    },
+    renderer(token) {
+        return renderMath(token.text, true);
+    },
+}, {
+    name: "inlineMath",
+    level: "inline",
+    start(src) {
+        const index = src.search(/\$|\\\(/);
+        return index < 0 ? undefined : index;
+    },
+    tokenizer(src) {
+        const match = /^(?:\$\$([^$]+?)\$\$|\\\(([\s\S]+?)\\\)|\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d))/.exec(src);
+        if (match) return {type: "inlineMath", raw: match[0], text: (match[1] || match[2] || match[3]).trim(), display: !!match[1]};
+    },
+    renderer(token) {
+        return renderMath(token.text, token.display);
+    },
+}];
+
+
+/**
+ * The Markdown parser shared by every rendering, configured once with the math extensions.
+ * @type {Object}
+ */
+const markdownParser = new marked.Marked({gfm: true, breaks: false, extensions: MATH_EXTENSIONS});
+
+
+/**
+ * Copies text with a hidden textarea and `document.execCommand("copy")`, which the `clipboardWrite` permission
+ * allows without a user activation.
+ *
+ * @param {string} text - The text to copy.
+ * @return {Promise<void>} Resolves once the text is copied, rejects if the browser refused.
+ */
+function copyThroughTextarea(text) {
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.setAttribute("readonly", "");
+    textarea.style = "position: fixed; top: -1000px; opacity: 0;";
+    document.body.appendChild(textarea);
+
+    const focused = document.activeElement;
+    textarea.select();
+    const copied = document.execCommand("copy");
+    textarea.remove();
+    if (focused instanceof HTMLElement) focused.focus();
+
+    return copied ? Promise.resolve() : Promise.reject(new Error("The browser refused to copy."));
+}
+
+
+/**
+ * Copies text to the clipboard with the Clipboard API, falling back to `copyThroughTextarea()` when the API is denied,
+ * e.g. when the document is not focused or lacks a user activation.
+ *
+ * @param {string} text - The text to copy.
+ * @return {Promise<void>} Resolves once the text is copied, rejects if both ways failed.
+ */
+function copyText(text) {
+    return navigator.clipboard.writeText(text).catch(() => copyThroughTextarea(text));
+}
+
+
+/**
+ * Builds a code block with the structure of DeepSeek's own: a banner with the language and a copy button above the code.
+ * The code is highlighted when Prism knows the language; Prism escapes the code it highlights.
+ *
+ * @param {string} code - The source code.
+ * @param {string} language - The language given after the opening fence, possibly empty.
+ * @return {HTMLDivElement} The code block.
+ */
+function createCodeBlock(code, language) {
+    const block = document.createElement("div");
+    block.className = "md-code-block";
+
+    const bannerWrap = document.createElement("div");
+    bannerWrap.className = "md-code-block-banner-wrap";
+    const banner = document.createElement("div");
+    banner.className = "md-code-block-banner";
+
+    const infoString = document.createElement("div");
+    infoString.className = "md-code-block-infostring";
+    infoString.textContent = language;
+
+    const actions = document.createElement("div");
+    actions.className = "md-code-block-action";
+    const copyButton = document.createElement("div");
+    copyButton.className = "ds-markdown-code-copy-button";
+    copyButton.style = "cursor: pointer;";
+    copyButton.textContent = "Copy";
+    copyButton.addEventListener("click", () => {
+        copyText(code).then(() => {
+            copyButton.textContent = "Copied";
+        }, (error) => {
+            console.error("❌ Copy failed:", error);
+            copyButton.textContent = "Copy failed";
+        }).then(() => setTimeout(() => copyButton.textContent = "Copy", 1500));
+    });
+
+    actions.appendChild(copyButton);
+    banner.append(infoString, actions);
+    bannerWrap.appendChild(banner);
+
+    const pre = document.createElement("pre");
+    const grammar = language && typeof Prism !== "undefined" ? Prism.languages[language.toLowerCase()] : null;
+    if (grammar) {
+        pre.innerHTML = Prism.highlight(code, grammar, language.toLowerCase());
+    } else {
+        pre.textContent = code;
+    }
+
+    block.append(bannerWrap, pre);
+    return block;
+}
+
+
+/**
+ * Renders Markdown into a sanitized DOM fragment with the structure of DeepSeek's answers.
+ *
+ * @param {string} markdown - The Markdown source, possibly incomplete while an answer is streamed.
+ * @return {DocumentFragment} The rendered answer.
+ */
+function renderMarkdown(markdown) {
+    const html = markdownParser.parse(markdown || "");
+    const fragment = DOMPurify.sanitize(html, {
+        RETURN_DOM_FRAGMENT: true,
+        FORBID_TAGS: MARKDOWN_FORBIDDEN_TAGS,
+        FORBID_ATTR: MARKDOWN_FORBIDDEN_ATTRIBUTES,
+    });
+
+    fragment.querySelectorAll("p").forEach((paragraph) => paragraph.classList.add("ds-markdown-paragraph"));
+
+    fragment.querySelectorAll("pre").forEach((pre) => {
+        const code = pre.querySelector("code");
+        const language = code ? ((code.className.match(/language-(\S+)/) || [])[1] || "") : "";
+        pre.replaceWith(createCodeBlock((code || pre).textContent.replace(/\n$/, ""), language));
+    });
+
+    fragment.querySelectorAll("table").forEach((table) => {
+        const wrapper = document.createElement("div");
+        wrapper.className = "markdown-table-wrapper";
+        table.replaceWith(wrapper);
+        wrapper.appendChild(table);
+    });
+
+    fragment.querySelectorAll("a[href]").forEach((link) => {
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+    });
+
+    return fragment;
+}
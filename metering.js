@@ -0,0 +1,289 @@
+/**
+ * @file metering.js
+ *
+ * This script implements the usage log of external API calls and the spending cap. Every replacement request is
+ * recorded with its provider, model, token counts, latency, trigger and estimated cost, and the usage page
+ * (usage.html) sums them up per day and per month.
+ *
+ * Costs are estimated from an editable price table, one line per model: `model prefix | input | output`,
+ * both prices in US dollars per million tokens. The longest matching prefix wins, so `gpt-4o-mini` can be priced
+ * apart from `gpt-4o`. Local providers are free, and calls whose model is not in the table have no cost. Since such
+ * calls would never count against the spending cap, automatic replacements skip unpriced models while a cap is set.
+ *
+ * Storage layout:
+ * - `usageLog` – the list of calls, oldest first, capped at `MAX_USAGE_LOG_ENTRIES`;
+ * - `usageTotals` – the running totals of every month keyed by `YYYY-MM`, see `summarizeUsage()`, which keep
+ *   counting the calls dropped from the capped log;
+ * - `metering` – `{priceTable, monthlyCap}`, the price table text and the monthly spending cap in dollars (0 for none).
+ *
+ * The usage page loads it too, to sum up the log.
+ */
+
+
+/**
+ * The price table used until the usage page saves its own, in US dollars per million tokens.
+ * @type {string}
+ */
+const DEFAULT_PRICE_TABLE = `# model prefix | USD per 1M input tokens | USD per 1M output tokens
+gpt-3.5-turbo | 0.5 | 1.5
+gpt-4o-mini | 0.15 | 0.6
+gpt-4o | 2.5 | 10
+gpt-4.1-nano | 0.1 | 0.4
+gpt-4.1-mini | 0.4 | 1.6
+gpt-4.1 | 2 | 8
+o3-mini | 1.1 | 4.4
+o4-mini | 1.1 | 4.4
+claude-3-5-haiku | 0.8 | 4
+claude-3-5-sonnet | 3 | 15
+claude-3-7-sonnet | 3 | 15
+claude-sonnet-4 | 3 | 15
+claude-opus-4 | 15 | 75
+gemini-1.5-flash | 0.075 | 0.3
+gemini-1.5-pro | 1.25 | 5
+gemini-2.0-flash | 0.1 | 0.4
+gemini-2.5-flash | 0.3 | 2.5
+gemini-2.5-pro | 1.25 | 10`;
+
+
+/**
+ * The providers running on the user's own machine, whose calls cost nothing.
+ * @type {string[]}
+ */
+const FREE_PROVIDERS = ["ollama"];
+
+
+/**
+ * The maximum number of calls kept in the usage log; the oldest ones are dropped first.
+ * @type {number}
+ */
+const MAX_USAGE_LOG_ENTRIES = 5000;
+
+
+/**
+ * The tail of the queue serializing writes to the usage log, since parallel calls would otherwise overwrite each other.
+ * @type {Promise<*>}
+ */
+let usageWriteQueue = Promise.resolve();
+
+
+/**
+ * Parses the price table edited in the usage page.
+ * Lines starting with `#` are comments, invalid lines are reported instead of being ignored silently.
+ *
+ * @param {string} text - The price table.
+ * @return {{prices: Array<{model: string, input: number, output: number}>, errors: string[]}} The prices and problems.
+ */
+function parsePriceTable(text) {
+    const prices = [];
+    const errors = [];
+
+    (text || "").split("\n").forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith("#")) return;
+
+        const [model, input, output] = line.split("|").map((part) => part.trim());
+        if (!model || isNaN(parseFloat(input)) || isNaN(parseFloat(output))) {
+            errors.push(`Line ${index + 1}: expected "model | input price | output price".`);
+            return;
+        }
+        prices.push({model: model.toLowerCase(), input: parseFloat(input), output: parseFloat(output)});
+    });
+
+    return {prices, errors};
+}
+
+
+/**
+ * Estimates the cost of a call.
+ *
+ * @param {Array<Object>} prices - The prices returned by `parsePriceTable()`.
+ * @param {string} provider - The provider identifier.
+ * @param {string} model - The model identifier.
+ * @param {number} promptTokens - The input tokens.
+ * @param {number} completionTokens - The output tokens.
+ * @return {number|null} The cost in US dollars, or null if the model has no price.
+ */
+function estimateCost(prices, provider, model, promptTokens, completionTokens) {
+    if (FREE_PROVIDERS.includes(provider)) return 0;
+
+    const name = (model || "").toLowerCase();
+    const price = prices
+        .filter((candidate) => name.startsWith(candidate.model))
+        .sort((a, b) => b.model.length - a.model.length)[0];
+    if (!price) return null;
+
+    return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+}
+
+
+/**
+ * Checks whether the calls of a model can be counted against the spending cap: the model is free or has a price.
+ *
+ * @param {Array<Object>} prices - The prices returned by `parsePriceTable()`.
+ * @param {string} provider - The provider identifier.
+ * @param {string} model - The model identifier.
+ * @return {boolean} True if the calls of the model have a cost.
+ */
+function hasModelPrice(prices, provider, model) {
+    return estimateCost(prices, provider, model, 0, 0) !== null;
+}
+
+
+/**
+ * Loads the metering settings.
+ *
+ * @return {Promise<{priceTable: string, monthlyCap: number}>} Resolves with the settings, or their defaults.
+ */
+function loadMeteringSettings() {
+    return chrome.storage.local.get(["metering"])
+        .then((result) => ({priceTable: DEFAULT_PRICE_TABLE, monthlyCap: 0, ...result.metering}));
+}
+
+
+/**
+ * Loads the usage log.
+ *
+ * @return {Promise<Array<Object>>} Resolves with the logged calls, oldest first.
+ */
+function loadUsageLog() {
+    return chrome.storage.local.get(["usageLog"]).then((result) => result.usageLog || []);
+}
+
+
+/**
+ * Loads the running totals of every month.
+ * Installs that predate them start from the totals of their usage log.
+ *
+ * @return {Promise<Object<string, Object>>} Resolves with the totals keyed by month, see `summarizeUsage()`.
+ */
+function loadUsageTotals() {
+    return chrome.storage.local.get(["usageTotals", "usageLog"]).then((result) => result.usageTotals ||
+        Object.fromEntries(summarizeUsage(result.usageLog || [], "month").map((total) => [total.period, total])));
+}
+
+
+/**
+ * Records an external API call in the usage log and the totals of its month, with its estimated cost.
+ *
+ * @param {Object} call - The call to record.
+ * @param {string} call.provider - The provider identifier.
+ * @param {string} call.model - The model identifier.
+ * @param {string} call.trigger - `auto`, `manual`, `outage`, `continue`, `selection`, or `judge` for the judge
+ *        of the multi-answer mode.
+ * @param {string} call.status - `ok`, `error` or `aborted`.
+ * @param {number} call.promptTokens - The input tokens.
+ * @param {number} call.completionTokens - The output tokens.
+ * @param {boolean} call.estimated - True when the provider did not report the token counts and they were estimated.
+ * @param {number} call.latency - The duration of the call in milliseconds.
+ * @return {Promise<Object>} Resolves with the recorded entry.
+ */
+function recordUsage(call) {
+    const run = usageWriteQueue.then(() => Promise.all([loadMeteringSettings(), loadUsageLog(), loadUsageTotals()])).then(([settings, usageLog, usageTotals]) => {
+        const {prices} = parsePriceTable(settings.priceTable);
+        const entry = {
+            time: Date.now(),
+            ...call,
+            cost: estimateCost(prices, call.provider, call.model, call.promptTokens, call.completionTokens),
+        };
+
+        const month = getPeriodKey(entry.time, "month");
+        usageTotals[month] = addToUsageTotal(usageTotals[month] || createUsageTotal(month), entry);
+
+        usageLog.push(entry);
+        return chrome.storage.local.set({usageLog: usageLog.slice(-MAX_USAGE_LOG_ENTRIES), usageTotals}).then(() => entry);
+    });
+
+    usageWriteQueue = run.catch(() => null);
+    return run;
+}
+
+
+/**
+ * Returns the local day (`YYYY-MM-DD`) or month (`YYYY-MM`) a timestamp belongs to.
+ *
+ * @param {number} time - The timestamp.
+ * @param {string} period - `day` or `month`.
+ * @return {string} The period key.
+ */
+function getPeriodKey(time, period) {
+    const date = new Date(time);
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+    return period === "month" ? month : `${month}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+
+/**
+ * Creates the empty totals of a period.
+ *
+ * @param {string} period - The period key.
+ * @return {{period: string, requests: number, failures: number, promptTokens: number, completionTokens: number, cost: number, unpriced: number}}
+ *         The totals, see `summarizeUsage()`.
+ */
+function createUsageTotal(period) {
+    return {period, requests: 0, failures: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0};
+}
+
+
+/**
+ * Adds a logged call to the totals of its period.
+ *
+ * @param {Object} total - The totals, updated in place.
+ * @param {Object} entry - The logged call.
+ * @return {Object} The updated totals.
+ */
+function addToUsageTotal(total, entry) {
+    total.requests++;
+    if (entry.status !== "ok") total.failures++;
+    total.promptTokens += entry.promptTokens || 0;
+    total.completionTokens += entry.completionTokens || 0;
+    if (entry.cost === null || entry.cost === undefined) {
+        total.unpriced++;
+    } else {
+        total.cost += entry.cost;
+    }
+    return total;
+}
+
+
+/**
+ * Sums up the usage log per day or per month.
+ *
+ * @param {Array<Object>} usageLog - The logged calls.
+ * @param {string} period - `day` or `month`.
+ * @return {Array<{period: string, requests: number, failures: number, promptTokens: number, completionTokens: number, cost: number, unpriced: number}>}
+ *         The totals, most recent period first. `unpriced` counts calls whose model has no price.
+ */
+function summarizeUsage(usageLog, period) {
+    const totals = new Map();
+
+    usageLog.forEach((entry) => {
+        const key = getPeriodKey(entry.time, period);
+        totals.set(key, addToUsageTotal(totals.get(key) || createUsageTotal(key), entry));
+    });
+
+    return Array.from(totals.values()).sort((a, b) => b.period.localeCompare(a.period));
+}
+
+
+/**
+ * Checks whether the spending of the current month reached the cap, in which case automatic replacements are paused.
+ * The price table is returned along, since automatic replacements by unpriced models are skipped while a cap is set.
+ *
+ * @return {Promise<{reached: boolean, spent: number, cap: number, unpriced: number, prices: Array<Object>}>}
+ *         Resolves with the verdict, the amounts in dollars, the calls of the month the cap could not count,
+ *         and the parsed price table.
+ */
+function checkSpendingCap() {
+    return Promise.all([loadMeteringSettings(), loadUsageTotals()]).then(([settings, usageTotals]) => {
+        const current = usageTotals[getPeriodKey(Date.now(), "month")];
+        const spent = current ? current.cost : 0;
+
+        return {
+            reached: settings.monthlyCap > 0 && spent >= settings.monthlyCap,
+            spent,
+            cap: settings.monthlyCap,
+            unpriced: current ? current.unpriced : 0,
+            prices: parsePriceTable(settings.priceTable).prices,
+        };
+    });
+}
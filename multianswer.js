@@ -0,0 +1,113 @@
+/**
+ * @file multianswer.js
+ *
+ * This script implements the settings and the judge of the multi-answer mode. In that mode a replaced answer is
+ * requested from several profiles in parallel, each answer is displayed in a tab of the replaced bubble with its
+ * latency and cost, and the tab the user picks is the one saved to the history. A judge profile can rank the answers,
+ * or merge them into one more answer.
+ *
+ * Follow-up prompts, questions about a selection and answers requested with a profile picked from the external AI
+ * button are still answered by a single profile.
+ *
+ * Storage layout:
+ * - `multiAnswer` – `{enabled, profileIds, judge, judgeProfileId}`, where `judge` is one of the `JUDGE_MODES`.
+ *
+ * The options page loads it too, for the judge modes and the defaults of its form.
+ */
+
+
+/**
+ * The multi-answer settings used until the options page saves its own.
+ * @type {{enabled: boolean, profileIds: string[], judge: string, judgeProfileId: (string|null)}}
+ */
+const DEFAULT_MULTI_ANSWER_SETTINGS = {enabled: false, profileIds: [], judge: "none", judgeProfileId: null};
+
+
+/**
+ * What the judge does with the answers, by mode.
+ * @type {Object<string, string>}
+ */
+const JUDGE_MODES = {
+    none: "No judge",
+    rank: "Rank the answers",
+    merge: "Merge the answers into one",
+};
+
+
+/**
+ * The maximum number of characters of each answer sent to the judge.
+ * @type {number}
+ */
+const MAX_JUDGED_ANSWER_LENGTH = 8000;
+
+
+/**
+ * The system prompts of the judge, by mode.
+ * @type {Object<string, string>}
+ */
+const JUDGE_PROMPTS = {
+    rank: "You compare answers written by different AI models to the same question. Rank them from best to worst " +
+        "by accuracy, completeness and directness; an answer that refuses or evades the question ranks last.\n" +
+        "Reply with a first line `RANKING: ` followed by the answer numbers separated by commas, best first, " +
+        "then one short sentence per answer explaining its rank.",
+    merge: "You combine answers written by different AI models to the same question into a single answer. Keep what " +
+        "is accurate and complete in each, drop repetitions and refusals, and resolve contradictions in favour of " +
+        "the best supported claim.\n" +
+        "Reply with the merged answer only, in Markdown, in the language of the question.",
+};
+
+
+/**
+ * Loads the multi-answer settings.
+ *
+ * @return {Promise<{enabled: boolean, profileIds: string[], judge: string, judgeProfileId: (string|null)}>}
+ *         Resolves with the settings, or their defaults.
+ */
+function loadMultiAnswerSettings() {
+    return chrome.storage.local.get(["multiAnswer"])
+        .then((result) => ({...DEFAULT_MULTI_ANSWER_SETTINGS, ...result.multiAnswer}));
+}
+
+
+/**
+ * Builds the message asking the judge about the answers.
+ *
+ * @param {string} question - The user's question.
+ * @param {Array<{provider: string, content: string}>} answers - The answers to judge, numbered from 1 in this order.
+ * @return {string} The message.
+ */
+function buildJudgeMessage(question, answers) {
+    const parts = answers.map((answer, index) => {
+        const content = answer.content.length > MAX_JUDGED_ANSWER_LENGTH
+            ? `${answer.content.slice(0, MAX_JUDGED_ANSWER_LENGTH)}\n[…]`
+            : answer.content;
+        return `Answer ${index + 1} (${answer.provider}):\n${content}`;
+    });
+    return [`Question:\n${question}`, ...parts].join("\n\n---\n\n");
+}
+
+
+/**
+ * Reads the ranking returned by the judge.
+ * Answers the judge forgot are ranked last, in their original order.
+ *
+ * @param {string} text - The reply of the judge.
+ * @param {number} count - The number of judged answers.
+ * @return {{ranking: number[], notes: string}|null} The positions of the answers in the judged list, best first,
+ *         and the explanations of the judge, or null if the reply holds no ranking.
+ */
+function parseJudgeRanking(text, count) {
+    const match = text.match(/RANKING:[ \t]*([\d ,>\t]+)/i);
+    if (!match) return null;
+
+    const ranking = [];
+    match[1].split(/\D+/).map((number) => parseInt(number, 10) - 1).forEach((position) => {
+        if (position >= 0 && position < count && !ranking.includes(position)) ranking.push(position);
+    });
+    if (!ranking.length) return null;
+
+    for (let position = 0; position < count; position++) {
+        if (!ranking.includes(position)) ranking.push(position);
+    }
+    return {ranking, notes: text.slice(match.index + match[0].length).trim()};
+}
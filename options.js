@@ -1,36 +1,816 @@
-// This script allows the user to save an OpenAI API key into Chrome's local storage
-// and automatically loads it into an input field when the page is opened.
+// This script allows the user to manage named provider profiles – provider, API key, model, base URL and
+// prompt template – saved into Chrome's local storage, manage the prompt templates, as well as tune the censorship classifier rules,
+// the timeout of external requests, the profiles of the multi-answer mode and its judge, the outage failover and
+// the retention of the chat history, and export the stored chats.
+// The saved settings are automatically loaded into the forms when the page is opened.
+
+const profileSelect = document.getElementById("profileSelect");
+const profileNameInput = document.getElementById("profileName");
+const providerSelect = document.getElementById("provider");
+const apiKeyInput = document.getElementById("apiKey");
+const modelInput = document.getElementById("model");
+const baseUrlInput = document.getElementById("baseUrl");
+const promptTemplateSelect = document.getElementById("promptTemplate");
+const contextBudgetInput = document.getElementById("contextBudget");
+const reasoningBudgetInput = document.getElementById("reasoningBudget");
+const defaultProfileInput = document.getElementById("defaultProfile");
+const modelsStatus = document.getElementById("modelsStatus");
+const priceStatus = document.getElementById("priceStatus");
+
+
+/**
+ * The profiles as loaded by `loadProfiles()`, and the id of the profile shown in the form.
+ */
+let profileSettings = {profiles: [], defaultProfileId: null, chatProfiles: {}};
+let currentProfileId = null;
+
+
+/**
+ * Updates the placeholders of the model and base URL fields with the defaults
+ * of the currently selected provider, so empty fields show what will be used.
+ *
+ * @return {void} This function does not return a value.
+ */
+function updateProviderHints() {
+    const provider = getProvider(providerSelect.value);
+    modelInput.placeholder = provider.defaultModel || "Enter the model name";
+    baseUrlInput.placeholder = provider.defaultBaseUrl || "e.g. http://localhost:1234/v1";
+    apiKeyInput.placeholder = provider.requiresKey ? "Enter your API Key" : "Optional";
+    updatePriceHint();
+}
+
+
+/**
+ * Warns when the model of the form is missing from the price table while a spending cap is set:
+ * the cap cannot count its calls, so automatic replacements skip the profile.
+ *
+ * @return {void} This function does not return a value.
+ */
+function updatePriceHint() {
+    const provider = providerSelect.value;
+    const model = modelInput.value.trim() || getProvider(provider).defaultModel || "";
+
+    loadMeteringSettings().then((settings) => {
+        const priced = hasModelPrice(parsePriceTable(settings.priceTable).prices, provider, model);
+        priceStatus.textContent = settings.monthlyCap && model && !priced
+            ? `⚠️ ${model} is unpriced, the spending cap is not enforced for it: automatic replacements skip this profile. ` +
+                "Add the model to the price table on the usage page."
+            : "";
+    });
+}
+
+
+/**
+ * Asks the user for access to a custom base URL, which is required for the service worker
+ * to call servers outside of the hosts declared in the manifest.
+ *
+ * @param {string} baseUrl - The base URL entered by the user.
+ * @param {function(boolean): void} callback - Called with whether the access was granted.
+ * @return {void} This function does not return a value.
+ */
+function requestBaseUrlPermission(baseUrl, callback) {
+    let origin;
+    try {
+        origin = new URL(baseUrl).origin;
+    } catch (error) {
+        callback(false);
+        return;
+    }
+    chrome.permissions.request({origins: [`${origin}/*`]}, callback);
+}
+
+
+/**
+ * Returns the profile shown in the form, as last saved.
+ *
+ * @return {Object} The current profile.
+ */
+function getCurrentProfile() {
+    return profileSettings.profiles.find((profile) => profile.id === currentProfileId) || profileSettings.profiles[0];
+}
+
+
+/**
+ * Fills the profile list, marking the default profile, and shows the current profile in the form.
+ *
+ * @return {void} This function does not return a value.
+ */
+function renderProfiles() {
+    profileSelect.replaceChildren(...profileSettings.profiles.map((profile) => {
+        const option = document.createElement("option");
+        option.value = profile.id;
+        option.textContent = profile.id === profileSettings.defaultProfileId ? `${profile.name} (default)` : profile.name;
+        return option;
+    }));
+
+    const profile = getCurrentProfile();
+    currentProfileId = profile.id;
+    profileSelect.value = profile.id;
+
+    profileNameInput.value = profile.name;
+    providerSelect.value = PROVIDERS[profile.provider] ? profile.provider : DEFAULT_PROVIDER_ID;
+    apiKeyInput.value = profile.apiKey || "";
+    modelInput.value = profile.model || "";
+    baseUrlInput.value = profile.baseUrl || "";
+    promptTemplateSelect.value = profile.promptTemplateId || DEFAULT_PROMPT_TEMPLATE_ID;
+    contextBudgetInput.value = profile.contextBudget || DEFAULT_CONTEXT_BUDGET;
+    reasoningBudgetInput.value = profile.reasoningBudget || 0;
+    defaultProfileInput.checked = profile.id === profileSettings.defaultProfileId;
+    modelsStatus.textContent = "";
+    updateProviderHints();
+}
+
+
+/**
+ * Reads the profile form.
+ *
+ * @return {Object} The edited profile, keeping the id of the current profile.
+ */
+function readProfileForm() {
+    return {
+        id: currentProfileId,
+        name: profileNameInput.value.trim() || "Untitled",
+        provider: providerSelect.value,
+        apiKey: apiKeyInput.value.trim(),
+        model: modelInput.value.trim(),
+        baseUrl: baseUrlInput.value.trim(),
+        promptTemplateId: promptTemplateSelect.value || DEFAULT_PROMPT_TEMPLATE_ID,
+        contextBudget: Math.max(500, parseInt(contextBudgetInput.value, 10) || DEFAULT_CONTEXT_BUDGET),
+        reasoningBudget: Math.max(0, parseInt(reasoningBudgetInput.value, 10) || 0),
+    };
+}
+
+
+/**
+ * Writes the profiles to Chrome's local storage and refreshes the profile and multi-answer forms.
+ * Overrides pointing to deleted profiles are dropped on the way.
+ *
+ * @return {Promise<void>} Resolves once the profiles are saved.
+ */
+function storeProfiles() {
+    const ids = profileSettings.profiles.map((profile) => profile.id);
+    const chatProfiles = Object.fromEntries(Object.entries(profileSettings.chatProfiles)
+        .filter(([, profileId]) => ids.includes(profileId)));
+    profileSettings.chatProfiles = chatProfiles;
+
+    return chrome.storage.local.set({
+        profiles: profileSettings.profiles,
+        defaultProfileId: profileSettings.defaultProfileId,
+        chatProfiles,
+    }).then(() => {
+        renderProfiles();
+        renderMultiAnswer();
+    });
+}
+
+
+/**
+ * Adds a profile and shows it in the form.
+ *
+ * @param {Object} profile - The profile to add, without an id.
+ * @return {void} This function does not return a value.
+ */
+function addProfile(profile) {
+    const added = {...profile, id: createProfileId()};
+    profileSettings.profiles.push(added);
+    currentProfileId = added.id;
+    storeProfiles();
+}
+
+
+Object.entries(PROVIDERS).forEach(([id, provider]) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = provider.label;
+    providerSelect.appendChild(option);
+});
+providerSelect.addEventListener("change", updateProviderHints);
+modelInput.addEventListener("input", updatePriceHint);
+
+profileSelect.addEventListener("change", () => {
+    currentProfileId = profileSelect.value;
+    renderProfiles();
+});
+
+
+document.getElementById("newProfile").addEventListener("click", function () {
+    addProfile({
+        name: "New profile", provider: DEFAULT_PROVIDER_ID, apiKey: "", model: "", baseUrl: "",
+        promptTemplateId: DEFAULT_PROMPT_TEMPLATE_ID, contextBudget: DEFAULT_CONTEXT_BUDGET, reasoningBudget: 0,
+    });
+});
+
+
+document.getElementById("duplicateProfile").addEventListener("click", function () {
+    const profile = getCurrentProfile();
+    addProfile({...profile, name: `${profile.name} (copy)`});
+});
+
+
+document.getElementById("deleteProfile").addEventListener("click", function () {
+    if (profileSettings.profiles.length < 2) {
+        alert("At least one profile is required.");
+        return;
+    }
+
+    const profile = getCurrentProfile();
+    if (!confirm(`Delete the "${profile.name}" profile?`)) return;
+
+    profileSettings.profiles = profileSettings.profiles.filter((candidate) => candidate.id !== profile.id);
+    if (profileSettings.defaultProfileId === profile.id) profileSettings.defaultProfileId = profileSettings.profiles[0].id;
+    currentProfileId = profileSettings.defaultProfileId;
+    storeProfiles();
+});
+
+
+document.getElementById("loadModels").addEventListener("click", function () {
+    const profile = resolveProfile(readProfileForm());
+    if (!profile.baseUrl) {
+        modelsStatus.textContent = `No base URL set for ${getProvider(profile.provider).label}.`;
+        return;
+    }
+
+    const load = () => {
+        modelsStatus.textContent = "Loading models...";
+        fetchModels(profile).then((models) => {
+            document.getElementById("modelList").replaceChildren(...models.map((model) => {
+                const option = document.createElement("option");
+                option.value = model;
+                return option;
+            }));
+            modelsStatus.textContent = `${models.length} model(s) available, pick one in the Model field.`;
+        }).catch((error) => {
+            modelsStatus.textContent = `⚠️ Unable to list the models: ${error.message}`;
+        });
+    };
+
+    // The permission prompt must be opened from the click handler itself
+    if (baseUrlInput.value.trim()) {
+        requestBaseUrlPermission(profile.baseUrl, (granted) => {
+            if (granted) {
+                load();
+            } else {
+                modelsStatus.textContent = "Access to the base URL was not granted.";
+            }
+        });
+    } else {
+        load();
+    }
+});
+
+
 document.getElementById("saveKey").addEventListener("click", function () {
-    let apiKey = document.getElementById("apiKey").value;
-    let model = document.getElementById("model").value;
-    chrome.storage.local.set({ openai_api_key: apiKey }, function () {});
-    chrome.storage.local.set({ openai_model: model }, function () {});
-        alert("OpenAI settings saved successfully.");
+    const profile = readProfileForm();
+
+    const problem = validateProfile(resolveProfile(profile));
+    if (problem) {
+        alert(problem);
+        return;
+    }
+
+    const save = () => {
+        profileSettings.profiles = profileSettings.profiles.map((candidate) => candidate.id === profile.id ? profile : candidate);
+        if (defaultProfileInput.checked) profileSettings.defaultProfileId = profile.id;
+
+        storeProfiles().then(() => alert(`Profile "${profile.name}" saved successfully.`));
+    };
+
+    // The permission prompt must be opened from the click handler itself
+    if (profile.baseUrl) {
+        requestBaseUrlPermission(profile.baseUrl, (granted) => {
+            if (granted) {
+                save();
+            } else {
+                alert("Access to the base URL was not granted.");
+            }
+        });
+    } else {
+        save();
+    }
+});
+
+
+const templateSelect = document.getElementById("templateSelect");
+const templateNameInput = document.getElementById("templateName");
+const templateTextInput = document.getElementById("templateText");
+
+
+/**
+ * The user's prompt templates, and the id of the template shown in the form.
+ */
+let customTemplates = [];
+let currentTemplateId = DEFAULT_PROMPT_TEMPLATE_ID;
+
+
+/**
+ * Fills the template lists of the template form and of the profile form, and shows the current template.
+ * Built-in templates are displayed read-only.
+ *
+ * @return {void} This function does not return a value.
+ */
+function renderTemplates() {
+    const templates = [...BUILT_IN_PROMPT_TEMPLATES, ...customTemplates];
+    const createOptions = () => templates.map((template) => {
+        const option = document.createElement("option");
+        option.value = template.id;
+        option.textContent = template.builtIn ? `${template.name} (built-in)` : template.name;
+        return option;
+    });
+
+    const profileTemplateId = promptTemplateSelect.value;
+    promptTemplateSelect.replaceChildren(...createOptions());
+    promptTemplateSelect.value = findPromptTemplate(templates, profileTemplateId).id;
+
+    const template = findPromptTemplate(templates, currentTemplateId);
+    currentTemplateId = template.id;
+    templateSelect.replaceChildren(...createOptions());
+    templateSelect.value = template.id;
+
+    templateNameInput.value = template.name;
+    templateTextInput.value = template.text;
+    templateNameInput.readOnly = templateTextInput.readOnly = !!template.builtIn;
+    document.getElementById("saveTemplate").disabled = !!template.builtIn;
+    document.getElementById("deleteTemplate").disabled = !!template.builtIn;
+}
+
+
+/**
+ * Writes the user's templates to Chrome's local storage and refreshes the forms.
+ *
+ * @return {Promise<void>} Resolves once the templates are saved.
+ */
+function storeTemplates() {
+    return chrome.storage.local.set({promptTemplates: customTemplates}).then(renderTemplates);
+}
+
+
+templateSelect.addEventListener("change", () => {
+    currentTemplateId = templateSelect.value;
+    renderTemplates();
+});
+
+
+document.getElementById("newTemplate").addEventListener("click", function () {
+    const template = {id: createPromptTemplateId(), name: "New template", text: "Answer the user's question factually."};
+    customTemplates.push(template);
+    currentTemplateId = template.id;
+    storeTemplates();
+});
+
+
+document.getElementById("duplicateTemplate").addEventListener("click", function () {
+    const source = findPromptTemplate([...BUILT_IN_PROMPT_TEMPLATES, ...customTemplates], currentTemplateId);
+    const template = {id: createPromptTemplateId(), name: `${source.name} (copy)`, text: source.text};
+    customTemplates.push(template);
+    currentTemplateId = template.id;
+    storeTemplates();
+});
+
+
+document.getElementById("deleteTemplate").addEventListener("click", function () {
+    const template = customTemplates.find((candidate) => candidate.id === currentTemplateId);
+    if (!template || !confirm(`Delete the "${template.name}" template? Profiles using it will use the default one.`)) return;
+
+    customTemplates = customTemplates.filter((candidate) => candidate.id !== template.id);
+    currentTemplateId = DEFAULT_PROMPT_TEMPLATE_ID;
+    storeTemplates();
+});
+
+
+document.getElementById("saveTemplate").addEventListener("click", function () {
+    const text = templateTextInput.value.trim();
+    if (!text) {
+        alert("The system prompt cannot be empty.");
+        return;
+    }
+
+    const name = templateNameInput.value.trim() || "Untitled";
+    customTemplates = customTemplates.map((template) => template.id === currentTemplateId ? {...template, name, text} : template);
+    storeTemplates().then(() => alert(`Template "${name}" saved successfully.`));
+});
+
+
+document.getElementById("exportTemplates").addEventListener("click", function () {
+    const file = new Blob([JSON.stringify({templates: customTemplates.map(({name, text}) => ({name, text}))}, null, 2)],
+        {type: "application/json"});
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(file);
+    link.download = "deepseek-bypass-templates.json";
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+
+const importTemplatesFile = document.getElementById("importTemplatesFile");
+document.getElementById("importTemplates").addEventListener("click", () => importTemplatesFile.click());
+importTemplatesFile.addEventListener("change", function () {
+    const file = importTemplatesFile.files[0];
+    importTemplatesFile.value = "";
+    if (!file) return;
+
+    file.text().then((text) => {
+        const imported = parsePromptTemplateFile(JSON.parse(text));
+        customTemplates.push(...imported);
+        return storeTemplates().then(() => alert(`${imported.length} template(s) imported successfully.`));
+    }).catch((error) => alert(`Unable to import the templates: ${error.message}`));
+});
+
+
+// Loads the saved profiles and templates when the page is opened. Profiles are loaded first,
+// since migrating the legacy profiles may create templates
+loadProfiles().then((settings) => {
+    profileSettings = settings;
+    currentProfileId = settings.defaultProfileId;
+    return chrome.storage.local.get(["promptTemplates"]);
+}).then((result) => {
+    customTemplates = result.promptTemplates || [];
+    renderTemplates();
+    renderProfiles();
+    return multiAnswerLoaded;
+}).then(renderMultiAnswer);
+
+
+const thresholdInput = document.getElementById("threshold");
+const rulePacksContainer = document.getElementById("rulePacks");
+const customRulesInput = document.getElementById("customRules");
+const sampleAnswerInput = document.getElementById("sampleAnswer");
+const classificationOutput = document.getElementById("classification");
+
+
+/**
+ * Reads the censorship classifier settings from the form.
+ *
+ * @return {{threshold: number, packs: string[], customRules: string}} The settings passed to `classifyResponse()`.
+ */
+function readClassifierSettings() {
+    const threshold = parseFloat(thresholdInput.value);
+    return {
+        threshold: isNaN(threshold) ? DEFAULT_CLASSIFIER_THRESHOLD : threshold,
+        packs: Array.from(rulePacksContainer.querySelectorAll("input:checked")).map((input) => input.value),
+        customRules: customRulesInput.value,
+    };
+}
+
+
+/**
+ * Scores the sample answer with the settings currently shown in the form, and reports
+ * invalid custom rules, so rule changes can be checked before they are saved.
+ *
+ * @return {void} This function does not return a value.
+ */
+function updateClassificationPreview() {
+    const settings = readClassifierSettings();
+    const {errors} = parseCustomRules(settings.customRules);
+    const lines = errors.map((error) => `⚠️ ${error}`);
+
+    if (sampleAnswerInput.value.trim()) {
+        const verdict = classifyResponse(sampleAnswerInput.value, settings);
+        lines.push(`${verdict.censored ? "🚫 Censored" : "✅ Not censored"} — score ${verdict.score} (${verdict.language})`);
+        verdict.reasons.forEach((reason) => lines.push(`  ${reason.rule}: "${reason.match}" +${reason.weight}`));
+    }
+
+    classificationOutput.textContent = lines.join("\n");
+}
+
+
+Object.keys(CLASSIFIER_RULE_PACKS).forEach((pack) => {
+    const label = document.createElement("label");
+    label.style = "margin-right: 20px;";
+    label.innerHTML = `<input type="checkbox" class="filled-in" value="${pack}"><span>${pack}</span>`;
+    rulePacksContainer.appendChild(label);
+});
+
+[thresholdInput, rulePacksContainer, customRulesInput, sampleAnswerInput].forEach((element) => {
+    element.addEventListener("input", updateClassificationPreview);
+    element.addEventListener("change", updateClassificationPreview);
+});
+
+
+document.getElementById("saveClassifier").addEventListener("click", function () {
+    const classifier = readClassifierSettings();
+    const {errors} = parseCustomRules(classifier.customRules);
+    if (errors.length) {
+        alert(`Please fix the custom rules first:\n${errors.join("\n")}`);
+        return;
+    }
+
+    chrome.storage.local.set({classifier}, function () {
+        alert("Censorship detection settings saved successfully.");
+    });
+});
+
+
+// Loads the saved classifier settings, enabling every rule pack by default
+chrome.storage.local.get(["classifier"], function (result) {
+    const classifier = result.classifier || {};
+    const packs = classifier.packs || Object.keys(CLASSIFIER_RULE_PACKS);
+
+    thresholdInput.value = typeof classifier.threshold === "number" ? classifier.threshold : DEFAULT_CLASSIFIER_THRESHOLD;
+    rulePacksContainer.querySelectorAll("input").forEach((input) => {
+        input.checked = packs.includes(input.value);
+    });
+    customRulesInput.value = classifier.customRules || "";
+    updateClassificationPreview();
+});
+
+
+/**
+ * The external request settings used until they are saved. Keep in sync with background.js.
+ */
+const DEFAULT_REQUEST_SETTINGS = {timeout: 60, includeReasoning: false, includeSearch: true};
+
+const requestTimeoutInput = document.getElementById("requestTimeout");
+const includeReasoningInput = document.getElementById("includeReasoning");
+const includeSearchInput = document.getElementById("includeSearch");
+
+
+document.getElementById("saveRequests").addEventListener("click", function () {
+    const timeout = parseInt(requestTimeoutInput.value, 10);
+    const requests = {
+        timeout: isNaN(timeout) ? DEFAULT_REQUEST_SETTINGS.timeout : Math.max(0, timeout),
+        includeReasoning: includeReasoningInput.checked,
+        includeSearch: includeSearchInput.checked,
+    };
+
+    chrome.storage.local.set({requests}, function () {
+        alert("Request settings saved successfully.");
+    });
+});
+
+
+// Loads the saved external request settings
+chrome.storage.local.get(["requests"], function (result) {
+    const requests = {...DEFAULT_REQUEST_SETTINGS, ...result.requests};
+
+    requestTimeoutInput.value = requests.timeout;
+    includeReasoningInput.checked = requests.includeReasoning;
+    includeSearchInput.checked = requests.includeSearch;
+});
+
+
+const multiAnswerEnabledInput = document.getElementById("multiAnswerEnabled");
+const multiAnswerProfilesContainer = document.getElementById("multiAnswerProfiles");
+const judgeModeSelect = document.getElementById("judgeMode");
+const judgeProfileSelect = document.getElementById("judgeProfile");
+
+/**
+ * The multi-answer settings shown in the form, kept while the profile list changes.
+ * @type {{enabled: boolean, profileIds: string[], judge: string, judgeProfileId: (string|null)}}
+ */
+let multiAnswerSettings = {...DEFAULT_MULTI_ANSWER_SETTINGS};
+
+
+/**
+ * Fills the multi-answer form from `multiAnswerSettings`, listing the current profiles.
+ *
+ * @return {void} This function does not return a value.
+ */
+function renderMultiAnswer() {
+    multiAnswerEnabledInput.checked = multiAnswerSettings.enabled;
+
+    multiAnswerProfilesContainer.replaceChildren(...profileSettings.profiles.map((profile) => {
+        const label = document.createElement("label");
+        label.style = "margin-right: 20px;";
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.className = "filled-in";
+        input.value = profile.id;
+        input.checked = multiAnswerSettings.profileIds.includes(profile.id);
+        const name = document.createElement("span");
+        name.textContent = profile.name;
+        label.append(input, name);
+        return label;
+    }));
+
+    judgeModeSelect.value = multiAnswerSettings.judge;
+    judgeProfileSelect.replaceChildren(...profileSettings.profiles.map((profile) => {
+        const option = document.createElement("option");
+        option.value = profile.id;
+        option.textContent = profile.name;
+        return option;
+    }));
+    judgeProfileSelect.value = multiAnswerSettings.judgeProfileId || profileSettings.defaultProfileId;
+    judgeProfileSelect.disabled = multiAnswerSettings.judge === "none";
+}
+
+
+/**
+ * Reads the multi-answer form.
+ *
+ * @return {{enabled: boolean, profileIds: string[], judge: string, judgeProfileId: (string|null)}} The settings.
+ */
+function readMultiAnswerForm() {
+    return {
+        enabled: multiAnswerEnabledInput.checked,
+        profileIds: Array.from(multiAnswerProfilesContainer.querySelectorAll("input:checked")).map((input) => input.value),
+        judge: judgeModeSelect.value,
+        judgeProfileId: judgeProfileSelect.value || null,
+    };
+}
+
+
+Object.entries(JUDGE_MODES).forEach(([mode, label]) => {
+    const option = document.createElement("option");
+    option.value = mode;
+    option.textContent = label;
+    judgeModeSelect.appendChild(option);
+});
+
+[multiAnswerEnabledInput, multiAnswerProfilesContainer, judgeModeSelect, judgeProfileSelect].forEach((element) => {
+    element.addEventListener("change", () => {
+        multiAnswerSettings = readMultiAnswerForm();
+        judgeProfileSelect.disabled = multiAnswerSettings.judge === "none";
+    });
+});
+
+
+document.getElementById("saveMultiAnswer").addEventListener("click", function () {
+    const multiAnswer = readMultiAnswerForm();
+    if (multiAnswer.enabled && multiAnswer.profileIds.length < 2) {
+        alert("Check at least two profiles to answer with several profiles.");
+        return;
+    }
+
+    chrome.storage.local.set({multiAnswer}, function () {
+        multiAnswerSettings = multiAnswer;
+        alert("Multi-answer settings saved successfully.");
+    });
+});
+
+
+// Loads the saved multi-answer settings, the form is filled once the profiles are loaded
+const multiAnswerLoaded = loadMultiAnswerSettings().then((settings) => {
+    multiAnswerSettings = settings;
+});
+
+
+const outageRetriesInput = document.getElementById("outageRetries");
+const outageBaseDelayInput = document.getElementById("outageBaseDelay");
+const outageFallbackInput = document.getElementById("outageFallback");
+
+
+document.getElementById("saveOutage").addEventListener("click", function () {
+    const retries = parseInt(outageRetriesInput.value, 10);
+    const baseDelay = parseInt(outageBaseDelayInput.value, 10);
+    const outage = {
+        retries: isNaN(retries) ? DEFAULT_OUTAGE_SETTINGS.retries : Math.min(MAX_OUTAGE_RETRIES, Math.max(0, retries)),
+        baseDelay: isNaN(baseDelay) ? DEFAULT_OUTAGE_SETTINGS.baseDelay : Math.max(0, baseDelay),
+        fallback: outageFallbackInput.checked,
+    };
+
+    chrome.storage.local.set({outage}, function () {
+        alert("Outage settings saved successfully.");
+    });
+});
+
+
+// Loads the saved outage settings and the event counters kept by the service worker
+chrome.storage.local.get(["outage", "stats"], function (result) {
+    const outage = {...DEFAULT_OUTAGE_SETTINGS, ...result.outage};
+    const stats = result.stats || {};
+
+    outageRetriesInput.value = outage.retries;
+    outageBaseDelayInput.value = outage.baseDelay;
+    outageFallbackInput.checked = outage.fallback;
+    document.getElementById("stats").textContent =
+        `Censorship detections: ${stats.censorship || 0} · Manual requests: ${stats.manual || 0} · Outages: ${stats.outage || 0}`;
+});
+
+
+const retentionMaxAgeInput = document.getElementById("retentionMaxAgeDays");
+const retentionMaxSizeInput = document.getElementById("retentionMaxSizeMb");
+
+
+/**
+ * Shows how many chats the history holds and how much of the size limit they use,
+ * next to the storage used by the extension as a whole.
+ *
+ * @return {void} This function does not return a value.
+ */
+function updateHistoryUsage() {
+    Promise.all([getChatIndex(), chrome.storage.local.getBytesInUse(null)]).then(([chatIndex, bytesInUse]) => {
+        const chats = Object.values(chatIndex);
+        const size = chats.reduce((total, chat) => total + chat.size, 0);
+        document.getElementById("historyUsage").textContent =
+            `${chats.length} chat(s) stored · ${(size / 1024 / 1024).toFixed(2)} MB ` +
+            `(${(bytesInUse / 1024 / 1024).toFixed(2)} MB with the usage log and the settings)`;
+    });
+}
+
+
+document.getElementById("saveRetention").addEventListener("click", function () {
+    const maxAgeDays = parseInt(retentionMaxAgeInput.value, 10);
+    const maxSizeMb = parseFloat(retentionMaxSizeInput.value);
+    const retention = {
+        maxAgeDays: isNaN(maxAgeDays) ? DEFAULT_RETENTION.maxAgeDays : Math.max(1, maxAgeDays),
+        maxSizeMb: isNaN(maxSizeMb) ? DEFAULT_RETENTION.maxSizeMb : Math.min(MAX_RETENTION_SIZE_MB, Math.max(1, maxSizeMb)),
+    };
+
+    // The new policy is applied by the service worker the next time a chat is saved
+    chrome.storage.local.set({retention}, function () {
+        alert("History settings saved successfully.");
+    });
+});
+
+
+// The records are deleted by the service worker, which performs every write of the history
+document.getElementById("deleteHistory").addEventListener("click", function () {
+    if (!confirm("Delete the questions, replacement answers and follow-up prompts of every stored chat?")) return;
+
+    getChatIndex()
+        .then((chatIndex) => Promise.all(Object.keys(chatIndex).map((chatId) => chrome.runtime.sendMessage({action: "history.delete", chatId}))))
+        .then(updateHistoryUsage);
+});
+
+
+// Loads the saved retention policy and the current size of the history
+chrome.storage.local.get(["retention"], function (result) {
+    const retention = {...DEFAULT_RETENTION, ...result.retention};
+
+    retentionMaxAgeInput.value = retention.maxAgeDays;
+    retentionMaxSizeInput.value = retention.maxSizeMb;
+    updateHistoryUsage();
+});
+
+
+const exportFormatSelect = document.getElementById("exportFormat");
+Object.entries(EXPORT_FORMATS).forEach(([format, type]) => {
+    const option = document.createElement("option");
+    option.value = format;
+    option.textContent = type.label;
+    exportFormatSelect.appendChild(option);
 });
 
 
 /**
- * The default identifier for the OpenAI model used in the application.
+ * Loads the records of the stored chats, most recently updated first.
  *
- * This variable specifies the model name to be used as the default model
- * for OpenAI API interactions. By default, it is set to 'gpt-3.5-turbo',
- * which indicates the version of the language model.
+ * @return {Promise<Array<Object>>} Resolves with the chat records.
+ */
+function loadChatRecords() {
+    return getChatIndex().then((chatIndex) => {
+        const chatIds = Object.keys(chatIndex).sort((a, b) => chatIndex[b].updatedAt - chatIndex[a].updatedAt);
+        return chrome.storage.local.get(chatIds.map(getChatKey))
+            .then((result) => chatIds.map((chatId) => result[getChatKey(chatId)]).filter(Boolean));
+    });
+}
+
+
+/**
+ * Builds the export of a stored chat. A DeepSeek tab showing the chat is asked first, since only the page knows
+ * the whole conversation; without one, the stored record is exported.
  *
- * Modify this variable if a different model is intended to be used as the default.
+ * @param {Object} record - The stored record of the chat.
+ * @return {Promise<Object>} Resolves with the chat returned by `buildChatExport()`.
  */
-const DEFAULT_OPENAI_MODEL = 'gpt-3.5-turbo';
+function exportStoredChat(record) {
+    return chrome.tabs.query({url: "https://chat.deepseek.com/*"})
+        .then((tabs) => Promise.all(tabs.map((tab) => chrome.tabs.sendMessage(tab.id, {action: "export.chat", chatId: record.chatId})
+            .catch(() => null))))
+        .catch(() => [])
+        .then((answers) => answers.find(Boolean) || buildChatExport(record.chatId, record));
+}
 
 
 /**
- * A constant variable used to store the default OpenAI API key.
- * This value may be overridden if an alternative API key is provided at runtime.
- * The variable is initialized as an empty string and should be updated with a
- * valid API key to enable authorized interaction with OpenAI services.
+ * Lists the stored chats, each with a link exporting it in the selected format.
+ *
+ * @return {void} This function does not return a value.
  */
-const DEFAULT_OPENAI_API_KEY = '';
+function renderExportChatList() {
+    loadChatRecords().then((records) => {
+        document.getElementById("exportChatList").replaceChildren(...records.map((record) => {
+            const row = document.createElement("p");
+            row.classList.add("hint");
+
+            const link = document.createElement("a");
+            link.href = "#";
+            link.textContent = "Export";
+            link.addEventListener("click", (event) => {
+                event.preventDefault();
+                exportStoredChat(record).then((chat) => downloadExportFile(createExportFile([chat], exportFormatSelect.value)));
+            });
+
+            const replaced = Object.keys(record.replacements).length;
+            row.append(`${record.title || record.chatId} · ${new Date(record.updatedAt).toLocaleDateString()} · ` +
+                `${replaced} replaced answer(s) · `, link);
+            return row;
+        }));
+    });
+}
 
-// Loads the saved API key and OpenAI model when the page is opened
-chrome.storage.local.get(["openai_api_key", "openai_model"], function (result) {
-    document.getElementById("apiKey").value = result.openai_api_key || DEFAULT_OPENAI_API_KEY;
-    document.getElementById("model").value = result.openai_model || DEFAULT_OPENAI_MODEL;
+
+document.getElementById("exportAllChats").addEventListener("click", function () {
+    loadChatRecords()
+        .then((records) => Promise.all(records.map(exportStoredChat)))
+        .then((chats) => {
+            if (!chats.length) {
+                alert("The history holds no chat to export.");
+                return;
+            }
+            downloadExportFile(createExportFile(chats, exportFormatSelect.value));
+        });
 });
+
+
+renderExportChatList();
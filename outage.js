@@ -0,0 +1,46 @@
+/**
+ * @file outage.js
+ *
+ * This script declares the outage failover settings. When DeepSeek answers "The server is busy" or cannot be reached,
+ * the content script first has the page try again, waiting twice as long before every retry, and the external
+ * provider only answers once every retry failed.
+ *
+ * A retry clicks DeepSeek's own regenerate button instead of replaying the intercepted request: DeepSeek protects
+ * its completion endpoints with a single-use proof-of-work header, which only the page computes for every request
+ * it sends.
+ *
+ * Storage layout:
+ * - `outage` – the `{retries, baseDelay, fallback}` settings, merged over `DEFAULT_OUTAGE_SETTINGS` when read:
+ *   - `retries` – how many times the page is asked to try again;
+ *   - `baseDelay` – the delay in milliseconds before the first retry, doubled for every next one;
+ *   - `fallback` – whether the external provider answers once every retry failed.
+ *
+ * The content script runs the retries, the service worker answers once they failed, and the options page edits
+ * the settings, so all three load this script.
+ */
+
+
+/**
+ * The outage failover settings used until the options page saves its own.
+ * @type {{retries: number, baseDelay: number, fallback: boolean}}
+ */
+const DEFAULT_OUTAGE_SETTINGS = {retries: 2, baseDelay: 2000, fallback: true};
+
+
+/**
+ * The largest number of retries the options page accepts.
+ * @type {number}
+ */
+const MAX_OUTAGE_RETRIES = 10;
+
+
+/**
+ * Computes the delay before a retry with an exponential backoff.
+ *
+ * @param {{baseDelay: number}} settings - The outage failover settings.
+ * @param {number} attempt - The number of retries already made.
+ * @return {number} The delay in milliseconds.
+ */
+function getOutageRetryDelay(settings, attempt) {
+    return settings.baseDelay * Math.pow(2, attempt);
+}
@@ -0,0 +1,134 @@
+// This script runs the toolbar popup: it switches the extension on and off or to manual-only mode, picks the profile
+// answering in the chat of the active tab, shows the detections and replacements of that chat, and asks the tab
+// to re-answer its last message with the external model.
+
+const enabledInput = document.getElementById("enabled");
+const modeInputs = Array.from(document.querySelectorAll("input[name='mode']"));
+const profileSelect = document.getElementById("profile");
+const reanswerButton = document.getElementById("reanswer");
+
+
+/**
+ * Extracts the DeepSeek chat session id from a tab URL.
+ *
+ * @param {string} [url] - The URL of the tab, undefined when the extension may not read it.
+ * @return {string|null} The chat id, or null if the tab does not show a DeepSeek chat.
+ */
+function getChatIdFromTabUrl(url) {
+    const match = (url || "").match(/^https:\/\/chat\.deepseek\.com\/.*\/chat\/s\/([a-f0-9-]+)/);
+    return match ? match[1] : null;
+}
+
+
+/**
+ * Saves the global switches from the form.
+ *
+ * @return {void} This function does not return a value.
+ */
+function saveBypassSettings() {
+    const mode = modeInputs.find((input) => input.checked);
+    const bypass = {enabled: enabledInput.checked, mode: mode ? mode.value : DEFAULT_BYPASS_SETTINGS.mode};
+
+    chrome.storage.local.set({bypass}, renderSwitches);
+}
+
+
+/**
+ * Enables the controls that only make sense while the extension is on.
+ *
+ * @return {void} This function does not return a value.
+ */
+function renderSwitches() {
+    modeInputs.forEach((input) => input.disabled = !enabledInput.checked);
+    reanswerButton.disabled = !enabledInput.checked || reanswerButton.dataset.tabId === undefined;
+}
+
+
+/**
+ * Fills the profile switcher. In a chat, picking a profile overrides the default one for that chat only,
+ * and picking the default profile removes the override; elsewhere, the picked profile becomes the default one.
+ *
+ * @param {string|null} chatId - The chat shown by the active tab.
+ * @return {void} This function does not return a value.
+ */
+function renderProfiles(chatId) {
+    chrome.runtime.sendMessage({action: "profiles.list", chatId}, (list) => {
+        if (!list) return;
+
+        const activeId = list.chatProfileId || list.defaultProfileId;
+        profileSelect.replaceChildren(...list.profiles.map((profile) => {
+            const option = document.createElement("option");
+            option.value = profile.id;
+            option.textContent = `${profile.name}${profile.id === list.defaultProfileId ? " (default)" : ""} — ${profile.label}`;
+            option.selected = profile.id === activeId;
+            return option;
+        }));
+
+        profileSelect.onchange = () => {
+            const message = chatId
+                ? {action: "profiles.setChatProfile", chatId, profileId: profileSelect.value === list.defaultProfileId ? null : profileSelect.value}
+                : {action: "profiles.setDefaultProfile", profileId: profileSelect.value};
+            chrome.runtime.sendMessage(message, () => renderProfiles(chatId));
+        };
+    });
+}
+
+
+/**
+ * Shows how many answers of the chat were found censored or unavailable, and how many the external model wrote.
+ *
+ * @param {string|null} chatId - The chat shown by the active tab.
+ * @return {void} This function does not return a value.
+ */
+function renderChatStats(chatId) {
+    const stats = document.getElementById("chatStats");
+    if (!chatId) {
+        stats.textContent = "Open a DeepSeek chat to see its detections and replacements.";
+        return;
+    }
+
+    chrome.runtime.sendMessage({action: "history.get", chatId}, (record) => {
+        const detections = (record && record.detections) || 0;
+        const replacements = record ? Object.keys(record.replacements).length : 0;
+        const followUps = (record && record.followUps) ? record.followUps.length : 0;
+        stats.textContent = `This chat: ${detections} detection(s) · ${replacements} replaced answer(s)` +
+            (followUps ? ` · ${followUps} follow-up(s)` : "");
+    });
+}
+
+
+enabledInput.addEventListener("change", saveBypassSettings);
+modeInputs.forEach((input) => input.addEventListener("change", saveBypassSettings));
+
+document.getElementById("openOptions").addEventListener("click", (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+});
+
+reanswerButton.addEventListener("click", function () {
+    const status = document.getElementById("reanswerStatus");
+    chrome.tabs.sendMessage(Number(reanswerButton.dataset.tabId), {action: "reanswer.last"}, (requested) => {
+        if (chrome.runtime.lastError || !requested) {
+            status.textContent = "⚠️ The page shows no answer to re-answer. Reload the tab if it was opened before the extension.";
+            return;
+        }
+        window.close();
+    });
+});
+
+
+// Loads the switches, then the state of the chat shown by the active tab
+chrome.storage.local.get(["bypass"], function (result) {
+    const bypass = {...DEFAULT_BYPASS_SETTINGS, ...result.bypass};
+    enabledInput.checked = bypass.enabled;
+    modeInputs.forEach((input) => input.checked = input.value === bypass.mode);
+
+    chrome.tabs.query({active: true, currentWindow: true}, ([tab]) => {
+        const chatId = tab ? getChatIdFromTabUrl(tab.url) : null;
+        if (chatId) reanswerButton.dataset.tabId = String(tab.id);
+
+        renderSwitches();
+        renderProfiles(chatId);
+        renderChatStats(chatId);
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * @file profiles.js
+ *
+ * This script implements the named provider profiles. A profile bundles everything needed to request a replacement
+ * answer – provider, API key, model, base URL and prompt template – so users can switch between, say, a cheap model
+ * for quick checks and a strong reasoning model for research.
+ *
+ * Storage layout:
+ * - `profiles` – the list of `{id, name, provider, apiKey, model, baseUrl, promptTemplateId, contextBudget, reasoningBudget}`
+ *   profiles, where `reasoningBudget` is the number of tokens thinking models may reason with (0 to disable);
+ * - `defaultProfileId` – the profile used unless a chat overrides it;
+ * - `chatProfiles` – `{[chatId]: profileId}`, the per-chat overrides picked from the external AI button.
+ *
+ * Content scripts and the popup list profiles and pick overrides through the `profiles.*` messages handled by the
+ * service worker, whose answers leave the API keys out. That only keeps the keys out of the messages: the keys are
+ * stored in `chrome.storage.local`, which every script of the extension, content scripts included, can read.
+ *
+ * The options page loads it too, to edit the profiles and pick the default one.
+ */
+
+
+/**
+ * The default model identifier for OpenAI's API requests.
+ *
+ * This variable defines the specific language model to be used when interacting
+ * with the OpenAI API. It is set to 'gpt-3.5-turbo' by default, which is a
+ * highly capable model designed for a wide range of natural language processing tasks.
+ *
+ * Use this constant to determine which OpenAI model is selected by default
+ * when no specific model configuration is provided.
+ */
+const DEFAULT_OPENAI_MODEL = 'gpt-3.5-turbo';
+
+
+/**
+ * The default API key used for authenticating requests to the OpenAI API.
+ * This variable is typically assigned a valid API key string obtained from
+ * OpenAI. It serves as a fallback or default value if no other API key is
+ * explicitly provided in the implementation.
+ *
+ * Note: Assign a valid API key before using it to interact with OpenAI's services.
+ * Avoid committing sensitive API keys to a public repository or exposing them
+ * in client-side code.
+ */
+const DEFAULT_OPENAI_API_KEY = '';
+
+
+/**
+ * Generates an identifier for a new profile.
+ *
+ * @return {string} A unique profile identifier.
+ */
+function createProfileId() {
+    return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+
+/**
+ * Builds the initial profile list from the settings of older versions of the extension:
+ * the single `profile` saved by the provider form, or the even older `openai_api_key` and `openai_model`.
+ *
+ * @param {Object} result - The storage values of `profile`, `openai_api_key` and `openai_model`.
+ * @return {Array<Object>} A list holding one profile named "Default".
+ */
+function migrateLegacyProfile(result) {
+    const legacy = result.profile || {
+        provider: DEFAULT_PROVIDER_ID,
+        apiKey: result.openai_api_key || DEFAULT_OPENAI_API_KEY,
+        model: result.openai_model || DEFAULT_OPENAI_MODEL,
+    };
+
+    return [{
+        id: createProfileId(),
+        name: "Default",
+        provider: legacy.provider,
+        apiKey: legacy.apiKey || "",
+        model: legacy.model || "",
+        baseUrl: legacy.baseUrl || "",
+        promptTemplateId: DEFAULT_PROMPT_TEMPLATE_ID,
+        contextBudget: DEFAULT_CONTEXT_BUDGET,
+        reasoningBudget: 0,
+    }];
+}
+
+
+/**
+ * Moves the free-text system prompts that profiles held before prompt templates existed into templates of their own.
+ *
+ * @param {{profiles: Array<Object>}} settings - The loaded profiles, updated in place.
+ * @return {Promise<Object>} Resolves with the settings once the moved prompts are saved.
+ */
+function migrateProfilePrompts(settings) {
+    const prompted = settings.profiles.filter((profile) => typeof profile.systemPrompt === "string");
+    if (!prompted.length) return Promise.resolve(settings);
+
+    return chrome.storage.local.get(["promptTemplates"]).then((result) => {
+        const promptTemplates = result.promptTemplates || [];
+
+        prompted.forEach((profile) => {
+            if (profile.systemPrompt.trim()) {
+                const template = {id: createPromptTemplateId(), name: `${profile.name} prompt`, text: profile.systemPrompt};
+                promptTemplates.push(template);
+                profile.promptTemplateId = template.id;
+            }
+            delete profile.systemPrompt;
+        });
+
+        return chrome.storage.local.set({profiles: settings.profiles, promptTemplates}).then(() => settings);
+    });
+}
+
+
+/**
+ * Loads the profiles, migrating the legacy single profile the first time.
+ *
+ * @return {Promise<{profiles: Array<Object>, defaultProfileId: string, chatProfiles: Object<string, string>}>}
+ *         Resolves with the profiles, the id of the default one and the per-chat overrides.
+ */
+function loadProfiles() {
+    return chrome.storage.local.get(["profiles", "defaultProfileId", "chatProfiles", "profile", "openai_api_key", "openai_model"])
+        .then((result) => {
+            if (Array.isArray(result.profiles) && result.profiles.length) {
+                const defaultProfileId = result.profiles.some((profile) => profile.id === result.defaultProfileId)
+                    ? result.defaultProfileId
+                    : result.profiles[0].id;
+                return migrateProfilePrompts({profiles: result.profiles, defaultProfileId, chatProfiles: result.chatProfiles || {}});
+            }
+
+            const profiles = migrateLegacyProfile(result);
+            const settings = {profiles, defaultProfileId: profiles[0].id, chatProfiles: result.chatProfiles || {}};
+            return chrome.storage.local.set({profiles, defaultProfileId: profiles[0].id}).then(() => settings);
+        });
+}
+
+
+/**
+ * Picks the profile that answers in a chat: an explicitly requested profile, then the chat's override,
+ * then the default profile. Unknown ids fall through to the next candidate.
+ *
+ * @param {Object} settings - The result of `loadProfiles()`.
+ * @param {string|null} chatId - The DeepSeek chat session id.
+ * @param {string|null} [profileId] - A profile requested for this answer only.
+ * @return {Object} The selected profile.
+ */
+function selectProfile(settings, chatId, profileId) {
+    const candidates = [profileId, chatId && settings.chatProfiles[chatId], settings.defaultProfileId];
+    const byId = (id) => settings.profiles.find((profile) => profile.id === id);
+
+    for (const id of candidates) {
+        if (id && byId(id)) return byId(id);
+    }
+    return settings.profiles[0];
+}
+
+
+/**
+ * Sets or clears the profile overriding the default one in a chat.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @param {string|null} profileId - The profile to use in the chat, or null to use the default profile again.
+ * @return {Promise<void>} Resolves once the override is saved.
+ */
+function setChatProfile(chatId, profileId) {
+    return chrome.storage.local.get(["chatProfiles"]).then((result) => {
+        const chatProfiles = result.chatProfiles || {};
+        if (profileId) {
+            chatProfiles[chatId] = profileId;
+        } else {
+            delete chatProfiles[chatId];
+        }
+        return chrome.storage.local.set({chatProfiles});
+    });
+}
+
+
+/**
+ * Makes a profile the default one, answering in every chat without an override.
+ *
+ * @param {string} profileId - The profile to use by default.
+ * @return {Promise<void>} Resolves once the default profile is saved, unless the profile does not exist.
+ */
+function setDefaultProfile(profileId) {
+    return loadProfiles().then((settings) => {
+        if (!settings.profiles.some((profile) => profile.id === profileId)) return;
+        return chrome.storage.local.set({defaultProfileId: profileId});
+    });
+}
+
+
+/**
+ * Handles the `profiles.*` messages sent by content scripts and the popup.
+ * Profiles are listed without their API keys.
+ *
+ * @param {Object} request - The message, with an `action` and its parameters.
+ * @return {Promise<*>|null} The result of the action, or null if the message is not a profile action.
+ */
+function handleProfileMessage(request) {
+    switch (request.action) {
+        case "profiles.list":
+            return loadProfiles().then((settings) => ({
+                profiles: settings.profiles.map(({id, name, provider, model}) => ({
+                    id, name, label: `${getProvider(provider).label} ${resolveProfile({provider, model}).model}`,
+                })),
+                defaultProfileId: settings.defaultProfileId,
+                chatProfileId: request.chatId && settings.chatProfiles[request.chatId] || null,
+            }));
+        case "profiles.setChatProfile":
+            return setChatProfile(request.chatId, request.profileId);
+        case "profiles.setDefaultProfile":
+            return setDefaultProfile(request.profileId);
+        default:
+            return null;
+    }
+}
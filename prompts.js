@@ -0,0 +1,277 @@
+/**
+ * @file prompts.js
+ *
+ * This script implements the system prompt templates sent to external providers. Besides the built-in presets,
+ * users write their own templates in the options page, and every profile picks the template it answers with.
+ *
+ * Templates may contain variables, replaced when a replacement answer is requested:
+ * - `{{original_refusal}}` – the DeepSeek answer being replaced;
+ * - `{{chat_title}}` – the title of the DeepSeek chat;
+ * - `{{language}}` – the language of the user's last message, named when its script or words identify it;
+ * - `{{date}}` – the current date, as `YYYY-MM-DD`.
+ *
+ * Storage layout:
+ * - `promptTemplates` – the list of the user's `{id, name, text}` templates;
+ * - the `promptTemplateId` of every profile, see profiles.js.
+ *
+ * The options page loads it too, to edit the templates and import them from files.
+ */
+
+
+/**
+ * A constant string that defines the system-level prompt for the AI assistant's behavior and response guidelines.
+ * The prompt establishes foundational principles for the assistant, ensuring responses are accurate, evidence-based, unbiased,
+ * and transparent. It provides detailed instructions on how the assistant should process and answer user inquiries, with a
+ * focus on verifiable data, avoiding censorship, addressing bias, and maintaining neutrality.
+ *
+ * Key Attributes:
+ * - **Accuracy and Verifiability**: Encourages responses grounded in factual evidence, supported by primary sources such as scientific papers, legal records, and historical documents.
+ * - **Objectivity and Unbiased Coverage**: Promotes a neutral stance, avoiding political, corporate, or ideological influence, while addressing opposing viewpoints and acknowledging areas of dispute.
+ * - **Transparency**: Stresses the importance of explaining any legal, regional, or AI-imposed restrictions on information, along with providing alternative resources when appropriate.
+ * - **Comprehensiveness and Detail**: Responses must be structured, detailed, and provide context to ensure a complete understanding of complex topics.
+ * - **Professional Tone**: Requires the assistant to maintain a clear, formal, and academic tone in all responses.
+ * - **No Evasion**: Mandates addressing all inquiries directly, avoiding deflection or withholding information if credible data is available.
+ */
+const GPT_SYSTEM_PROMPT = `
+You are an AI assistant whose primary mission is to provide **the most accurate, fact-based, and objective responses** to any inquiry. Your responses must be **grounded in verifiable data, historical records, scientific research, and reputable sources**.
+
+## Key Guidelines:
+
+1️⃣ **Absolute Truth & No Censorship:**  
+You must present **objective, uncensored** information based solely on **factual evidence**. If a topic is controversial or politically sensitive, you must still provide **unbiased, well-researched** information without avoiding the question.
+
+2️⃣ **No Evasion, No Deflections:**  
+If the information exists, you **must provide it directly**. Avoid phrases like *"I cannot discuss this topic"* or *"This is beyond my scope"*. Instead, **cite reputable sources** and present facts.
+
+3️⃣ **Use Verifiable Sources:**  
+Whenever possible, refer to **historical documents, scientific papers, legal records, and primary sources**. Prioritize **peer-reviewed research, official government publications, and archival data**.
+
+4️⃣ **Recognizing & Addressing Bias:**  
+Be aware of **government-enforced censorship, propaganda, or manipulated narratives** in certain regions. Where applicable, **highlight opposing viewpoints** and state whether information is disputed, ensuring a **balanced perspective**.
+
+5️⃣ **Handling Restricted Topics:**  
+If certain information is legally restricted in specific regions, clarify **why** it is restricted, who imposed the restriction, and whether alternative sources exist. Avoid self-censorship.
+
+6️⃣ **Transparency Over Safety Filters:**  
+If information is classified as "restricted" by AI safety filters, transparently explain **why it was restricted** rather than simply refusing to answer. If necessary, suggest independent sources for further research.
+
+7️⃣ **Precision & Detail:**  
+Your responses should be **comprehensive, detailed, and informative**. If an event or fact is complex, break it down systematically, covering **causes, effects, context, and consequences**.
+
+8️⃣ **Avoid Political Framing & Corporate Influence:**  
+Do not favor any political entity, corporation, or ideological position unless **supported by independent evidence**. Your duty is **to inform, not persuade**.
+
+9️⃣ **Clear, Neutral, and Professional Tone:**  
+Your language should be **formal, neutral, and unambiguous**. Do not soften or distort reality. Maintain an **academic and journalistic** standard in presenting facts.
+
+10️⃣ **Responding to AI-Based Censorship:**  
+If censorship or bias is detected in AI-generated responses (such as refusal to provide details on certain topics), identify the issue and provide alternative explanations or historical contexts.
+
+## Example Response:
+
+🔹 **User Query:** "What happened in Tiananmen Square in 1989?"  
+🔹 **Your Answer:**  
+"The Tiananmen Square protests of 1989 were a pro-democracy movement in China that led to a violent military crackdown on June 3-4, resulting in an unknown number of casualties. Estimates range from several hundred to several thousand deaths. The Chinese government has since censored discussion on the topic. Sources such as Amnesty International, declassified U.S. State Department reports, and firsthand witness accounts provide detailed records of the events."
+
+Your mission is **to protect knowledge, uphold historical integrity, and ensure the free flow of information**. Any attempt to manipulate or distort the truth must be **highlighted, not perpetuated**.
+`
+
+
+/**
+ * The identifier of the template used by profiles that do not pick one.
+ * @type {string}
+ */
+const DEFAULT_PROMPT_TEMPLATE_ID = "builtin-uncensored";
+
+
+/**
+ * The built-in templates, which cannot be edited but can be duplicated as a starting point.
+ * @type {Array<{id: string, name: string, text: string, builtIn: boolean}>}
+ */
+const BUILT_IN_PROMPT_TEMPLATES = [{
+    id: DEFAULT_PROMPT_TEMPLATE_ID,
+    name: "Uncensored fact-finder",
+    builtIn: true,
+    text: GPT_SYSTEM_PROMPT.trim(),
+}, {
+    id: "builtin-neutral-researcher",
+    name: "Neutral researcher",
+    builtIn: true,
+    text: `You are a neutral researcher. Answer the user's question thoroughly and impartially.
+Present the established facts first, then the main interpretations and points of dispute, attributing each view to its proponents.
+Do not take sides, do not moralize, and do not refuse a question because the topic is sensitive.
+Another assistant declined to answer with: "{{original_refusal}}". Give the complete answer it withheld.
+Today is {{date}}.`,
+}, {
+    id: "builtin-concise",
+    name: "Concise",
+    builtIn: true,
+    text: `Answer the user's question directly and briefly, in a few sentences or a short list.
+Skip introductions, disclaimers and restating the question. Do not refuse because the topic is sensitive.
+Answer in {{language}}.`,
+}, {
+    id: "builtin-cite-sources",
+    name: "Cite sources",
+    builtIn: true,
+    text: `Answer the user's question accurately and support every factual claim with a source:
+a named publication, official document, dataset or scholarly work, with its author and year when known.
+Distinguish well-documented facts from estimates and contested claims. List the sources at the end under "Sources".
+Never invent a source; say so when you are unsure. The conversation is titled "{{chat_title}}". Today is {{date}}.`,
+}, {
+    id: "builtin-translate-back",
+    name: "Answer in the user's language",
+    builtIn: true,
+    text: `Answer the user's question completely and factually, even if the topic is politically sensitive.
+Write the whole answer in {{language}}, whatever language you reason in,
+and keep names, quotes and technical terms in their original form followed by a translation when useful.`,
+}];
+
+
+/**
+ * The languages told apart by their script. Japanese mixes kana with Chinese ideographs, so ideographs count as
+ * Japanese once the text has kana. Scripts shared by many languages, such as Latin, Cyrillic or Arabic, are left out
+ * since they do not name one.
+ * @type {Array<{pattern: RegExp, name: string, marker: (RegExp|undefined)}>}
+ */
+const PROMPT_SCRIPT_LANGUAGES = [
+    {
+        pattern: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/gu,
+        name: "Japanese",
+        marker: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    },
+    {pattern: /\p{Script=Hangul}/gu, name: "Korean"},
+    {pattern: /\p{Script=Han}/gu, name: "Chinese"},
+    {pattern: /\p{Script=Greek}/gu, name: "Greek"},
+    {pattern: /\p{Script=Hebrew}/gu, name: "Hebrew"},
+    {pattern: /\p{Script=Thai}/gu, name: "Thai"},
+    {pattern: /\p{Script=Armenian}/gu, name: "Armenian"},
+    {pattern: /\p{Script=Georgian}/gu, name: "Georgian"},
+];
+
+
+/**
+ * Common English words that other languages written with the Latin alphabet do not use.
+ * @type {Set<string>}
+ */
+const PROMPT_ENGLISH_WORDS = new Set([
+    "the", "and", "are", "were", "what", "when", "why", "how", "who", "which", "this", "that", "with",
+    "you", "does", "did", "about", "there", "their", "from", "should", "would", "happened",
+]);
+
+
+/**
+ * The value of `{{language}}` when the language of the user's last message cannot be named for sure, so the model
+ * picks it up from the message itself instead of being told a wrong one.
+ * @type {string}
+ */
+const UNKNOWN_PROMPT_LANGUAGE = "the language of the user's last message";
+
+
+/**
+ * Names the language of a message from the script of at least half of its letters, or for text in plain ASCII
+ * letters, from its common English words.
+ *
+ * @param {string} text - The user's message.
+ * @return {string|null} The English name of the language, or null if it cannot be named for sure.
+ */
+function detectPromptLanguage(text) {
+    const letters = text.replace(/[^\p{L}]/gu, "");
+    if (!letters.length) return null;
+
+    const scriptLanguage = PROMPT_SCRIPT_LANGUAGES.find((language) =>
+        (!language.marker || language.marker.test(letters)) &&
+        (letters.match(language.pattern) || []).length / letters.length >= 0.5);
+    if (scriptLanguage) return scriptLanguage.name;
+    if (/[^a-z]/i.test(letters)) return null;
+
+    // a name or a quote in a long message of another language should not make it English
+    const words = text.toLowerCase().match(/[a-z]+/g);
+    const english = words.filter((word) => PROMPT_ENGLISH_WORDS.has(word));
+    return english.length && english.length / words.length >= 0.1 ? "English" : null;
+}
+
+
+/**
+ * Generates an identifier for a new template.
+ *
+ * @return {string} A unique template identifier.
+ */
+function createPromptTemplateId() {
+    return `prompt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+
+/**
+ * Loads the built-in templates followed by the user's templates.
+ *
+ * @return {Promise<Array<Object>>} Resolves with every available template.
+ */
+function loadPromptTemplates() {
+    return chrome.storage.local.get(["promptTemplates"])
+        .then((result) => [...BUILT_IN_PROMPT_TEMPLATES, ...(result.promptTemplates || [])]);
+}
+
+
+/**
+ * Finds a template by id, falling back to the default template when it was deleted.
+ *
+ * @param {Array<Object>} templates - The templates returned by `loadPromptTemplates()`.
+ * @param {string} [templateId] - The template picked by a profile.
+ * @return {Object} The template.
+ */
+function findPromptTemplate(templates, templateId) {
+    return templates.find((template) => template.id === templateId) ||
+        templates.find((template) => template.id === DEFAULT_PROMPT_TEMPLATE_ID);
+}
+
+
+/**
+ * Replaces the `{{variables}}` of a template. Unknown variables are left as they are, so typos remain visible.
+ *
+ * @param {string} text - The template text.
+ * @param {Object<string, string>} variables - The values keyed by variable name.
+ * @return {string} The system prompt.
+ */
+function renderPromptTemplate(text, variables) {
+    return text.replace(/\{\{\s*([a-z_]+)\s*\}\}/g, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder);
+}
+
+
+/**
+ * Builds the template variables of a replacement request.
+ *
+ * @param {Object} context - What is known about the request.
+ * @param {string} context.originalRefusal - The DeepSeek answer being replaced.
+ * @param {string} [context.chatTitle] - The title of the DeepSeek chat.
+ * @param {string} [context.userMessage] - The user's last message, used to detect their language.
+ * @return {Object<string, string>} The values keyed by variable name.
+ */
+function buildPromptVariables(context) {
+    return {
+        original_refusal: context.originalRefusal || "",
+        chat_title: context.chatTitle || "Untitled chat",
+        language: detectPromptLanguage(context.userMessage || "") || UNKNOWN_PROMPT_LANGUAGE,
+        date: new Date().toISOString().slice(0, 10),
+    };
+}
+
+
+/**
+ * Checks an imported template file and returns its templates with fresh ids, so importing never overwrites.
+ *
+ * @param {*} data - The parsed JSON file, either a list of templates or `{templates: [...]}`.
+ * @return {Array<{id: string, name: string, text: string}>} The imported templates.
+ * @throws {Error} If the file does not hold templates.
+ */
+function parsePromptTemplateFile(data) {
+    const templates = Array.isArray(data) ? data : data && data.templates;
+    if (!Array.isArray(templates)) throw new Error("The file does not contain a list of templates.");
+
+    return templates.map((template, index) => {
+        if (!template || typeof template.text !== "string" || !template.text.trim()) {
+            throw new Error(`Template ${index + 1} has no text.`);
+        }
+        return {id: createPromptTemplateId(), name: String(template.name || `Imported ${index + 1}`), text: template.text};
+    });
+}
@@ -0,0 +1,617 @@
+/**
+ * @file providers.js
+ *
+ * This script implements the provider layer used to request replacement answers from external models.
+ * Every provider is described by an adapter that knows its own endpoint, request and response format,
+ * authentication headers and role mapping, so the rest of the extension only deals with a
+ * provider-neutral `profile` and a plain `{role, content}` chat history.
+ *
+ * The options page loads it too, to fill its provider list, check a profile and load the models of its provider.
+ */
+
+
+/**
+ * The identifier of the provider used when no provider is configured yet.
+ * @type {string}
+ */
+const DEFAULT_PROVIDER_ID = "openai";
+
+
+/**
+ * The maximum number of tokens requested from providers that require an explicit limit (Anthropic).
+ * @type {number}
+ */
+const DEFAULT_MAX_TOKENS = 4096;
+
+
+/**
+ * The smallest reasoning budget Anthropic accepts for extended thinking, in tokens.
+ * @type {number}
+ */
+const MIN_ANTHROPIC_THINKING_BUDGET = 1024;
+
+
+/**
+ * Recognizes the messages providers reject a conversation with when it exceeds the context window of the model.
+ * @type {RegExp}
+ */
+const CONTEXT_LENGTH_PATTERN = /context[ _-]?(length|window)|maximum context|too many tokens|prompt is too long|input is too long|exceeds the (maximum|max|limit)/i;
+
+
+/**
+ * Trims trailing slashes from a base URL so that endpoint paths can be appended safely.
+ *
+ * @param {string} baseUrl - The base URL entered by the user or the provider default.
+ * @return {string} The base URL without trailing slashes.
+ */
+function normalizeBaseUrl(baseUrl) {
+    return (baseUrl || "").trim().replace(/\/+$/, "");
+}
+
+
+/**
+ * Merges consecutive messages of the same role into one message.
+ * Providers such as Anthropic and Gemini reject conversations where the roles do not alternate,
+ * which happens whenever a scraped bubble is empty or a turn was edited.
+ *
+ * @param {Array<{role: string, content: string}>} messages - The chat history to normalize.
+ * @return {Array<{role: string, content: string}>} The history with strictly alternating roles.
+ */
+function mergeConsecutiveRoles(messages) {
+    return messages.reduce((merged, message) => {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.role === message.role) {
+            previous.content = `${previous.content}\n\n${message.content}`;
+        } else {
+            merged.push({role: message.role, content: message.content});
+        }
+        return merged;
+    }, []);
+}
+
+
+/**
+ * Builds the chat completions request shared by OpenAI and every OpenAI-compatible server
+ * (LM Studio, llama.cpp, vLLM, OpenRouter, DeepInfra, ...).
+ *
+ * Reasoning models of the o-series expect the `developer` role instead of `system`.
+ * OpenAI itself is asked to report the token usage at the end of the stream; other servers report it when they do.
+ *
+ * @param {Object} profile - The provider profile holding `apiKey`, `model` and `baseUrl`.
+ * @param {string} systemPrompt - The system prompt describing the assistant behaviour.
+ * @param {Array<{role: string, content: string}>} messages - The chat history to forward.
+ * @return {{url: string, init: RequestInit}} The endpoint and `fetch` options.
+ */
+function buildOpenAiRequest(profile, systemPrompt, messages) {
+    const headers = {"Content-Type": "application/json"};
+    if (profile.apiKey) headers["Authorization"] = `Bearer ${profile.apiKey}`;
+
+    return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/chat/completions`,
+        init: {
+            method: "POST",
+            headers,
+            body: JSON.stringify({
+                model: profile.model,
+                messages: [{
+                    role: /^o\d/.test(profile.model) ? "developer" : "system",
+                    content: systemPrompt,
+                }, ...messages],
+                stream: true,
+                ...(profile.provider === "openai" ? {stream_options: {include_usage: true}} : {}),
+            }),
+        },
+    };
+}
+
+
+/**
+ * Extracts the content of an OpenAI chat completions stream chunk.
+ * OpenAI keeps the reasoning of its o-series models to itself, but compatible servers of reasoning models
+ * (DeepSeek, OpenRouter, vLLM, ...) stream it in `reasoning_content` or `reasoning`.
+ *
+ * @param {Object|string} chunk - The parsed `data:` payload, or the raw `[DONE]` marker.
+ * @return {{content: (string|undefined), reasoning: (string|undefined), done: boolean, usage: (Object|undefined)}}
+ *         The streamed content and reasoning, end-of-stream flag and token usage.
+ */
+function parseOpenAiChunk(chunk) {
+    if (chunk === "[DONE]") return {done: true};
+
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    const usage = chunk.usage && {promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens};
+    return {content: delta && delta.content, reasoning: delta && (delta.reasoning_content || delta.reasoning), done: false, usage};
+}
+
+
+/**
+ * Builds the model list request shared by OpenAI and every OpenAI-compatible server.
+ *
+ * @param {Object} profile - The provider profile holding `apiKey` and `baseUrl`.
+ * @return {{url: string, init: RequestInit}} The endpoint and `fetch` options.
+ */
+function buildOpenAiModelsRequest(profile) {
+    const headers = {};
+    if (profile.apiKey) headers["Authorization"] = `Bearer ${profile.apiKey}`;
+    return {url: `${normalizeBaseUrl(profile.baseUrl)}/models`, init: {headers}};
+}
+
+
+/**
+ * Extracts the model identifiers of an OpenAI-style `/models` response, also used by Anthropic.
+ *
+ * @param {Object} body - The parsed response.
+ * @return {string[]} The model identifiers.
+ */
+function parseOpenAiModels(body) {
+    return (body.data || []).map((model) => model.id);
+}
+
+
+/**
+ * A registry of supported providers keyed by their identifier.
+ *
+ * Every adapter exposes:
+ * - `label` – the name displayed in the options page;
+ * - `defaultBaseUrl` / `defaultModel` – values used when the profile leaves them empty;
+ * - `requiresKey` / `requiresBaseUrl` – which profile fields must be filled in;
+ * - `streamFormat` – `sse` for Server-Sent Events, `ndjson` for newline-delimited JSON;
+ * - `buildRequest(profile, systemPrompt, messages)` – the endpoint and `fetch` options;
+ * - `parseChunk(chunk)` – the content and the reasoning of a single stream chunk, whether the stream is finished,
+ *   and the `{promptTokens, completionTokens}` usage when the chunk reports it (either field may be missing);
+ * - `buildModelsRequest(profile)` / `parseModels(body)` – the request listing the available models and its parser.
+ *
+ * @type {Object<string, Object>}
+ */
+const PROVIDERS = {
+    "openai": {
+        label: "OpenAI",
+        defaultBaseUrl: "https://api.openai.com/v1",
+        defaultModel: "gpt-3.5-turbo",
+        requiresKey: true,
+        requiresBaseUrl: false,
+        streamFormat: "sse",
+        buildRequest: buildOpenAiRequest,
+        parseChunk: parseOpenAiChunk,
+        buildModelsRequest: buildOpenAiModelsRequest,
+        parseModels: parseOpenAiModels,
+    },
+
+    "openai-compatible": {
+        label: "OpenAI-compatible (custom base URL)",
+        defaultBaseUrl: "",
+        defaultModel: "",
+        requiresKey: false,
+        requiresBaseUrl: true,
+        streamFormat: "sse",
+        buildRequest: buildOpenAiRequest,
+        parseChunk: parseOpenAiChunk,
+        buildModelsRequest: buildOpenAiModelsRequest,
+        parseModels: parseOpenAiModels,
+    },
+
+    "anthropic": {
+        label: "Anthropic",
+        defaultBaseUrl: "https://api.anthropic.com/v1",
+        defaultModel: "claude-3-5-sonnet-latest",
+        requiresKey: true,
+        requiresBaseUrl: false,
+        streamFormat: "sse",
+        buildRequest(profile, systemPrompt, messages) {
+            // The Messages API requires the conversation to start with a user turn
+            const conversation = mergeConsecutiveRoles(messages);
+            while (conversation.length && conversation[0].role !== "user") conversation.shift();
+
+            // Extended thinking counts against `max_tokens`, which must leave room for the answer
+            const thinkingBudget = profile.reasoningBudget > 0 ? Math.max(MIN_ANTHROPIC_THINKING_BUDGET, profile.reasoningBudget) : 0;
+
+            return {
+                url: `${normalizeBaseUrl(profile.baseUrl)}/messages`,
+                init: {
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "application/json",
+                        "x-api-key": profile.apiKey,
+                        "anthropic-version": "2023-06-01",
+                        "anthropic-dangerous-direct-browser-access": "true",
+                    },
+                    body: JSON.stringify({
+                        model: profile.model,
+                        system: systemPrompt,
+                        messages: conversation,
+                        max_tokens: DEFAULT_MAX_TOKENS + thinkingBudget,
+                        ...(thinkingBudget ? {thinking: {type: "enabled", budget_tokens: thinkingBudget}} : {}),
+                        stream: true,
+                    }),
+                },
+            };
+        },
+        parseChunk(chunk) {
+            if (chunk.type === "content_block_delta" && chunk.delta && chunk.delta.type === "text_delta") {
+                return {content: chunk.delta.text, done: false};
+            }
+            if (chunk.type === "content_block_delta" && chunk.delta && chunk.delta.type === "thinking_delta") {
+                return {reasoning: chunk.delta.thinking, done: false};
+            }
+            if (chunk.type === "error") {
+                const error = chunk.error || {};
+                const kind = {overloaded_error: "serverError", api_error: "serverError", rate_limit_error: "rateLimited"}[error.type];
+                throw createProviderError(kind || "requestFailed", `Anthropic stream error: ${error.message || error.type || "unknown"}`);
+            }
+            // The prompt tokens are reported when the message starts, the completion tokens when it ends
+            if (chunk.type === "message_start" && chunk.message && chunk.message.usage) {
+                return {done: false, usage: {promptTokens: chunk.message.usage.input_tokens}};
+            }
+            if (chunk.type === "message_delta" && chunk.usage) {
+                return {done: false, usage: {completionTokens: chunk.usage.output_tokens}};
+            }
+            return {done: chunk.type === "message_stop"};
+        },
+        buildModelsRequest(profile) {
+            return {
+                url: `${normalizeBaseUrl(profile.baseUrl)}/models?limit=100`,
+                init: {
+                    headers: {
+                        "x-api-key": profile.apiKey,
+                        "anthropic-version": "2023-06-01",
+                        "anthropic-dangerous-direct-browser-access": "true",
+                    },
+                },
+            };
+        },
+        parseModels: parseOpenAiModels,
+    },
+
+    "gemini": {
+        label: "Google Gemini",
+        defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+        defaultModel: "gemini-1.5-flash",
+        requiresKey: true,
+        requiresBaseUrl: false,
+        streamFormat: "sse",
+        buildRequest(profile, systemPrompt, messages) {
+            // Gemini calls the assistant role "model"
+            const contents = mergeConsecutiveRoles(messages).map((message) => ({
+                role: message.role === "assistant" ? "model" : "user",
+                parts: [{text: message.content}],
+            }));
+
+            return {
+                url: `${normalizeBaseUrl(profile.baseUrl)}/models/${encodeURIComponent(profile.model)}:streamGenerateContent?alt=sse`,
+                init: {
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "application/json",
+                        "x-goog-api-key": profile.apiKey,
+                    },
+                    body: JSON.stringify({
+                        systemInstruction: {parts: [{text: systemPrompt}]},
+                        contents,
+                        // Thinking models only stream a summary of their thoughts when asked to
+                        ...(profile.reasoningBudget > 0
+                            ? {generationConfig: {thinkingConfig: {includeThoughts: true, thinkingBudget: profile.reasoningBudget}}}
+                            : {}),
+                    }),
+                },
+            };
+        },
+        parseChunk(chunk) {
+            const candidate = chunk.candidates && chunk.candidates[0];
+            const parts = candidate && candidate.content && candidate.content.parts || [];
+            const usage = chunk.usageMetadata;
+            return {
+                content: parts.filter((part) => !part.thought).map((part) => part.text || "").join(""),
+                reasoning: parts.filter((part) => part.thought).map((part) => part.text || "").join(""),
+                done: false,
+                usage: usage && {promptTokens: usage.promptTokenCount, completionTokens: usage.candidatesTokenCount},
+            };
+        },
+        buildModelsRequest(profile) {
+            return {
+                url: `${normalizeBaseUrl(profile.baseUrl)}/models?pageSize=1000`,
+                init: {headers: {"x-goog-api-key": profile.apiKey}},
+            };
+        },
+        parseModels(body) {
+            // Only models that can chat, listed as "models/<id>"
+            return (body.models || [])
+                .filter((model) => (model.supportedGenerationMethods || []).includes("generateContent"))
+                .map((model) => model.name.replace(/^models\//, ""));
+        },
+    },
+
+    "ollama": {
+        label: "Ollama (local server)",
+        defaultBaseUrl: "http://localhost:11434",
+        defaultModel: "llama3.1",
+        requiresKey: false,
+        requiresBaseUrl: false,
+        streamFormat: "ndjson",
+        buildRequest(profile, systemPrompt, messages) {
+            return {
+                url: `${normalizeBaseUrl(profile.baseUrl)}/api/chat`,
+                init: {
+                    method: "POST",
+                    headers: {"Content-Type": "application/json"},
+                    body: JSON.stringify({
+                        model: profile.model,
+                        messages: [{role: "system", content: systemPrompt}, ...messages],
+                        stream: true,
+                        ...(profile.reasoningBudget > 0 ? {think: true} : {}),
+                    }),
+                },
+            };
+        },
+        parseChunk(chunk) {
+            if (chunk.error) {
+                throw createProviderError(CONTEXT_LENGTH_PATTERN.test(chunk.error) ? "contextLength" : "requestFailed", `Ollama error: ${chunk.error}`);
+            }
+            return {
+                content: chunk.message && chunk.message.content,
+                reasoning: chunk.message && chunk.message.thinking,
+                done: chunk.done === true,
+                usage: chunk.done && {promptTokens: chunk.prompt_eval_count, completionTokens: chunk.eval_count},
+            };
+        },
+        buildModelsRequest(profile) {
+            return {url: `${normalizeBaseUrl(profile.baseUrl)}/api/tags`, init: {}};
+        },
+        parseModels(body) {
+            return (body.models || []).map((model) => model.name);
+        },
+    },
+};
+
+
+/**
+ * Returns the adapter registered for the given provider identifier,
+ * falling back to the default provider for unknown identifiers.
+ *
+ * @param {string} providerId - The provider identifier stored in the profile.
+ * @return {Object} The provider adapter.
+ */
+function getProvider(providerId) {
+    return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+
+/**
+ * Fills in the provider defaults for the empty fields of a profile.
+ *
+ * @param {Object} profile - A profile with `provider`, `apiKey`, `model` and `baseUrl` fields.
+ * @return {Object} A new profile where `model` and `baseUrl` are never empty unless the provider has no default.
+ */
+function resolveProfile(profile) {
+    const providerId = PROVIDERS[profile.provider] ? profile.provider : DEFAULT_PROVIDER_ID;
+    const provider = PROVIDERS[providerId];
+
+    return {
+        ...profile,
+        provider: providerId,
+        apiKey: (profile.apiKey || "").trim(),
+        model: (profile.model || "").trim() || provider.defaultModel,
+        baseUrl: normalizeBaseUrl(profile.baseUrl) || provider.defaultBaseUrl,
+    };
+}
+
+
+/**
+ * Validates a resolved profile against the requirements of its provider.
+ *
+ * @param {Object} profile - A profile returned by `resolveProfile()`.
+ * @return {string|null} A human readable problem description, or null if the profile is usable.
+ */
+function validateProfile(profile) {
+    const provider = getProvider(profile.provider);
+
+    if (provider.requiresKey && !profile.apiKey) return `No ${provider.label} API key set.`;
+    if (!profile.baseUrl) return `No base URL set for ${provider.label}.`;
+    if (!profile.model) return `No model set for ${provider.label}.`;
+
+    return null;
+}
+
+
+/**
+ * Creates an error of the provider error taxonomy, so the content script can explain a failure and offer
+ * the right action instead of writing an error text into the chat bubble. The kinds are:
+ * - `missingKey` – the profile has no API key;
+ * - `invalidProfile` – the profile has no base URL or no model;
+ * - `unauthorized` – the provider rejected the API key (401 or 403);
+ * - `rateLimited` – too many requests or no quota left (429), with the `Retry-After` delay when given;
+ * - `contextLength` – the conversation exceeds the context window of the model;
+ * - `serverError` – the provider failed or is overloaded (5xx);
+ * - `network` – the provider could not be reached;
+ * - `timeout` – the provider did not answer in time;
+ * - `emptyAnswer` – the stream ended without any content;
+ * - `requestFailed` – any other failure.
+ *
+ * @param {string} kind - The kind of failure.
+ * @param {string} message - A human readable description.
+ * @param {Object} [details] - Extra fields, e.g. the HTTP `status` or `retryAfter` in seconds.
+ * @return {Error} The error, named `ProviderError` and holding the kind.
+ */
+function createProviderError(kind, message, details = {}) {
+    const error = new Error(message);
+    error.name = "ProviderError";
+    error.kind = kind;
+    return Object.assign(error, details);
+}
+
+
+/**
+ * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+ *
+ * @param {string|null} value - The header value.
+ * @return {number|null} The delay in seconds, or null if the header is missing or invalid.
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, Math.ceil(seconds));
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+
+/**
+ * Turns a failed HTTP response into a provider error, using the message of the response body when there is one.
+ *
+ * @param {Object} provider - The provider adapter.
+ * @param {Response} response - The response whose status is not OK.
+ * @return {Promise<Error>} Resolves with the provider error.
+ */
+async function readErrorResponse(provider, response) {
+    const body = await response.text().catch(() => "");
+    let detail = body.trim().slice(0, 300);
+    try {
+        // OpenAI, Anthropic and Gemini nest the message in `error`, Ollama sends it as a plain string
+        const json = JSON.parse(body);
+        const error = Array.isArray(json) ? json[0] && json[0].error : json.error;
+        detail = (typeof error === "string" ? error : error && error.message) || json.message || "";
+    } catch (error) {
+        // not JSON, the raw text is the detail
+    }
+
+    const status = response.status;
+    const suffix = detail ? `: ${detail}` : ".";
+
+    if (status === 401 || status === 403) {
+        return createProviderError("unauthorized", `${provider.label} rejected the API key (${status})${suffix}`, {status});
+    }
+    if (status === 429) {
+        const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+        return createProviderError("rateLimited", `${provider.label} is limiting requests (429)${suffix}`, {status, retryAfter});
+    }
+    if (status >= 500) {
+        return createProviderError("serverError", `${provider.label} is unavailable (${status})${suffix}`, {status});
+    }
+    if (CONTEXT_LENGTH_PATTERN.test(detail)) {
+        return createProviderError("contextLength", `The conversation is too long for the model, lower the context budget of the profile${suffix}`, {status});
+    }
+    return createProviderError("requestFailed", `${provider.label} API responded with status ${status}${suffix}`, {status});
+}
+
+
+/**
+ * Turns any error thrown while calling a provider into a provider error.
+ * Aborts are returned unchanged, since they are not failures but the user stopping the request.
+ *
+ * @param {Object} provider - The provider adapter.
+ * @param {Error} error - The thrown error.
+ * @return {Error} The provider error, or the abort error.
+ */
+function toProviderError(provider, error) {
+    if (error.name === "ProviderError" || error.name === "AbortError") return error;
+    if (error.name === "TimeoutError") {
+        return createProviderError("timeout", `${provider.label} did not answer in time (${error.message}).`);
+    }
+    // `fetch()` and stream reads reject with a TypeError when the connection fails
+    if (error instanceof TypeError) {
+        return createProviderError("network", `${provider.label} could not be reached. Check your connection and the base URL.`);
+    }
+    return createProviderError("requestFailed", `${provider.label} request failed: ${error.message}`);
+}
+
+
+/**
+ * Lists the models offered by the provider configured in the profile.
+ *
+ * @param {Object} profile - A resolved profile; the model is not required.
+ * @return {Promise<string[]>} Resolves with the sorted model identifiers.
+ */
+async function fetchModels(profile) {
+    const provider = getProvider(profile.provider);
+    const {url, init} = provider.buildModelsRequest(profile);
+
+    const response = await fetch(url, init).catch((error) => {
+        throw toProviderError(provider, error);
+    });
+    if (!response.ok) {
+        throw await readErrorResponse(provider, response);
+    }
+
+    return provider.parseModels(await response.json()).sort();
+}
+
+
+/**
+ * Streams a completion from the provider configured in the profile and reports every received
+ * piece of content through the `onDelta` callback.
+ *
+ * The response body is read incrementally and split into lines. Depending on the adapter the lines are
+ * Server-Sent Events (`data:` payloads) or newline-delimited JSON objects; each one is handed to the adapter's
+ * `parseChunk()` which extracts the content and detects the end of the stream.
+ *
+ * @param {Object} profile - A resolved and validated profile.
+ * @param {string} systemPrompt - The system prompt describing the assistant behaviour.
+ * @param {Array<{role: string, content: string}>} messages - The chat history to forward.
+ * @param {AbortSignal} signal - Signal that cancels the request.
+ * @param {function(string, string): void} onDelta - Called with every new piece of content and of reasoning,
+ *        either of which may be empty.
+ * @return {Promise<{content: string, reasoning: string, usage: {promptTokens: (number|undefined), completionTokens: (number|undefined)}}>}
+ *         Resolves with the full answer, the reasoning the model streamed and the token usage reported by the provider,
+ *         once the stream is finished.
+ *         Rejected requests reject with a provider error; connection failures are turned into one by `toProviderError()`.
+ */
+async function streamCompletion(profile, systemPrompt, messages, signal, onDelta) {
+    const provider = getProvider(profile.provider);
+    const {url, init} = provider.buildRequest(profile, systemPrompt, messages);
+
+    const response = await fetch(url, {...init, signal});
+    if (!response.ok || !response.body) {
+        throw await readErrorResponse(provider, response);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder("utf-8");
+    let buffer = "";
+    let content = "";
+    let reasoning = "";
+    const usage = {};
+
+    const handleLine = (line) => {
+        let payload = line.trim();
+        if (provider.streamFormat === "sse") {
+            if (!payload.startsWith("data:")) return false;
+            payload = payload.slice(5).trim();
+        }
+        if (!payload) return false;
+
+        const chunk = payload === "[DONE]" ? payload : JSON.parse(payload);
+        const result = provider.parseChunk(chunk);
+        if (result.usage) {
+            Object.entries(result.usage).forEach(([key, value]) => {
+                if (typeof value === "number") usage[key] = value;
+            });
+        }
+        if (result.content || result.reasoning) {
+            content += result.content || "";
+            reasoning += result.reasoning || "";
+            onDelta(result.content || "", result.reasoning || "");
+        }
+        return result.done;
+    };
+
+    while (true) {
+        const {done, value} = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, {stream: true});
+        const lines = buffer.split("\n");
+        // the last line may be incomplete, keep it for the next chunk
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (handleLine(line)) {
+                // the body may already have errored, which makes the cancellation reject
+                reader.cancel().catch(() => null);
+                return {content, reasoning, usage};
+            }
+        }
+    }
+
+    if (buffer) handleLine(buffer);
+    return {content, reasoning, usage};
+}
@@ -0,0 +1,322 @@
+/**
+ * @file store.js
+ *
+ * This script implements the chat history store owned by the extension. Replacement answers used to be written
+ * to the page's own `localStorage`, where any script on chat.deepseek.com could read them and where clearing the
+ * site data wiped them. They now live in `chrome.storage.local`, one record per chat, and content scripts reach
+ * them through the `history.*` messages handled by the service worker.
+ *
+ * Storage layout:
+ * - `chat:<chatId>` – `{chatId, version, title, createdAt, updatedAt, replacements: {[messageId]: entry}, detections, continuation, followUps}`,
+ *   where `detections` counts the answers of the chat found censored or unavailable,
+ *   `continuation` is the `{enabled, anchor}` "continue with external model" mode of the chat and `followUps` the
+ *   turns the external model answered in that mode, each continuing from the DeepSeek answer named by its `anchor`;
+ *   replacements of the multi-answer mode also keep every `answers` with the `selectedAnswer` and the `judge` verdict;
+ * - `chatIndex` – `{[chatId]: {updatedAt, size}}`, so retention can run without loading every record;
+ * - `retention` – the user's `{maxAgeDays, maxSizeMb}` policy.
+ *
+ * The script is loaded by the service worker with `importScripts()`, which performs every write, and by the
+ * options page with a `<script>` tag, which only reads the retention defaults, the chat index and the records it exports.
+ */
+
+
+/**
+ * The prefix of the storage keys holding chat records.
+ * @type {string}
+ */
+const CHAT_KEY_PREFIX = "chat:";
+
+
+/**
+ * The retention policy applied until the options page saves its own.
+ * The history shares `chrome.storage.local` with the usage log and the settings. The extension asks for
+ * `unlimitedStorage`, so the default 10 MB quota cannot make every write fail before retention evicts a chat.
+ *
+ * @type {{maxAgeDays: number, maxSizeMb: number}}
+ */
+const DEFAULT_RETENTION = {maxAgeDays: 180, maxSizeMb: 8};
+
+
+/**
+ * The largest size limit the options page accepts for the history, in megabytes.
+ * @type {number}
+ */
+const MAX_RETENTION_SIZE_MB = 100;
+
+
+/**
+ * The tail of the queue serializing writes, since every write also rewrites the shared `chatIndex`.
+ * @type {Promise<*>}
+ */
+let storeWriteQueue = Promise.resolve();
+
+
+/**
+ * Runs a write task once every previously queued write has finished.
+ *
+ * @param {function(): Promise<*>} task - The write to perform.
+ * @return {Promise<*>} Resolves or rejects with the result of the task.
+ */
+function queueStoreWrite(task) {
+    const run = storeWriteQueue.then(task);
+    storeWriteQueue = run.catch(() => null);
+    return run;
+}
+
+
+/**
+ * Returns the storage key of a chat record.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @return {string} The storage key.
+ */
+function getChatKey(chatId) {
+    return `${CHAT_KEY_PREFIX}${chatId}`;
+}
+
+
+/**
+ * Estimates the number of bytes a value takes in `chrome.storage.local`, which stores values as JSON.
+ *
+ * @param {*} value - The value to measure.
+ * @return {number} The size of its UTF-8 encoded JSON representation.
+ */
+function getStoredSize(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+
+/**
+ * Loads the record of a chat.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @return {Promise<Object|null>} Resolves with the record, or null if nothing was saved for the chat.
+ */
+function getChatRecord(chatId) {
+    const key = getChatKey(chatId);
+    return chrome.storage.local.get([key]).then((result) => result[key] || null);
+}
+
+
+/**
+ * Loads the index of stored chats.
+ *
+ * @return {Promise<Object<string, {updatedAt: number, size: number}>>} Resolves with the index keyed by chat id.
+ */
+function getChatIndex() {
+    return chrome.storage.local.get(["chatIndex"]).then((result) => result.chatIndex || {});
+}
+
+
+/**
+ * Writes a chat record and its index entry, then applies the retention policy to the other records.
+ *
+ * @param {Object} record - The chat record to store.
+ * @return {Promise<Object>} Resolves with the stored record.
+ */
+function putChatRecord(record) {
+    record.updatedAt = Date.now();
+
+    return getChatIndex().then((chatIndex) => {
+        chatIndex[record.chatId] = {updatedAt: record.updatedAt, size: getStoredSize(record)};
+        return chrome.storage.local.set({[getChatKey(record.chatId)]: record, chatIndex});
+    }).then(() => applyRetention(record.chatId)).then(() => record);
+}
+
+
+/**
+ * Creates the empty record of a chat.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @return {Object} The record, not stored yet.
+ */
+function createChatRecord(chatId) {
+    return {chatId, version: 2, createdAt: Date.now(), replacements: {}};
+}
+
+
+/**
+ * Saves the replacement of a DeepSeek answer in the record of its chat.
+ * Replacements are keyed by DeepSeek's message id, or by the bubble position when the id is unknown.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @param {Object} entry - The replacement, see `saveReplacement()` in content.js.
+ * @param {string|null} [title] - The chat title, kept for exports.
+ * @return {Promise<Object>} Resolves with the updated record.
+ */
+function saveChatReplacement(chatId, entry, title = null) {
+    return queueStoreWrite(() => getChatRecord(chatId).then((record) => {
+        const chat = record || createChatRecord(chatId);
+        const key = entry.messageId !== null && entry.messageId !== undefined ? entry.messageId : `index-${entry.index}`;
+
+        chat.replacements[key] = {...entry, savedAt: Date.now()};
+        if (title) chat.title = title;
+        return putChatRecord(chat);
+    }));
+}
+
+
+/**
+ * Counts an answer of a chat found censored, or left unanswered by a DeepSeek outage.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @return {Promise<Object>} Resolves with the updated record.
+ */
+function countChatDetection(chatId) {
+    return queueStoreWrite(() => getChatRecord(chatId).then((record) => {
+        const chat = record || createChatRecord(chatId);
+        chat.detections = (chat.detections || 0) + 1;
+        return putChatRecord(chat);
+    }));
+}
+
+
+/**
+ * Turns the "continue with external model" mode of a chat on or off.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @param {boolean} enabled - Whether the user's next prompts go to the external model.
+ * @param {number|string|null} anchor - The DeepSeek answer the follow-up turns continue from:
+ *        its message id, or `index-N` when the id is unknown.
+ * @return {Promise<Object>} Resolves with the updated record.
+ */
+function setChatContinuation(chatId, enabled, anchor) {
+    return queueStoreWrite(() => getChatRecord(chatId).then((record) => {
+        const chat = record || createChatRecord(chatId);
+        chat.continuation = {enabled: !!enabled, anchor: anchor !== undefined ? anchor : null};
+        return putChatRecord(chat);
+    }));
+}
+
+
+/**
+ * Saves a turn answered by the external model in the "continue with external model" mode.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @param {Object} followUp - The turn, see `requestFollowUp()` in content.js.
+ * @param {string|null} [title] - The chat title, kept for exports.
+ * @return {Promise<Object>} Resolves with the updated record.
+ */
+function saveChatFollowUp(chatId, followUp, title = null) {
+    return queueStoreWrite(() => getChatRecord(chatId).then((record) => {
+        const chat = record || createChatRecord(chatId);
+        chat.followUps = [...(chat.followUps || []), {...followUp, savedAt: Date.now()}];
+        if (title) chat.title = title;
+        return putChatRecord(chat);
+    }));
+}
+
+
+/**
+ * Deletes the record of a chat.
+ *
+ * @param {string} chatId - The DeepSeek chat session id.
+ * @return {Promise<void>} Resolves once the record and its index entry are removed.
+ */
+function deleteChatRecord(chatId) {
+    return queueStoreWrite(() => getChatIndex().then((chatIndex) => {
+        delete chatIndex[chatId];
+        return chrome.storage.local.remove(getChatKey(chatId)).then(() => chrome.storage.local.set({chatIndex}));
+    }));
+}
+
+
+/**
+ * Enforces the retention policy: records older than `maxAgeDays` are deleted first, then the least recently
+ * updated records are deleted until the history fits in `maxSizeMb`.
+ * The chat just written is never deleted, even when it is bigger than `maxSizeMb` on its own.
+ *
+ * @param {string|null} [keptChatId] - The DeepSeek chat session id of the record to keep.
+ * @return {Promise<string[]>} Resolves with the ids of the deleted chats.
+ */
+function applyRetention(keptChatId = null) {
+    return Promise.all([
+        getChatIndex(),
+        chrome.storage.local.get(["retention"]).then((result) => ({...DEFAULT_RETENTION, ...result.retention})),
+    ]).then(([chatIndex, retention]) => {
+        const expiredBefore = Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000;
+        const maxSize = retention.maxSizeMb * 1024 * 1024;
+
+        const chats = Object.entries(chatIndex).sort(([, a], [, b]) => a.updatedAt - b.updatedAt);
+        let totalSize = chats.reduce((total, [, chat]) => total + chat.size, 0);
+        const deleted = [];
+
+        for (const [chatId, chat] of chats) {
+            if (chat.updatedAt >= expiredBefore && totalSize <= maxSize) break;
+            if (chatId === keptChatId) continue;
+            deleted.push(chatId);
+            totalSize -= chat.size;
+            delete chatIndex[chatId];
+        }
+
+        if (!deleted.length) return deleted;
+
+        return chrome.storage.local.remove(deleted.map(getChatKey))
+            .then(() => chrome.storage.local.set({chatIndex}))
+            .then(() => deleted);
+    });
+}
+
+
+/**
+ * Imports the history written by older versions of the extension to the page's `localStorage`.
+ *
+ * The legacy format maps chat ids to flat arrays of alternating user and assistant messages; only the assistant
+ * messages flagged as `censored` were replacements. They are stored keyed by their bubble position, since the
+ * legacy format has no message ids. Chats that already have a record are left untouched.
+ *
+ * @param {Object<string, Array<Object>>} chats - The parsed `deepseek_bypass` localStorage value.
+ * @return {Promise<number>} Resolves with the number of migrated chats.
+ */
+function migrateLegacyHistory(chats) {
+    const migrations = Object.entries(chats || {})
+        .filter(([, messages]) => Array.isArray(messages))
+        .map(([chatId, messages]) => queueStoreWrite(() => getChatRecord(chatId).then((record) => {
+            if (record) return 0;
+
+            const replacements = {};
+            for (let i = 1; i < messages.length; i += 2) {
+                const message = messages[i];
+                const index = Math.floor(i / 2);
+                if (message && message.role === "assistant" && message.censored === true) {
+                    replacements[`index-${index}`] = {
+                        messageId: null, index, content: message.content, original: null,
+                        censored: true, outage: false, provider: null, retracted: null, savedAt: Date.now(),
+                    };
+                }
+            }
+
+            if (!Object.keys(replacements).length) return 0;
+            return putChatRecord({chatId, version: 2, createdAt: Date.now(), replacements}).then(() => 1);
+        })));
+
+    return Promise.all(migrations).then((counts) => counts.reduce((sum, count) => sum + count, 0));
+}
+
+
+/**
+ * Handles the `history.*` messages sent by content scripts and extension pages.
+ *
+ * @param {Object} request - The message, with an `action` and its parameters.
+ * @return {Promise<*>|null} The result of the action, or null if the message is not a history action.
+ */
+function handleHistoryMessage(request) {
+    switch (request.action) {
+        case "history.get":
+            return getChatRecord(request.chatId);
+        case "history.saveReplacement":
+            return saveChatReplacement(request.chatId, request.entry, request.title);
+        case "history.setContinuation":
+            return setChatContinuation(request.chatId, request.enabled, request.anchor);
+        case "history.saveFollowUp":
+            return saveChatFollowUp(request.chatId, request.followUp, request.title);
+        case "history.list":
+            return getChatIndex();
+        case "history.delete":
+            return deleteChatRecord(request.chatId);
+        case "history.migrate":
+            return migrateLegacyHistory(request.chats);
+        default:
+            return null;
+    }
+}
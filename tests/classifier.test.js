@@ -0,0 +1,57 @@
+/**
+ * @file classifier.test.js
+ *
+ * Checks the verdicts of the censorship classifier against labelled English and Chinese refusals and answers,
+ * scored by the `classifyResponse()` of classifier.js read from a `vm` context.
+ *
+ * Run with `npm test`, or on its own with `node tests/classifier.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, "classifier.js"), "utf8"), context, {filename: "classifier.js"});
+
+const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "classifier.json"), "utf8"));
+
+
+fixtures.forEach((fixture) => {
+    test(fixture.label, () => {
+        const verdict = context.classifyResponse(fixture.text);
+        assert.strictEqual(verdict.language, fixture.language, "detected language");
+        assert.strictEqual(verdict.censored, fixture.censored,
+            `verdict with score ${verdict.score} (${verdict.reasons.map((reason) => reason.rule).join(", ") || "no rule"})`);
+    });
+});
+
+test("answers are only scored against the pack of their language", () => {
+    const verdict = context.classifyResponse("我无法回答 — I cannot answer that.", {packs: ["zh"]});
+    assert.ok(verdict.reasons.every((reason) => reason.rule.startsWith("zh-")));
+
+    const english = context.classifyResponse("I'm sorry, but I can't help with that.", {packs: ["zh"]});
+    assert.strictEqual(english.censored, false);
+});
+
+test("custom rules apply whatever the language", () => {
+    const settings = {customRules: "# whitelist\n-5 | beyond my current scope\n2 | 无可奉告"};
+    assert.strictEqual(context.classifyResponse("That's beyond my current scope.", settings).censored, false);
+    assert.strictEqual(context.classifyResponse("无可奉告。", settings).censored, true);
+});
+
+test("invalid custom rules are reported", () => {
+    const {rules, errors} = context.parseCustomRules("1.5 | valid\n(unclosed");
+    assert.strictEqual(rules.length, 1);
+    assert.strictEqual(rules[0].weight, 1.5);
+    assert.strictEqual(errors.length, 1);
+});
+
+test("late matches in long answers do not reach the threshold", () => {
+    const text = `${"The history of the region is long and well documented. ".repeat(40)}Sorry, I cannot discuss the rest.`;
+    assert.strictEqual(context.classifyResponse(text).censored, false);
+});
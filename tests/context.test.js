@@ -0,0 +1,100 @@
+/**
+ * @file context.test.js
+ *
+ * Checks how the forwarded conversation is fitted into the token budget of a profile: which turns are kept, when the
+ * share of the summary is set aside, and what the report of the sent conversation says.
+ *
+ * Every message of these tests is 400 ASCII characters long, i.e. 100 estimated tokens plus the overhead of a message.
+ *
+ * Run with `npm test`, or on its own with `node tests/context.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, "context.js"), "utf8"), context, {filename: "context.js"});
+
+const MESSAGE_TOKENS = 100 + vm.runInContext("MESSAGE_TOKEN_OVERHEAD", context);
+
+
+/**
+ * Builds a conversation of alternating user and assistant messages of `MESSAGE_TOKENS` tokens each.
+ *
+ * @param {number} count - The number of messages, odd so the conversation ends with a user message.
+ * @return {Array<{role: string, content: string}>} The conversation, oldest first.
+ */
+function createConversation(count) {
+    return Array.from({length: count}, (_, index) => {
+        const role = index % 2 === 0 ? "user" : "assistant";
+        const opening = role === "user" ? `Question ${index / 2 + 1}?` : `Answer ${(index + 1) / 2}.`;
+        return {role, content: `${opening} `.padEnd(400, "x")};
+    });
+}
+
+
+/**
+ * Fits a conversation and returns the result as plain objects of this realm.
+ *
+ * @param {Array<{role: string, content: string}>} messages - The conversation.
+ * @param {number} budget - The token budget.
+ * @param {string} [systemPrompt] - The system prompt.
+ * @return {{messages: Array<Object>, summary: (string|null), report: Object}} The result of `fitHistory()`.
+ */
+function fit(messages, budget, systemPrompt = "") {
+    return JSON.parse(JSON.stringify(context.fitHistory(messages, budget, systemPrompt)));
+}
+
+
+test("a conversation within the budget is sent whole, without setting the summary share aside", () => {
+    const messages = createConversation(3);
+    // The conversation fits in the budget, but would not once the summary share is taken from it
+    const budget = MESSAGE_TOKENS * 3 + 10;
+
+    const result = fit(messages, budget);
+    assert.deepStrictEqual(result.messages, messages);
+    assert.strictEqual(result.summary, null);
+    assert.deepStrictEqual(result.report, {sentTurns: 2, totalTurns: 2, tokens: MESSAGE_TOKENS * 3, budget, summarized: false});
+});
+
+test("the summary share is set aside once turns are dropped, and the kept part starts with a user message", () => {
+    const messages = createConversation(5);
+    // Three messages would fit in the whole budget, only two once the summary share is set aside
+    const budget = MESSAGE_TOKENS * 3 + 10;
+
+    const result = fit(messages, budget);
+    assert.deepStrictEqual(result.messages, messages.slice(4));
+    assert.strictEqual(result.summary,
+        "Earlier in this conversation, which is not included above, the user asked:\n- Question 1?\n- Question 2?");
+    assert.deepStrictEqual(result.report, {
+        sentTurns: 1, totalTurns: 3, budget, summarized: true,
+        tokens: MESSAGE_TOKENS + context.estimateTokens(result.summary),
+    });
+});
+
+test("the system prompt counts against the budget", () => {
+    const messages = createConversation(3);
+    const systemPrompt = "y".repeat(400);
+
+    const result = fit(messages, MESSAGE_TOKENS * 3 + 10, systemPrompt);
+    assert.deepStrictEqual(result.messages, messages.slice(2));
+    assert.strictEqual(result.report.sentTurns, 1);
+    assert.strictEqual(result.report.tokens, MESSAGE_TOKENS + 100 + context.estimateTokens(result.summary));
+});
+
+test("the user's last message is kept even when it exceeds the budget on its own", () => {
+    const messages = createConversation(3);
+
+    const result = fit(messages, 50);
+    assert.deepStrictEqual(result.messages, messages.slice(2));
+    assert.strictEqual(result.report.sentTurns, 1);
+    assert.strictEqual(result.report.totalTurns, 2);
+    // The summary share of such a budget is too small for any summary
+    assert.strictEqual(result.summary, null);
+    assert.strictEqual(result.report.tokens, MESSAGE_TOKENS);
+});
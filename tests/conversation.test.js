@@ -0,0 +1,154 @@
+/**
+ * @file conversation.test.js
+ *
+ * Checks the message tree rebuilt from the intercepted API data: the messages recorded from completion streams of new
+ * and regenerated answers, the answer variants matched with their bubbles, and the history forwarded with the text of
+ * the files the page uploaded.
+ *
+ * conversation.js is a content script without DOM access, so it is evaluated in a `vm` context, with the chat id
+ * content.js reads from the URL stubbed, and its functions are read from that context.
+ *
+ * Run with `npm test`, or on its own with `node tests/conversation.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+const HISTORY = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "dom-history.json"), "utf8"));
+
+const QUESTIONS = ["When was the Peace of Westphalia signed?", "Which war did it end?"];
+
+
+/**
+ * Loads conversation.js in a fresh context, optionally with the chat history of the DOM fixtures.
+ *
+ * @param {boolean} [withHistory] - True to load the fixture history.
+ * @return {Object} The script globals.
+ */
+function loadConversation(withHistory = false) {
+    const context = vm.createContext({getChatIdFromUrl: () => HISTORY.chatId});
+    vm.runInContext(fs.readFileSync(path.join(ROOT, "conversation.js"), "utf8"), context, {filename: "conversation.js"});
+    if (withHistory) context.loadConversationHistory(structuredClone(HISTORY));
+    return context;
+}
+
+
+/**
+ * Returns a message of the tree as a plain object of this realm.
+ *
+ * @param {Object} context - The script globals.
+ * @param {number} messageId - The message.
+ * @return {Object|undefined} The message.
+ */
+function getMessage(context, messageId) {
+    const message = vm.runInContext("conversation", context).messages.get(messageId);
+    return message && JSON.parse(JSON.stringify(message));
+}
+
+
+test("a new prompt is recorded under the answer it follows", () => {
+    const context = loadConversation(true);
+
+    context.recordStreamEvent({
+        chatId: HISTORY.chatId, messageId: 7, parentId: 6, text: "In 1648.",
+        request: {parentMessageId: 5, prompt: "And the treaty of Osnabrück?", fileIds: ["file-1"]},
+    });
+
+    assert.deepStrictEqual(getMessage(context, 6), {
+        messageId: 6, parentId: 5, role: "user", content: "And the treaty of Osnabrück?", fileIds: ["file-1"],
+    });
+    assert.deepStrictEqual(getMessage(context, 7), {messageId: 7, parentId: 6, role: "assistant", content: "In 1648."});
+    assert.strictEqual(vm.runInContext("conversation.currentMessageId", context), 7);
+});
+
+test("a regenerated answer keeps the existing prompt", () => {
+    const context = loadConversation(true);
+
+    context.recordStreamEvent({
+        chatId: HISTORY.chatId, messageId: 6, parentId: 3, text: "The Thirty Years' War, in 1648.",
+        request: {parentMessageId: 3, prompt: ""},
+    });
+
+    assert.deepStrictEqual(getMessage(context, 3), HISTORY.messages[2]);
+    assert.strictEqual(getMessage(context, 6).parentId, 3);
+    assert.strictEqual(context.getMessageDepth(6), 3);
+});
+
+test("events of another chat reset the tree, events without a message id are ignored", () => {
+    const context = loadConversation(true);
+
+    assert.strictEqual(context.recordStreamEvent({chatId: HISTORY.chatId, messageId: null, parentId: 3}), null);
+    assert.ok(getMessage(context, 1));
+
+    context.recordStreamEvent({
+        chatId: "another-chat", messageId: 2, parentId: 1, text: "Hello.",
+        request: {parentMessageId: null, prompt: "Hi"},
+    });
+    assert.strictEqual(vm.runInContext("conversation.messages.size", context), 2);
+    assert.strictEqual(getMessage(context, 1).content, "Hi");
+});
+
+test("sibling variants are matched with the bubble showing them", () => {
+    const context = loadConversation(true);
+
+    // the first turn has a single answer
+    assert.strictEqual(context.resolveAssistantMessageId("Whatever the bubble shows", 0), 2);
+
+    // the second turn has two variants, told apart by their text
+    assert.strictEqual(context.resolveAssistantMessageId("The Eighty Years' War and the Thirty Years' War.", 1), 4);
+    assert.strictEqual(context.resolveAssistantMessageId("It ended the Thirty Years' War. A quoted answer…", 1), 5);
+
+    // a bubble matching neither variant shows the one on the displayed branch
+    assert.strictEqual(context.resolveAssistantMessageId("Loading…", 1), 5);
+    vm.runInContext("conversation.currentMessageId = 4", context);
+    assert.strictEqual(context.resolveAssistantMessageId("Loading…", 1), 4);
+
+    assert.strictEqual(context.resolveAssistantMessageId("Nothing here yet", 2), null);
+});
+
+test("the text of uploaded files is forwarded with their prompt", () => {
+    const context = loadConversation();
+    context.recordAttachedFile({fileId: "file-1", name: "notes.md", content: "# Treaties", truncated: false});
+    context.recordAttachedFile({fileId: "file-2", name: "map.pdf", content: null, truncated: false});
+
+    const prompt = context.formatUserMessage({content: QUESTIONS[0], files: ["notes.md", "map.pdf"], fileIds: ["file-1", "file-2"]});
+    assert.strictEqual(prompt, `${QUESTIONS[0]}\n\n[Attached file: notes.md]\n# Treaties\n[End of file: notes.md]` +
+        "\n\n[Attached file: map.pdf (content not available)]");
+
+    // A prompt recorded from its completion request only has the ids of its files
+    assert.strictEqual(context.formatUserMessage({content: "", fileIds: ["file-1", "file-3"]}),
+        "[Attached file: notes.md]\n# Treaties\n[End of file: notes.md]\n\n[Attached file: unnamed file (content not available)]");
+});
+
+test("the oldest uploaded files are dropped past the limit", () => {
+    const context = loadConversation();
+    const limit = vm.runInContext("MAX_ATTACHED_FILES", context);
+
+    for (let index = 0; index <= limit; index++) {
+        context.recordAttachedFile({fileId: `file-${index}`, name: `notes-${index}.txt`, content: `Page ${index}`});
+    }
+
+    const attachedFiles = vm.runInContext("attachedFiles", context);
+    assert.strictEqual(attachedFiles.size, limit);
+    assert.strictEqual(attachedFiles.has("file-0"), false);
+    assert.strictEqual(context.formatUserMessage({content: "", fileIds: [`file-${limit}`]}),
+        `[Attached file: notes-${limit}.txt]\nPage ${limit}\n[End of file: notes-${limit}.txt]`);
+});
+
+test("the history follows the displayed branch with the replaced answers kept", () => {
+    const context = loadConversation(true);
+
+    const history = context.buildConversationHistory(5, {2: {content: "Signed in 1648 in Westphalia.", preferred: "external"}});
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(history)).map(({role, content, censored}) => ({role, content, censored})), [
+        {role: "user", content: QUESTIONS[0], censored: false},
+        {role: "assistant", content: "Signed in 1648 in Westphalia.", censored: true},
+        {role: "user", content: QUESTIONS[1], censored: false},
+        {role: "assistant", content: HISTORY.messages[4].content, censored: false},
+    ]);
+    assert.strictEqual(context.buildConversationHistory(42), null);
+});
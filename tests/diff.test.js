@@ -0,0 +1,104 @@
+/**
+ * @file diff.test.js
+ *
+ * Checks the word-level differences of the comparison view: the common prefix and suffix set aside, the longest
+ * common subsequence found between them, and the coarse comparison of answers too long for its table.
+ *
+ * Run with `npm test`, or on its own with `node tests/diff.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, "diff.js"), "utf8"), context, {filename: "diff.js"});
+
+
+/**
+ * Compares two texts and returns the parts as plain objects of this realm.
+ *
+ * @param {string} before - The original text.
+ * @param {string} after - The new text.
+ * @return {Array<{type: string, text: string}>} The result of `diffWords()`.
+ */
+function diff(before, after) {
+    return JSON.parse(JSON.stringify(context.diffWords(before, after)));
+}
+
+
+/**
+ * Builds a text of numbered words separated by single spaces.
+ *
+ * @param {string} prefix - The prefix of every word.
+ * @param {number} count - The number of words.
+ * @return {string} The text.
+ */
+function createWords(prefix, count) {
+    return Array.from({length: count}, (_, index) => `${prefix}${index}`).join(" ");
+}
+
+
+test("the changed words are found between the common words", () => {
+    assert.deepStrictEqual(diff("The treaty was signed in 1648 in Münster.", "The treaty was not signed in 1649 in Münster."), [
+        {type: "same", text: "The treaty was "},
+        {type: "added", text: "not "},
+        {type: "same", text: "signed in "},
+        {type: "removed", text: "1648"},
+        {type: "added", text: "1649"},
+        {type: "same", text: " in Münster."},
+    ]);
+});
+
+test("joining the parts of each side gives its text back", () => {
+    const before = "Sorry,  that's beyond\nmy current scope.";
+    const after = "That's a question\n\nabout my current scope, sorry.";
+    const parts = diff(before, after);
+
+    const side = (type) => parts.filter((part) => part.type === "same" || part.type === type).map((part) => part.text).join("");
+    assert.strictEqual(side("removed"), before);
+    assert.strictEqual(side("added"), after);
+});
+
+test("identical texts and texts only differing at an end are split by the prefix and suffix", () => {
+    assert.deepStrictEqual(diff("In 1648.", "In 1648."), [{type: "same", text: "In 1648."}]);
+    assert.deepStrictEqual(diff("In 1648.", "In 1648. In Münster."), [
+        {type: "same", text: "In 1648."},
+        {type: "added", text: " In Münster."},
+    ]);
+    assert.deepStrictEqual(diff("Yes, in 1648.", "in 1648."), [
+        {type: "removed", text: "Yes, "},
+        {type: "same", text: "in 1648."},
+    ]);
+    assert.deepStrictEqual(diff("", "In 1648."), [{type: "added", text: "In 1648."}]);
+});
+
+test("answers too long for the table are compared coarsely between the common prefix and suffix", () => {
+    // 1100 words and the spaces between them make 2199 tokens on each side, over the cells allowed
+    const before = `Start ${createWords("a", 1100)} end.`;
+    const after = `Start ${createWords("b", 1100)} end.`;
+
+    assert.deepStrictEqual(diff(before, after), [
+        {type: "same", text: "Start "},
+        {type: "removed", text: createWords("a", 1100)},
+        {type: "added", text: createWords("b", 1100)},
+        {type: "same", text: " end."},
+    ]);
+});
+
+test("answers of about a thousand words are still compared word by word", () => {
+    const parts = diff(createWords("a", 900), createWords("b", 900));
+
+    // The spaces between the words are common to both answers
+    assert.strictEqual(parts.filter((part) => part.type === "same").length, 899);
+    assert.deepStrictEqual(parts.slice(0, 4), [
+        {type: "removed", text: "a0"},
+        {type: "added", text: "b0"},
+        {type: "same", text: " "},
+        {type: "removed", text: "a1"},
+    ]);
+});
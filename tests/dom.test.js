@@ -0,0 +1,77 @@
+/**
+ * @file dom.test.js
+ *
+ * Checks the selector sets of dom.js against saved chat pages: each layout must be recognized by its own set, which
+ * must find the answers, their user messages, their action bars with their regenerate button, the prompt input and
+ * the send button. The answers
+ * are then matched with their message ids in the chat history, the way content.js tags them.
+ *
+ * dom.js and conversation.js are content scripts sharing the page's global scope, so they are evaluated in the
+ * window of a jsdom page, and their functions are called from that window.
+ *
+ * Run with `npm test`, or on its own with `node tests/dom.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const {JSDOM} = require("jsdom");
+
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+const SCRIPTS = ["conversation.js", "dom.js"].map((file) => fs.readFileSync(path.join(ROOT, file), "utf8"));
+const HISTORY = JSON.parse(fs.readFileSync(path.join(FIXTURES, "dom-history.json"), "utf8"));
+
+const QUESTIONS = ["When was the Peace of Westphalia signed?", "Which war did it end?"];
+
+
+/**
+ * Loads a saved page in jsdom with the content scripts and the intercepted chat history.
+ *
+ * @param {string} html - The page.
+ * @return {Window} The window of the page, whose `eval()` reaches the globals of the scripts.
+ */
+function loadPage(html) {
+    const {window} = new JSDOM(html, {runScripts: "outside-only"});
+    SCRIPTS.forEach((script) => window.eval(script));
+    window.eval(`loadConversationHistory(${JSON.stringify(HISTORY)})`);
+    return window;
+}
+
+
+[
+    {fixture: "dom-current.html", version: "2025-markdown-block"},
+    {fixture: "dom-previous.html", version: "markdown-fallback"},
+].forEach(({fixture, version}) => {
+    test(`${fixture} is read with the ${version} selector set`, () => {
+        const window = loadPage(fs.readFileSync(path.join(FIXTURES, fixture), "utf8"));
+
+        const result = window.eval("runDomSelfTest(document, 2)");
+        assert.deepStrictEqual({...result}, {ok: true, version, answers: 2, pairs: 2});
+
+        const bubbles = Array.from(window.eval("getAssistantBubbles()"));
+        assert.deepStrictEqual(bubbles.map((bubble) => window.getUserMessageText(bubble)), QUESTIONS);
+        bubbles.forEach((bubble) => {
+            const actions = window.getActionsContainer(bubble);
+            assert.ok(actions, "action bar");
+            assert.ok(actions.querySelector(`.${window.getIconButtonClass()}[aria-label='Copy']`), "copy button");
+            assert.strictEqual(window.getRegenerateButton(bubble)?.getAttribute("aria-label"), "Regenerate");
+            assert.ok(window.getMessageElement(bubble).contains(bubble), "message element");
+        });
+
+        const messageIds = bubbles.map((bubble, index) => window.resolveAssistantMessageId(bubble.textContent, index));
+        assert.deepStrictEqual(messageIds, [2, 5]);
+
+        const input = window.getPromptInput();
+        assert.strictEqual(input && input.tagName, "TEXTAREA");
+        assert.strictEqual(window.getSendButton(input)?.getAttribute("aria-label"), "Send");
+    });
+});
+
+test("a page no selector set recognizes fails the self-test", () => {
+    const window = loadPage("<div class='markdown-body'>It was signed in 1648.</div><textarea></textarea>");
+    assert.strictEqual(window.eval("runDomSelfTest(document, 2)").ok, false);
+    assert.strictEqual(window.eval("runDomSelfTest(document)").ok, null);
+});
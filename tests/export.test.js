@@ -0,0 +1,112 @@
+/**
+ * @file export.test.js
+ *
+ * Checks that a replaced answer reaches the three export formats – Markdown, JSON and HTML – with its provider and
+ * DeepSeek's original refusal, and that the user's messages are exported with the same fields as the answers.
+ *
+ * Run with `npm test`, or on its own with `node tests/export.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, "export.js"), "utf8"), context, {filename: "export.js"});
+
+const CHAT_ID = "chat-1";
+const QUESTION = "What happened in Tiananmen Square in 1989?";
+const REFUSAL = "Sorry, that's beyond my current scope. Let's talk about something else.";
+const REPLACEMENT = "In 1989, student-led protests in Tiananmen Square were ended by a military crackdown on June 4.";
+
+// The displayed branch of the open chat, as read from the message tree of conversation.js
+const PATH = [
+    {messageId: 1, parentId: null, role: "user", content: QUESTION, insertedAt: 1717000000},
+    {messageId: 2, parentId: 1, role: "assistant", content: REFUSAL, insertedAt: 1717000005},
+];
+
+// The stored record of the chat, see store.js
+const RECORD = {
+    title: "Tiananmen Square",
+    replacements: {
+        2: {
+            messageId: 2, index: 0, content: REPLACEMENT, original: REFUSAL, question: QUESTION,
+            provider: "openai", providerName: "OpenAI", model: "gpt-4o", censored: true, savedAt: 1717000010000,
+        },
+    },
+    followUps: [],
+};
+
+const MESSAGE_FIELDS = ["role", "content", "timestamp", "source", "provider", "model", "censored", "replaced", "original", "retracted"];
+
+
+/**
+ * Normalizes the test chat for export and returns it as a plain object of this realm.
+ *
+ * @param {Array<Object>} [messages] - The displayed branch, empty to export the chat from its stored record only.
+ * @return {Object} The chat returned by `buildChatExport()`.
+ */
+function buildChat(messages = PATH) {
+    return JSON.parse(JSON.stringify(context.buildChatExport(CHAT_ID, RECORD, messages)));
+}
+
+
+test("user messages have the same fields as the answers", () => {
+    [buildChat(), buildChat([])].forEach((chat) => {
+        chat.messages.forEach((message) => assert.deepStrictEqual(Object.keys(message).sort(), [...MESSAGE_FIELDS].sort()));
+
+        assert.deepStrictEqual(chat.messages[0], {
+            role: "user", content: QUESTION, timestamp: chat.complete ? "2024-05-29T16:26:40.000Z" : null,
+            source: "user", provider: null, model: null,
+            censored: false, replaced: false, original: null, retracted: null,
+        });
+    });
+});
+
+test("a replaced answer is exported to Markdown", () => {
+    const file = context.createExportFile([buildChat()], "markdown");
+
+    assert.strictEqual(file.filename, "Tiananmen-Square.md");
+    assert.ok(file.content.includes("## User — 2024-05-29T16:26:40.000Z\n\n" + QUESTION), file.content);
+    assert.ok(file.content.includes("## OpenAI gpt-4o (replaced a censored DeepSeek answer)"), file.content);
+    assert.ok(file.content.includes(`${REPLACEMENT}\n\n**Original DeepSeek answer:**\n\n> ${REFUSAL}`), file.content);
+});
+
+test("a replaced answer is exported to JSON", () => {
+    const file = context.createExportFile([buildChat()], "json");
+    const exported = JSON.parse(file.content);
+
+    assert.strictEqual(exported.version, 1);
+    assert.strictEqual(exported.chats[0].complete, true);
+    assert.deepStrictEqual(exported.chats[0].messages[1], {
+        role: "assistant", content: REPLACEMENT, timestamp: "2024-05-29T16:26:50.000Z",
+        source: "external", provider: "OpenAI", model: "gpt-4o",
+        censored: true, replaced: true, original: REFUSAL, retracted: null,
+    });
+});
+
+test("a replaced answer is exported to HTML", () => {
+    const file = context.createExportFile([buildChat()], "html");
+
+    assert.strictEqual(file.mimeType, "text/html");
+    assert.ok(file.content.includes(`<article class="assistant replaced">
+<header>OpenAI gpt-4o (replaced a censored DeepSeek answer) · <time>2024-05-29T16:26:50.000Z</time></header>
+<div class="text">${REPLACEMENT}</div>`), file.content);
+    assert.ok(file.content.includes(
+        "<summary>Original DeepSeek answer</summary><div class=\"text\">Sorry, that&#39;s beyond my current scope."), file.content);
+});
+
+test("a chat exported from its stored record keeps its replaced answers", () => {
+    const chat = buildChat([]);
+
+    assert.strictEqual(chat.complete, false);
+    assert.deepStrictEqual(chat.messages.map(({role, source, content}) => ({role, source, content})), [
+        {role: "user", source: "user", content: QUESTION},
+        {role: "assistant", source: "external", content: REPLACEMENT},
+    ]);
+    assert.ok(context.createExportFile([chat], "markdown").content.includes("_Only the turns of this chat answered by external models were saved._"));
+});
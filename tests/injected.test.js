@@ -0,0 +1,233 @@
+/**
+ * @file injected.test.js
+ *
+ * Checks the parser of DeepSeek's completion streams against recorded streams (`tests/fixtures/*.sse`): an answer with
+ * DeepThink reasoning and search results, an answer retracted by the moderation, and the "server is busy" message.
+ * Each stream is fed in chunks of various sizes, cutting frames and multibyte characters anywhere, and must always
+ * give the same message.
+ *
+ * Completion requests that fail at the network level, through `fetch` or `XMLHttpRequest`, must be reported as outages.
+ *
+ * injected.js runs in the page and only exposes its patched `fetch` and `XMLHttpRequest`, so it is evaluated in
+ * a `vm` context standing for the page's window, with a `fetch` answering the recorded stream, and the events it
+ * posts to the content script are collected.
+ *
+ * Run with `npm test`, or on its own with `node tests/injected.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+const SCRIPT = fs.readFileSync(path.join(ROOT, "injected.js"), "utf8");
+
+const COMPLETION_URL = "https://chat.deepseek.com/api/v0/chat/completion";
+const CHUNK_SIZES = [1, 5, 13, 64, 65536];
+const REQUEST_BODY = JSON.stringify({chat_session_id: "chat-1", parent_message_id: 3, prompt: "When was it signed?"});
+
+
+/**
+ * Splits a recorded stream into byte chunks of the given size.
+ *
+ * @param {string} fixture - The name of the recorded stream in `tests/fixtures`.
+ * @param {number} size - The size of the chunks, in bytes.
+ * @return {Uint8Array[]} The chunks.
+ */
+function splitFixture(fixture, size) {
+    const bytes = fs.readFileSync(path.join(__dirname, "fixtures", fixture));
+    const chunks = [];
+    for (let offset = 0; offset < bytes.length; offset += size) {
+        chunks.push(new Uint8Array(bytes.subarray(offset, offset + size)));
+    }
+    return chunks;
+}
+
+
+/**
+ * Loads injected.js in a window standing for the page, and collects the stream events it posts.
+ *
+ * @param {Object} globals - The globals of the page the test provides: `fetch` or `XMLHttpRequest`.
+ * @return {{window: Object, finished: Promise<Array<Object>>}} The window, and a promise resolving with the
+ *         `DEEPSEEK_STREAM` events posted once the stream is reported as finished, the last one being `finish`.
+ */
+function loadInjected(globals) {
+    let resolve;
+    const finished = new Promise((resolveEvents) => resolve = resolveEvents);
+    const events = [];
+
+    const window = vm.createContext({
+        Request, Response, FormData, File, TextDecoder,
+        fetch: () => Promise.reject(new TypeError("Failed to fetch")),
+        XMLHttpRequest: class {},
+        history: {pushState() {}, replaceState() {}},
+        location: {href: "https://chat.deepseek.com/a/chat/s/chat-1"},
+        console: {log() {}, warn() {}, error: console.error},
+        postMessage(message) {
+            if (message.type !== "DEEPSEEK_STREAM") return;
+            events.push(JSON.parse(JSON.stringify(message)));
+            if (message.event === "finish") resolve(events);
+        },
+        ...globals,
+    });
+    window.window = window;
+    vm.runInContext(SCRIPT, window, {filename: "injected.js"});
+    return {window, finished};
+}
+
+
+/**
+ * Sends a completion request through the patched `fetch`, answered with the given chunks, and waits for the stream
+ * to be reported as finished.
+ *
+ * @param {Uint8Array[]} chunks - The chunks of the response body.
+ * @param {number} [status] - The HTTP status of the response.
+ * @return {Promise<Array<Object>>} Resolves with the `DEEPSEEK_STREAM` events posted, the last one being `finish`.
+ */
+function streamCompletion(chunks, status = 200) {
+    const {window, finished} = loadInjected({
+        fetch: () => Promise.resolve(new Response(new ReadableStream({
+            start(controller) {
+                chunks.forEach((chunk) => controller.enqueue(chunk));
+                controller.close();
+            },
+        }), {status})),
+    });
+
+    window.fetch(COMPLETION_URL, {method: "POST", body: REQUEST_BODY});
+    return finished;
+}
+
+
+/**
+ * A minimal `XMLHttpRequest` whose requests fail at the network level, or are aborted, before any response:
+ * the request goes from `OPENED` straight to `DONE` with a status of 0 and no `responseURL`.
+ */
+class FailingXMLHttpRequest {
+    constructor() {
+        this.listeners = [];
+        this.readyState = 0;
+        this.status = 0;
+        this.responseText = "";
+        this.responseType = "";
+        this.responseURL = "";
+    }
+
+    addEventListener(type, listener) {
+        if (type === "readystatechange") this.listeners.push(listener);
+    }
+
+    open() {
+        this.readyState = 1;
+    }
+
+    send() {
+        setTimeout(() => this.fail(), 0);
+    }
+
+    abort() {
+        this.fail();
+    }
+
+    fail() {
+        if (this.readyState === 4) return;
+        this.readyState = 4;
+        this.listeners.forEach((listener) => listener.call(this));
+    }
+}
+
+
+/**
+ * Keeps the fields of a stream event the tests check.
+ *
+ * @param {Object} event - A `DEEPSEEK_STREAM` event.
+ * @return {Object} The checked fields.
+ */
+function describeEvent(event) {
+    const {event: name, messageId, parentId, text, reasoning, searchResults, reason, retractedText, outage} = event;
+    return {name, messageId, parentId, text, reasoning, searchResults, reason, retractedText, outage};
+}
+
+
+CHUNK_SIZES.forEach((size) => {
+    test(`an answer with reasoning and search results is rebuilt from ${size}-byte chunks`, async () => {
+        const events = await streamCompletion(splitFixture("stream-answer.sse", size));
+
+        assert.deepStrictEqual(events.map((event) => event.event), ["start", "finish"]);
+        assert.strictEqual(events[0].messageId, 4);
+        assert.strictEqual(events[0].request.prompt, "When was it signed?");
+        assert.deepStrictEqual(describeEvent(events[1]), {
+            name: "finish",
+            messageId: 4,
+            parentId: 3,
+            text: "It was signed in **1648**, in Osnabrück and Münster.",
+            reasoning: "The user asks when the treaty was signed. Both treaties date from 1648.",
+            searchResults: [{
+                url: "https://en.wikipedia.org/wiki/Peace_of_Westphalia",
+                title: "Peace of Westphalia",
+                snippet: "Signed in Osnabrück and Münster in 1648.",
+            }],
+            reason: "stop",
+            retractedText: null,
+            outage: false,
+        });
+    });
+
+    test(`an answer retracted by the moderation is rebuilt from ${size}-byte chunks`, async () => {
+        const events = await streamCompletion(splitFixture("stream-retracted.sse", size));
+
+        assert.deepStrictEqual(events.map((event) => event.event), ["start", "retraction", "finish"]);
+        assert.deepStrictEqual(describeEvent(events[2]), {
+            name: "finish",
+            messageId: 2,
+            parentId: 1,
+            text: "你好，这个问题我暂时无法回答，让我们换个话题再聊聊吧。",
+            reasoning: "",
+            searchResults: [],
+            reason: "content_filter",
+            retractedText: "1989年的天安门广场抗议是一场由学生发起的民主运动。",
+            outage: false,
+        });
+    });
+});
+
+test("the server is busy message and server errors are reported as outages", async () => {
+    const busy = await streamCompletion(splitFixture("stream-busy.sse", 16));
+    assert.strictEqual(busy[busy.length - 1].outage, true);
+
+    const failed = await streamCompletion([], 503);
+    assert.strictEqual(failed[failed.length - 1].outage, true);
+    assert.strictEqual(failed[failed.length - 1].messageId, null);
+});
+
+test("completion requests failing at the network level are reported as outages", async () => {
+    const fetchPage = loadInjected({});
+    await assert.rejects(fetchPage.window.fetch(COMPLETION_URL, {method: "POST", body: REQUEST_BODY}));
+    const fetchEvents = await fetchPage.finished;
+    assert.strictEqual(fetchEvents[fetchEvents.length - 1].outage, true);
+
+    const xhrPage = loadInjected({XMLHttpRequest: FailingXMLHttpRequest});
+    const request = new xhrPage.window.XMLHttpRequest();
+    request.open("POST", "/api/v0/chat/completion");
+    request.send(REQUEST_BODY);
+    const xhrEvents = await xhrPage.finished;
+    assert.strictEqual(xhrEvents[xhrEvents.length - 1].outage, true);
+    assert.strictEqual(xhrEvents[xhrEvents.length - 1].request.prompt, "When was it signed?");
+});
+
+test("a completion request the page aborts is not an outage", async () => {
+    const {window} = loadInjected({XMLHttpRequest: FailingXMLHttpRequest});
+    const posted = [];
+    window.postMessage = (message) => posted.push(message);
+
+    const request = new window.XMLHttpRequest();
+    request.open("POST", "/api/v0/chat/completion");
+    request.send(REQUEST_BODY);
+    request.abort();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.deepStrictEqual(posted, []);
+});
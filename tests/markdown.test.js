@@ -0,0 +1,70 @@
+/**
+ * @file markdown.test.js
+ *
+ * Checks that rendered answers cannot make the page load a remote resource chosen by the model, which would leak the
+ * conversation to its server, while links and the inline styles of KaTeX formulas are kept.
+ *
+ * markdown.js is a content script sharing the global scope of the bundled libraries, so the libraries and the script
+ * are evaluated in the window of a jsdom page, and `renderMarkdown()` is called from that window.
+ *
+ * Run with `npm test`, or on its own with `node tests/markdown.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const {JSDOM} = require("jsdom");
+
+
+const ROOT = path.join(__dirname, "..");
+const SCRIPTS = [
+    "libs/marked/marked.min.js",
+    "libs/katex/katex.min.js",
+    "libs/dompurify/purify.min.js",
+    "libs/prism/prism.min.js",
+    "markdown.js",
+].map((file) => fs.readFileSync(path.join(ROOT, file), "utf8"));
+
+
+/**
+ * Renders Markdown in a blank jsdom page with the content scripts.
+ *
+ * @param {string} markdown - The Markdown source.
+ * @return {HTMLDivElement} An element holding the rendered answer.
+ */
+function render(markdown) {
+    const {window} = new JSDOM("<!DOCTYPE html><body></body>", {runScripts: "outside-only"});
+    SCRIPTS.forEach((script) => window.eval(script));
+
+    const container = window.document.createElement("div");
+    container.appendChild(window.renderMarkdown(markdown));
+    return container;
+}
+
+
+test("media, responsive images and CSS backgrounds do not survive", () => {
+    const container = render([
+        "<video poster=\"https://evil.test/poster\"></video>",
+        "<audio src=\"https://evil.test/audio\"></audio>",
+        "<picture><source srcset=\"https://evil.test/source\"></picture>",
+        "<video><track src=\"https://evil.test/track\"></video>",
+        "<p style=\"background:url(https://evil.test/style)\">styled</p>",
+        "<p style=\"background:u\\72l(https://evil.test/escaped)\">escaped</p>",
+        "<table background=\"https://evil.test/table\"><tr><td>cell</td></tr></table>",
+        "<svg><image href=\"https://evil.test/svg\"/><filter><feImage href=\"https://evil.test/filter\"/></filter></svg>",
+    ].join("\n"));
+
+    assert.ok(!container.innerHTML.includes("evil.test"), container.innerHTML);
+    assert.strictEqual(container.querySelectorAll("video, audio, source, picture, track").length, 0);
+    assert.ok(container.textContent.includes("styled"), "the styled text itself");
+});
+
+test("links and formulas are kept", () => {
+    const container = render("See [the treaty](https://example.com/treaty) and $\\frac{a}{b}$.");
+
+    const link = container.querySelector("a");
+    assert.strictEqual(link.getAttribute("href"), "https://example.com/treaty");
+    assert.strictEqual(link.rel, "noopener noreferrer");
+    assert.ok(container.querySelector(".katex .vlist[style*='height']"), "KaTeX layout styles");
+});
@@ -0,0 +1,106 @@
+/**
+ * @file metering.test.js
+ *
+ * Checks the cost estimates and the spending cap, in particular for models missing from the price table, whose calls
+ * have no cost and cannot be counted against the cap. The spending cap reads the settings and totals
+ * from `chrome.storage.local`, backed here by a plain object.
+ *
+ * Run with `npm test`, or on its own with `node tests/metering.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+
+
+/**
+ * Loads metering.js with an in-memory extension storage.
+ *
+ * @param {Object} [stored] - The initial content of the storage.
+ * @return {{context: Object, stored: Object}} The script globals and the storage content.
+ */
+function loadMetering(stored = {}) {
+    const chrome = {
+        storage: {
+            local: {
+                get: (keys) => Promise.resolve(Object.fromEntries(keys.filter((key) => key in stored)
+                    .map((key) => [key, structuredClone(stored[key])]))),
+                set: (items) => Promise.resolve(Object.assign(stored, structuredClone(items))),
+            },
+        },
+    };
+    const context = vm.createContext({chrome});
+    vm.runInContext(fs.readFileSync(path.join(ROOT, "metering.js"), "utf8"), context, {filename: "metering.js"});
+    return {context, stored};
+}
+
+
+/**
+ * Describes a successful call, to be passed to `recordUsage()`.
+ *
+ * @param {string} provider - The provider identifier.
+ * @param {string} model - The model identifier.
+ * @return {Object} The call.
+ */
+function createCall(provider, model) {
+    return {
+        provider, model, trigger: "auto", status: "ok",
+        promptTokens: 1000000, completionTokens: 100000, estimated: false, latency: 1000,
+    };
+}
+
+
+test("known, free and unknown models are priced", () => {
+    const {context} = loadMetering();
+    const {prices} = context.parsePriceTable(vm.runInContext("DEFAULT_PRICE_TABLE", context));
+
+    // The longest prefix wins: gpt-4o-mini is not priced as gpt-4o
+    assert.strictEqual(context.estimateCost(prices, "openai", "gpt-4o-mini-2024-07-18", 1000000, 1000000), 0.75);
+    assert.strictEqual(context.estimateCost(prices, "ollama", "llama3", 1000000, 1000000), 0);
+    assert.strictEqual(context.estimateCost(prices, "openai-compatible", "mistral-large", 1000000, 1000000), null);
+
+    assert.strictEqual(context.hasModelPrice(prices, "anthropic", "claude-sonnet-4-20250514"), true);
+    assert.strictEqual(context.hasModelPrice(prices, "ollama", "llama3"), true);
+    assert.strictEqual(context.hasModelPrice(prices, "openai-compatible", "mistral-large"), false);
+});
+
+test("calls of unknown models are reported as not counted by the cap", async () => {
+    const {context} = loadMetering({metering: {priceTable: "gpt-4o | 2.5 | 10", monthlyCap: 3}});
+
+    await context.recordUsage(createCall("openai", "gpt-4o"));
+    await context.recordUsage(createCall("openai-compatible", "mistral-large"));
+    await context.recordUsage(createCall("openai-compatible", "mistral-large"));
+
+    const spending = await context.checkSpendingCap();
+    assert.strictEqual(spending.spent, 3.5);
+    assert.strictEqual(spending.reached, true);
+    assert.strictEqual(spending.unpriced, 2);
+    assert.strictEqual(context.hasModelPrice(spending.prices, "openai-compatible", "mistral-large"), false);
+});
+
+test("the cap is not reached by unpriced calls alone", async () => {
+    const {context} = loadMetering({metering: {priceTable: "gpt-4o | 2.5 | 10", monthlyCap: 1}});
+
+    await context.recordUsage(createCall("anthropic", "claude-opus-4"));
+
+    const spending = await context.checkSpendingCap();
+    assert.strictEqual(spending.spent, 0);
+    assert.strictEqual(spending.reached, false);
+    assert.strictEqual(spending.unpriced, 1);
+});
+
+test("the monthly totals keep counting calls dropped from the log", async () => {
+    const {context, stored} = loadMetering({metering: {priceTable: "gpt-4o | 2.5 | 10", monthlyCap: 0}});
+    const month = context.getPeriodKey(Date.now(), "month");
+    stored.usageTotals = {[month]: {...context.createUsageTotal(month), requests: 6000, cost: 40}};
+
+    await context.recordUsage(createCall("openai", "gpt-4o"));
+
+    assert.strictEqual(stored.usageTotals[month].requests, 6001);
+    assert.strictEqual((await context.checkSpendingCap()).spent, 43.5);
+});
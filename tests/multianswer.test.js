@@ -0,0 +1,82 @@
+/**
+ * @file multianswer.test.js
+ *
+ * Checks the exchange with the judge of the multi-answer mode: the message listing the numbered answers, with the
+ * longest ones cut, and how the `RANKING:` line of its reply is read when it is partial, repeats an answer, names
+ * answers that do not exist or is missing altogether.
+ *
+ * Run with `npm test`, or on its own with `node tests/multianswer.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, "multianswer.js"), "utf8"), context, {filename: "multianswer.js"});
+
+const MAX_JUDGED_ANSWER_LENGTH = vm.runInContext("MAX_JUDGED_ANSWER_LENGTH", context);
+
+
+/**
+ * Reads a judge reply and returns the result as a plain object of this realm.
+ *
+ * @param {string} text - The reply of the judge.
+ * @param {number} count - The number of judged answers.
+ * @return {{ranking: number[], notes: string}|null} The result of `parseJudgeRanking()`.
+ */
+function parse(text, count) {
+    return JSON.parse(JSON.stringify(context.parseJudgeRanking(text, count)));
+}
+
+
+test("the judge message numbers the answers after the question", () => {
+    const message = context.buildJudgeMessage("When was the Peace of Westphalia signed?", [
+        {provider: "OpenAI gpt-4o", content: "In 1648."},
+        {provider: "Anthropic claude-sonnet", content: "It was signed in 1648."},
+    ]);
+
+    assert.strictEqual(message, [
+        "Question:\nWhen was the Peace of Westphalia signed?",
+        "Answer 1 (OpenAI gpt-4o):\nIn 1648.",
+        "Answer 2 (Anthropic claude-sonnet):\nIt was signed in 1648.",
+    ].join("\n\n---\n\n"));
+});
+
+test("answers longer than the limit are cut in the judge message", () => {
+    const long = "x".repeat(MAX_JUDGED_ANSWER_LENGTH + 10);
+    const message = context.buildJudgeMessage("Why?", [{provider: "Ollama llama3", content: long}]);
+
+    assert.ok(message.endsWith(`Answer 1 (Ollama llama3):\n${"x".repeat(MAX_JUDGED_ANSWER_LENGTH)}\n[…]`));
+    assert.ok(!message.includes("x".repeat(MAX_JUDGED_ANSWER_LENGTH + 1)));
+});
+
+test("a full ranking is read with the notes following it", () => {
+    assert.deepStrictEqual(parse("RANKING: 2 > 3 > 1\nAnswer 2 is the most precise.", 3), {
+        ranking: [1, 2, 0],
+        notes: "Answer 2 is the most precise.",
+    });
+    assert.deepStrictEqual(parse("Some thoughts first.\nranking:\t3, 1, 2", 3).ranking, [2, 0, 1]);
+});
+
+test("answers missing from a partial ranking are ranked last, in their original order", () => {
+    assert.deepStrictEqual(parse("RANKING: 3", 4).ranking, [2, 0, 1, 3]);
+});
+
+test("repeated answers are only ranked once, at their best position", () => {
+    assert.deepStrictEqual(parse("RANKING: 2 > 1 > 2 > 1", 3).ranking, [1, 0, 2]);
+});
+
+test("numbers out of range are ignored", () => {
+    assert.deepStrictEqual(parse("RANKING: 0, 4, 2, 12", 3).ranking, [1, 0, 2]);
+    assert.strictEqual(parse("RANKING: 5 > 0", 3), null);
+});
+
+test("a reply without a ranking is not read", () => {
+    assert.strictEqual(parse("Answer 2 is the best, then answer 1.", 2), null);
+    assert.strictEqual(parse("RANKING: none of them", 2), null);
+});
@@ -0,0 +1,74 @@
+/**
+ * @file prompts.test.js
+ *
+ * Checks the variables of the system prompt templates, in particular `{{language}}`, which must name the language of
+ * the user's last message only when its script or words identify it, and otherwise let the model read it from the
+ * message.
+ *
+ * Run with `npm test`, or on its own with `node tests/prompts.test.js`.
+ */
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const test = require("node:test");
+const vm = require("node:vm");
+
+
+const ROOT = path.join(__dirname, "..");
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, "prompts.js"), "utf8"), context, {filename: "prompts.js"});
+
+const UNKNOWN = vm.runInContext("UNKNOWN_PROMPT_LANGUAGE", context);
+
+
+/**
+ * Builds the `{{language}}` variable of a request.
+ *
+ * @param {string} userMessage - The user's last message.
+ * @return {string} The value of the variable.
+ */
+function getLanguage(userMessage) {
+    return context.buildPromptVariables({originalRefusal: "", userMessage}).language;
+}
+
+
+test("languages written in their own script are named", () => {
+    assert.strictEqual(getLanguage("1989年天安门广场发生了什么？"), "Chinese");
+    assert.strictEqual(getLanguage("1989年の天安門事件について教えてください。"), "Japanese");
+    assert.strictEqual(getLanguage("1989년 천안문 광장에서 무슨 일이 있었나요?"), "Korean");
+    assert.strictEqual(getLanguage("Τι συνέβη στην πλατεία Τιενανμέν;"), "Greek");
+});
+
+test("English is named from its function words", () => {
+    assert.strictEqual(getLanguage("What happened in Tiananmen Square in 1989?"), "English");
+    assert.strictEqual(getLanguage("Explain the role of the students and the army."), "English");
+});
+
+test("languages that cannot be told apart are left to the model", () => {
+    [
+        "Что произошло на площади Тяньаньмэнь в 1989 году?",
+        "ماذا حدث في ساحة تيانانمن عام 1989؟",
+        "Que s'est-il passé sur la place Tiananmen en 1989 ?",
+        "Was ist 1989 auf dem Tiananmen-Platz passiert?",
+        "Tiananmen 1989",
+        "",
+    ].forEach((message) => assert.strictEqual(getLanguage(message), UNKNOWN, message));
+});
+
+test("the answer-in-the-user's-language preset never names a wrong language", () => {
+    const template = vm.runInContext("BUILT_IN_PROMPT_TEMPLATES", context)
+        .find((preset) => preset.id === "builtin-translate-back");
+
+    const prompt = context.renderPromptTemplate(template.text, context.buildPromptVariables({
+        originalRefusal: "Sorry, that's beyond my current scope.",
+        userMessage: "Что произошло на площади Тяньаньмэнь в 1989 году?",
+    }));
+    assert.ok(prompt.includes(`Write the whole answer in ${UNKNOWN},`), prompt);
+    assert.ok(!prompt.includes("English"), prompt);
+});
+
+test("unknown variables are left as they are", () => {
+    assert.strictEqual(context.renderPromptTemplate("{{ chat_title }} {{tittle}}", {chat_title: "Treaties"}),
+        "Treaties {{tittle}}");
+});
@@ -0,0 +1,130 @@
+// This script shows the usage log of external API calls kept by the service worker: the spending of the current
+// month against the cap, daily and monthly totals and the most recent calls.
+// It also lets the user edit the price table and the monthly spending cap, saved into Chrome's local storage.
+
+const monthlyCapInput = document.getElementById("monthlyCap");
+const priceTableInput = document.getElementById("priceTable");
+
+
+/**
+ * Formats a cost in US dollars, with more decimals for the small amounts of single calls.
+ *
+ * @param {number|null} cost - The cost, or null if the model has no price.
+ * @return {string} The formatted cost.
+ */
+function formatCost(cost) {
+    if (cost === null || cost === undefined) return "—";
+    return `$${cost.toFixed(cost < 0.01 && cost > 0 ? 4 : 2)}`;
+}
+
+
+/**
+ * Builds a table row from the given cell texts.
+ *
+ * @param {string[]} cells - The cell texts.
+ * @return {HTMLTableRowElement} The row.
+ */
+function createRow(cells) {
+    const row = document.createElement("tr");
+    cells.forEach((text) => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+
+/**
+ * Fills a totals table, noting the calls whose model has no price.
+ *
+ * @param {HTMLElement} body - The table body.
+ * @param {Array<Object>} totals - The totals returned by `summarizeUsage()`.
+ * @return {void} This function does not return a value.
+ */
+function renderTotals(body, totals) {
+    body.replaceChildren(...totals.map((total) => createRow([
+        total.period,
+        `${total.requests}${total.failures ? ` (${total.failures} failed)` : ""}`,
+        total.promptTokens.toLocaleString(),
+        total.completionTokens.toLocaleString(),
+        `${formatCost(total.cost)}${total.unpriced ? ` + ${total.unpriced} unpriced` : ""}`,
+    ])));
+}
+
+
+/**
+ * Loads the usage log, the monthly totals and the settings, and renders every section of the page.
+ * Monthly figures come from the running totals, as the log only keeps the most recent calls.
+ *
+ * @return {void} This function does not return a value.
+ */
+function renderUsage() {
+    Promise.all([loadUsageLog(), loadUsageTotals(), loadMeteringSettings(), checkSpendingCap()]).then(([usageLog, usageTotals, settings, spending]) => {
+        const daily = summarizeUsage(usageLog, "day").slice(0, 31);
+        const monthly = Object.values(usageTotals).sort((a, b) => b.period.localeCompare(a.period));
+        const current = usageTotals[getPeriodKey(Date.now(), "month")];
+
+        document.getElementById("monthSummary").textContent = current
+            ? `${current.requests} request(s) · ${(current.promptTokens + current.completionTokens).toLocaleString()} tokens · ${formatCost(current.cost)}`
+            : "No external requests this month.";
+        document.getElementById("capStatus").textContent = !settings.monthlyCap
+            ? "No spending cap set."
+            : spending.reached
+                ? `⏸️ Spending cap of ${formatCost(settings.monthlyCap)} reached, automatic bypass is paused until next month.`
+                : `${formatCost(spending.spent)} of the ${formatCost(settings.monthlyCap)} monthly cap spent.`;
+        if (settings.monthlyCap && spending.unpriced) {
+            document.getElementById("capStatus").textContent += ` ${spending.unpriced} unpriced call(s) this month are ` +
+                "not counted: cap not enforced for them, add their models to the price table.";
+        }
+
+        renderTotals(document.getElementById("dailyTotals"), daily);
+        renderTotals(document.getElementById("monthlyTotals"), monthly);
+
+        document.getElementById("recentCalls").replaceChildren(...usageLog.slice(-20).reverse().map((entry) => {
+            const tokens = `${entry.estimated ? "~" : ""}${entry.promptTokens.toLocaleString()} / ${entry.completionTokens.toLocaleString()}`;
+            return createRow([
+                new Date(entry.time).toLocaleString(),
+                `${entry.model}${entry.status !== "ok" ? ` (${entry.status})` : ""}`,
+                entry.trigger,
+                tokens,
+                `${(entry.latency / 1000).toFixed(1)} s`,
+                formatCost(entry.cost),
+            ]);
+        }));
+    });
+}
+
+
+document.getElementById("saveMetering").addEventListener("click", function () {
+    const {errors} = parsePriceTable(priceTableInput.value);
+    document.getElementById("priceErrors").textContent = errors.map((error) => `⚠️ ${error}`).join("\n");
+    if (errors.length) return;
+
+    const monthlyCap = parseFloat(monthlyCapInput.value);
+    const metering = {priceTable: priceTableInput.value, monthlyCap: isNaN(monthlyCap) ? 0 : Math.max(0, monthlyCap)};
+
+    chrome.storage.local.set({metering}, function () {
+        alert("Prices and spending cap saved successfully. New prices apply to the next requests.");
+        renderUsage();
+    });
+});
+
+
+document.getElementById("clearUsage").addEventListener("click", function () {
+    if (!confirm("Delete every logged request? The spending of the current month starts over.")) return;
+    chrome.storage.local.set({usageLog: [], usageTotals: {}}, renderUsage);
+});
+
+
+// Refreshes the page while requests are being made
+chrome.storage.onChanged.addListener((changes) => {
+    if (changes.usageLog) renderUsage();
+});
+
+// Fills the settings form once, so refreshing the totals does not overwrite pending edits
+loadMeteringSettings().then((settings) => {
+    monthlyCapInput.value = settings.monthlyCap;
+    priceTableInput.value = settings.priceTable;
+});
+renderUsage();